@@ -6,6 +6,8 @@
  */
 
 import { SpacetimeDBClient } from './spacetimedb-client.js';
+import { Logger, exportLogs, getLogLevel, redact, setLogLevel } from './logger.js';
+import { Router } from './router.js';
 
 // =============================================================================
 // Configuration
@@ -20,12 +22,44 @@ const CONFIG = {
             ? 'ws://localhost:3000'
             : `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}`,
         module: 'damsels',
+        // Binary protocol keeps the large initial subscriptions small; JSON is the fallback
+        protocol: 'bsatn',
+        // Reducer calls resolve once their transaction is in the cache - no polling
+        reducerTransport: 'websocket',
+        // One tab owns the connection; other tabs mirror it and log in/out together
+        multiTab: true,
     },
     storage: {
         username: 'damsels_username',
         playerId: 'damsels_player_id',
+        logLevel: 'damsels_log_level',
     },
     isDev: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1',
+    // Console verbosity - production only shows problems (see applyLogLevels)
+    logLevel: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'info'
+        : 'warn',
+};
+
+// User-facing text for reducer error codes (see reducer-errors.js), kept in
+// one table so the copy can be translated without touching the handlers.
+// Codes without an entry (UNKNOWN) fall back to the caller's generic message.
+const ERROR_MESSAGES = {
+    ALREADY_IN_ROOM: "You're already in this room.",
+    ROOM_CLOSED: 'This room has been closed.',
+    ROOM_LOCKED: 'This room is locked. Ask the owner for an invitation.',
+    ROOM_NOT_FOUND: 'There is no open room with that code.',
+    INVITATION_INVALID: 'This invitation is no longer valid.',
+    INVALID_CREDENTIALS: 'Wrong username or password.',
+    USERNAME_TAKEN: 'That username is already taken.',
+    NOT_OWNER: 'Only the room owner can do that.',
+    UNAUTHORIZED: 'Your session has expired. Please log in again.',
+    NOT_FOUND: 'That no longer exists.',
+    OFFLINE: "You're offline. Check your connection and try again.",
+    NETWORK: "Couldn't reach the server. Check your connection and try again.",
+    TIMEOUT: 'The server took too long to respond. Please try again.',
+    OUT_OF_ENERGY: 'The server is busy right now. Please try again later.',
+    SERVER_ERROR: 'Something went wrong on the server. Please try again.',
 };
 
 // =============================================================================
@@ -51,6 +85,10 @@ const state = {
     pendingRoomCode: null,
     pendingRoomName: null,
     invitationToken: null,
+    awaitingInvitation: false,  // Created an invitation; show its link when the row arrives
+    seenInvitationIds: new Set(),  // Incoming invitations already shown in the inbox
+    pendingRoute: null,      // Deep link waiting for login and player selection
+    leavingRoomId: null,     // Room we're leaving ourselves, so it isn't reported as a removal
     // Room activity state
     currentRoomActivity: null,
     completedActivityId: null,
@@ -113,6 +151,7 @@ const elements = {
     // Lobby
     lobbyRoomName: document.getElementById('lobby-room-name'),
     lobbyRoomCode: document.getElementById('lobby-room-code'),
+    lobbyRoomLocked: document.getElementById('lobby-room-locked'),
     lobbyPlayers: document.getElementById('lobby-players'),
     lobbyActivities: document.getElementById('lobby-activities'),
     activitiesCount: document.getElementById('activities-count'),
@@ -121,10 +160,17 @@ const elements = {
     btnShareCode: document.getElementById('btn-share-code'),
     btnLeaveRoom: document.getElementById('btn-leave-room'),
     ownerControls: document.getElementById('owner-controls'),
+    ownerControlsHint: document.getElementById('owner-controls-hint'),
+    inviteForm: document.getElementById('invite-form'),
+    inviteUsernameInput: document.getElementById('invite-username'),
     btnCreateInvite: document.getElementById('btn-create-invite'),
     inviteResult: document.getElementById('invite-result'),
     inviteTokenDisplay: document.getElementById('invite-token-display'),
     btnCopyInvite: document.getElementById('btn-copy-invite'),
+    btnQrInvite: document.getElementById('btn-qr-invite'),
+    inviteList: document.getElementById('invite-list'),
+    invitationInboxes: document.querySelectorAll('[data-invitation-inbox]'),
+    btnLockRoom: document.getElementById('btn-lock-room'),
     btnCloseRoom: document.getElementById('btn-close-room'),
     
     // Connection status
@@ -135,10 +181,13 @@ const elements = {
     
     // Hamburger Menu
     menuToggle: document.getElementById('menu-toggle'),
+    menuInvitationsBadge: document.getElementById('menu-invitations-badge'),
+    menuInvitations: document.getElementById('menu-invitations'),
     menuDropdown: document.getElementById('menu-dropdown'),
     menuPreferences: document.getElementById('menu-preferences'),
     menuReloadRoom: document.getElementById('menu-reload-room'),
     menuShareRoom: document.getElementById('menu-share-room'),
+    menuDiagnostics: document.getElementById('menu-diagnostics'),
     menuLogout: document.getElementById('menu-logout'),
     
     // QR Modal
@@ -150,6 +199,17 @@ const elements = {
     qrCopyUrl: document.getElementById('qr-copy-url'),
     themeToggle: document.getElementById('theme-toggle-checkbox'),
     
+    // Confirmation Modal
+    confirmModal: document.getElementById('confirm-modal'),
+    confirmTitle: document.getElementById('confirm-title'),
+    confirmClose: document.getElementById('confirm-close'),
+    confirmForm: document.getElementById('confirm-form'),
+    confirmMessage: document.getElementById('confirm-message'),
+    confirmSelect: document.getElementById('confirm-select'),
+    confirmInput: document.getElementById('confirm-input'),
+    confirmCancel: document.getElementById('confirm-cancel'),
+    confirmOk: document.getElementById('confirm-ok'),
+    
     // Preferences Modal
     preferencesModal: document.getElementById('preferences-modal'),
     preferencesTitle: document.getElementById('preferences-title'),
@@ -184,18 +244,60 @@ const elements = {
     btnNotWanted: document.getElementById('btn-not-wanted'),
 };
 
+// =============================================================================
+// Logging
+// =============================================================================
+
+const log = new Logger('App');
+const qrLog = new Logger('QR');
+const preferencesLog = new Logger('Preferences');
+
+/**
+ * Apply a level spec such as 'debug' or 'info,STDB:debug' (global level
+ * first, then per-namespace overrides).
+ */
+function applyLogLevels(spec) {
+    for (const part of spec.split(',')) {
+        const [first, second] = part.trim().split(':');
+        if (second) {
+            setLogLevel(second, first);
+        } else {
+            setLogLevel(first);
+        }
+    }
+}
+
+// `?log=debug` is remembered for this browser; `?log=default` forgets it
+const requestedLogLevel = new URLSearchParams(window.location.search).get('log');
+if (requestedLogLevel === 'default') {
+    localStorage.removeItem(CONFIG.storage.logLevel);
+} else if (requestedLogLevel) {
+    localStorage.setItem(CONFIG.storage.logLevel, requestedLogLevel);
+}
+applyLogLevels(localStorage.getItem(CONFIG.storage.logLevel) || CONFIG.logLevel);
+
 // =============================================================================
 // SpacetimeDB Client
 // =============================================================================
 
-const client = new SpacetimeDBClient(CONFIG.spacetimedb);
+// On localhost, `?fake` runs the app against the in-memory fake server - no backend needed
+const fakeServer = CONFIG.isDev && new URLSearchParams(window.location.search).has('fake')
+    ? new (await import('./dev/fake-spacetimedb.js')).FakeSpacetimeDB()
+    : null;
+const client = new SpacetimeDBClient({ ...CONFIG.spacetimedb, ...fakeServer?.clientOptions() });
 
 // =============================================================================
 // UI Helpers
 // =============================================================================
 
-function showStep(stepName) {
+/**
+ * @param {string} stepName
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+ */
+function showStep(stepName, { replace = false } = {}) {
     state.currentStep = stepName;
+    router.go(stepName, { code: state.currentRoom?.code }, { replace });
     
     // Remove hidden class and toggle step--active for each step
     const steps = [
@@ -216,6 +318,9 @@ function showStep(stepName) {
             if (isActive) el.classList.remove('hidden');
         }
     });
+    
+    // Both steps show the invitation inbox
+    if (stepName === 'player' || stepName === 'room') renderInvitationInbox();
 }
 window.showStep = showStep;
 
@@ -232,18 +337,60 @@ function clearError(element) {
     element.classList.remove('login-form__error--visible');
 }
 
-function updateConnectionStatus(connected, text = null) {
+function updateConnectionStatus(connected, text = null, degraded = false) {
     const statusEl = elements.connectionStatus;
     if (!statusEl) return;
-    statusEl.classList.toggle('connection-status--connected', connected);
-    statusEl.classList.toggle('connection-status--disconnected', !connected);
+    statusEl.classList.toggle('connection-status--connected', connected && !degraded);
+    statusEl.classList.toggle('connection-status--degraded', degraded);
+    statusEl.classList.toggle('connection-status--disconnected', !connected && !degraded);
     if (text) statusEl.querySelector('.connection-status__text').textContent = text;
 }
 
+/**
+ * Show the connection's health on the status pill. Disconnects and
+ * reconnects have their own handlers; this covers the states in between.
+ */
+function updateConnectionHealth(health) {
+    const statusEl = elements.connectionStatus;
+    if (statusEl) {
+        const latency = health.latencyMs === null ? 'not measured' : `${health.latencyMs}ms`;
+        const lastMessage = health.lastMessageAt ? new Date(health.lastMessageAt).toLocaleTimeString() : 'never';
+        statusEl.title = `Latency: ${latency} - last update: ${lastMessage} - reconnects: ${health.reconnects}`;
+    }
+    
+    if (health.status === 'connected') {
+        updateConnectionStatus(true, client.schemaMismatches.length > 0 ? 'Connected (outdated app)' : 'Connected');
+    } else if (health.status === 'slow') {
+        updateConnectionStatus(true, 'Slow connection', true);
+    } else if (health.status === 'stale') {
+        updateConnectionStatus(false, 'Not responding...', true);
+    } else if (health.status === 'offline') {
+        updateConnectionStatus(false, 'Offline');
+    }
+}
+
+/**
+ * User-facing text for a failed reducer result, never the server's raw message
+ */
+function errorMessage(result, fallback) {
+    return ERROR_MESSAGES[result?.code] || fallback;
+}
+
+/**
+ * Alert text for a failed reducer call
+ */
+function failureMessage(action, result) {
+    // A timeout is not a rejection: the call may still have gone through
+    if (result.code === 'TIMEOUT') {
+        return `The server didn't answer in time while trying to ${action}. It may still go through - check before trying again.`;
+    }
+    return `Couldn't ${action}. ${errorMessage(result, 'Please try again.')}`;
+}
+
 /**
  * Shows a toast notification when players join, leave, or change roles
  */
-function showPlayerJoinNotification(message, type = 'joined') {
+function showPlayerJoinNotification(message, type = 'joined', durationMs = 3000) {
     // Create notification container if it doesn't exist
     let container = document.getElementById('player-notifications');
     if (!container) {
@@ -257,7 +404,8 @@ function showPlayerJoinNotification(message, type = 'joined') {
     const notification = document.createElement('div');
     notification.className = `player-notification player-notification--${type}`;
     
-    const icon = type === 'joined' ? '👋' : type === 'left' ? '🚪' : '🔄';
+    const icons = { joined: '👋', left: '🚪', invited: '✉️', owner: '👑' };
+    const icon = icons[type] || '🔄';
     notification.innerHTML = `
         <span class="player-notification__icon">${icon}</span>
         <span class="player-notification__message">${escapeHtml(message)}</span>
@@ -275,7 +423,7 @@ function showPlayerJoinNotification(message, type = 'joined') {
         notification.classList.remove('player-notification--visible');
         notification.classList.add('player-notification--exiting');
         setTimeout(() => notification.remove(), 300);
-    }, 3000);
+    }, durationMs);
 }
 
 function updateDebugActivities() {
@@ -519,7 +667,7 @@ function createVideoEmbed(videoUrl) {
 // Activity Detail Functions
 // =============================================================================
 
-function showActivityDetail(activity, roomActivity) {
+function showActivityDetail(activity, roomActivity, options = {}) {
     if (!activity) return;
     
     state.currentRoomActivity = roomActivity;
@@ -573,7 +721,7 @@ function showActivityDetail(activity, roomActivity) {
     // Show appropriate action buttons based on status
     updateActivityActionButtons(roomActivity?.status || 'Viewing');
     
-    showStep('activity');
+    showStep('activity', options);
 }
 
 function updateActivityActionButtons(status) {
@@ -618,7 +766,7 @@ async function handleSelectActivity(activityId) {
     
     const result = await client.selectRoomActivity(state.player.id, state.currentRoom.id, activityId);
     if (!result.ok) {
-        alert('Failed to select activity: ' + result.error);
+        alert(failureMessage('select activity', result));
         return;
     }
     
@@ -636,7 +784,7 @@ async function handleChooseForMe() {
     elements.btnChooseForMe?.classList.remove('btn-dice-roll--rolling');
     
     if (!result.ok) {
-        alert('Failed to select random activity: ' + result.error);
+        alert(failureMessage('select random activity', result));
         return;
     }
     
@@ -646,6 +794,11 @@ async function handleChooseForMe() {
 async function handleStartActivity() {
     if (!state.player?.id || !state.currentRoom?.id) return;
     
+    // Someone may have changed or started something we haven't seen yet
+    if (client.isViewStale() && !confirm("Your connection isn't up to date, so the room may have changed. Start the activity anyway?")) {
+        return;
+    }
+    
     setButtonLoading(elements.btnStartActivity, true);
     
     const result = await client.startRoomActivity(state.player.id, state.currentRoom.id);
@@ -653,7 +806,7 @@ async function handleStartActivity() {
     setButtonLoading(elements.btnStartActivity, false);
     
     if (!result.ok) {
-        alert('Failed to start activity: ' + result.error);
+        alert(failureMessage('start activity', result));
         return;
     }
     
@@ -670,7 +823,7 @@ async function handleCompleteActivity() {
     setButtonLoading(elements.btnCompleteActivity, false);
     
     if (!result.ok) {
-        alert('Failed to complete activity: ' + result.error);
+        alert(failureMessage('complete activity', result));
         return;
     }
     
@@ -696,7 +849,7 @@ async function handleCancelActivity() {
     setButtonLoading(elements.btnCancelActivity, false);
     
     if (!result.ok) {
-        alert('Failed to cancel activity: ' + result.error);
+        alert(failureMessage('cancel activity', result));
         return;
     }
     
@@ -721,7 +874,7 @@ async function handleRateActivity(rating) {
     
     const result = await client.rateActivity(state.player.id, state.completedActivityId, rating);
     if (!result.ok) {
-        alert('Failed to rate activity: ' + result.error);
+        alert(failureMessage('rate activity', result));
         return;
     }
     
@@ -772,7 +925,7 @@ async function handleNotWanted() {
     setButtonLoading(elements.btnNotWanted, false);
     
     if (!result.ok) {
-        alert('Failed to mark activity: ' + result.error);
+        alert(failureMessage('mark activity', result));
         return;
     }
     
@@ -838,7 +991,7 @@ async function loadPlayers() {
         state.players = players;
         renderPlayerList();
     } catch (error) {
-        console.error('Failed to load players:', error);
+        log.error('Failed to load players:', error);
     }
 }
 
@@ -846,8 +999,27 @@ async function selectPlayer(playerId) {
     const player = state.players.find(p => p.id === playerId);
     if (!player) return;
     
+    usePlayer(player);
+    
+    // Continue to a deep link that was waiting for a player
+    const route = state.pendingRoute;
+    state.pendingRoute = null;
+    if (route) {
+        await openRoute(route, { replace: false });
+    } else {
+        showStep('room');
+    }
+}
+
+/**
+ * Make `player` the current player (when chosen, or restored after a reload).
+ */
+function usePlayer(player) {
     state.player = player;
-    localStorage.setItem(CONFIG.storage.playerId, playerId);
+    localStorage.setItem(CONFIG.storage.playerId, player.id);
+    
+    // Narrow the subscription to this player's rooms, unlocks and preferences
+    client.setSubscriptionContext({ playerId: player.id, roomId: null });
     
     if (elements.currentPlayer) {
         elements.currentPlayer.innerHTML = `Playing as: <strong>${player.username}</strong> <span class="player-xp">(${player.xp} XP)</span>`;
@@ -856,8 +1028,15 @@ async function selectPlayer(playerId) {
     // Update UI
     updatePreferencesMenuVisibility();
     updateDebugActivities();
-    
-    showStep('room');
+}
+
+/**
+ * Go back to choosing a player (from the back button or browser history).
+ */
+function deselectPlayer() {
+    state.player = null;
+    client.setSubscriptionContext({ playerId: null, roomId: null });
+    updatePreferencesMenuVisibility();
 }
 
 // =============================================================================
@@ -878,33 +1057,75 @@ function renderRoomMembers() {
         return;
     }
     
+    const ownerId = state.currentRoom?.ownerId;
+    const isOwner = ownerId !== undefined && ownerId === state.player?.id;
+    // Older modules have neither reducer
+    const canTransfer = client.supports('transfer_room_ownership');
+    const canKick = client.supports('kick_room_member');
+    
     container.innerHTML = state.roomMembers.map(member => {
         const isYou = member.playerId === state.player?.id;
+        // The owner can hand the room to, or remove, anyone else
+        const actions = isOwner && !isYou && (canTransfer || canKick) ? `
+                <div class="player-card__actions">
+                    ${canTransfer ? '<button class="player-card__action" data-member-action="transfer" title="Make owner">👑</button>' : ''}
+                    ${canKick ? '<button class="player-card__action player-card__action--kick" data-member-action="kick" title="Remove from room">✕</button>' : ''}
+                </div>` : '';
         return `
-            <div class="player-card ${isYou ? 'player-card--you' : ''}">
+            <div class="player-card ${isYou ? 'player-card--you' : ''}" data-player-id="${member.playerId}">
                 <div class="player-card__avatar">${getRoleIcon(member.role)}</div>
                 <div class="player-card__info">
                     <span class="player-card__name">${escapeHtml(member.username)}</span>
                     <span class="player-card__meta">
                         <span class="player-card__role">${member.role}</span>
                         <span class="player-card__xp">${member.xp || 0} XP</span>
+                        ${member.playerId === ownerId ? '<span class="player-card__owner">Owner</span>' : ''}
                     </span>
-                </div>
+                </div>${actions}
             </div>
         `;
     }).join('');
 }
 
-async function showLobby() {
+/**
+ * Show the owner controls to the room's owner, and whether the room is
+ * locked to everyone. Moderation the module can't do is left out.
+ */
+function renderOwnerControls() {
+    const isOwner = !!state.currentRoom && state.currentRoom.ownerId === state.player?.id;
+    const isLocked = !!state.currentRoom?.isLocked;
+    const canTransfer = client.supports('transfer_room_ownership');
+    const canKick = client.supports('kick_room_member');
+    
+    elements.ownerControls?.classList.toggle('hidden', !isOwner);
+    elements.lobbyRoomLocked?.classList.toggle('hidden', !isLocked);
+    if (elements.ownerControlsHint) {
+        elements.ownerControlsHint.classList.toggle('hidden', !canTransfer && !canKick);
+        elements.ownerControlsHint.textContent = canTransfer && canKick
+            ? 'Use 👑 on a player to hand them the room, or ✕ to remove them.'
+            : canTransfer ? 'Use 👑 on a player to hand them the room.' : 'Use ✕ on a player to remove them.';
+    }
+    if (elements.btnLockRoom) {
+        elements.btnLockRoom.classList.toggle('hidden',
+            !client.supports('set_room_locked') || !client.supports('room.is_locked'));
+        elements.btnLockRoom.textContent = isLocked ? '🔓 Unlock Room' : '🔒 Lock Room';
+    }
+}
+
+async function showLobby(options = {}) {
     if (elements.lobbyRoomName) elements.lobbyRoomName.textContent = state.currentRoom?.name || 'Room';
     if (elements.lobbyRoomCode) elements.lobbyRoomCode.textContent = state.currentRoom?.code || '?????';
     
-    const isOwner = state.currentRoom?.ownerId === state.player?.id;
-    elements.ownerControls?.classList.toggle('hidden', !isOwner);
+    renderOwnerControls();
+    elements.inviteResult?.classList.add('hidden');
+    renderInvitations();
     
     renderRoomMembers();
     updateShareRoomMenuVisibility();
-    showStep('lobby');
+    showStep('lobby', options);
+    
+    // Subscribe to the room's members, activities and invitations
+    client.setSubscriptionContext({ roomId: state.currentRoom?.id ?? null });
     
     // Load room-compatible activities (intersection of all members' unlocked activities)
     if (state.currentRoom?.id) {
@@ -924,7 +1145,7 @@ async function renderUnlockedActivities() {
     
     // If cache is empty, query directly (handles race condition after room join)
     if (activities.length === 0) {
-        console.log('[App] Cache empty, querying unlocked activities directly');
+        log.debug('Cache empty, querying unlocked activities directly');
         activities = await client.queryUnlockedActivities(state.player.id);
     }
     
@@ -932,6 +1153,306 @@ async function renderUnlockedActivities() {
     updateUnlockedActivitiesUI(activities, newActivities);
 }
 
+// =============================================================================
+// Room Invitations
+// =============================================================================
+
+function getInvitationUrl(token) {
+    return `${window.location.origin}/?invite=${encodeURIComponent(token)}`;
+}
+
+function invitationAgeMs(invitation) {
+    // Timestamps are microseconds since the Unix epoch
+    return Date.now() - Number(invitation.createdAt) / 1000;
+}
+
+function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+}
+
+/**
+ * List the current room's invitations in the owner controls.
+ */
+function renderInvitations() {
+    const container = elements.inviteList;
+    if (!container) return;
+    
+    const isOwner = state.currentRoom && state.currentRoom.ownerId === state.player?.id;
+    const invitations = isOwner ? client.getRoomInvitationsFromCache(state.currentRoom.id) : [];
+    
+    // Older modules can't revoke invitations
+    const canRevoke = client.supports('revoke_room_invitation');
+    
+    container.innerHTML = invitations.map(invitation => {
+        const { status } = invitation;
+        const target = invitation.forUsername
+            ? `For <strong>${escapeHtml(invitation.forUsername)}</strong>`
+            : 'Anyone with the link';
+        const actions = status === 'Pending'
+            ? `
+                <button class="btn-copy" data-invite-action="copy">Copy</button>
+                <button class="btn-copy" data-invite-action="qr">QR</button>
+                ${canRevoke ? '<button class="invite-item__revoke" data-invite-action="revoke">Revoke</button>' : ''}
+            `
+            : '';
+        return `
+            <div class="invite-item ${status === 'Pending' ? '' : 'invite-item--inactive'}" data-invitation-id="${invitation.id}">
+                <div class="invite-item__info">
+                    <span class="invite-item__target">${target}</span>
+                    <span class="invite-item__meta">
+                        <span class="invite-item__status--${status.toLowerCase()}">${status}</span>
+                        · by ${escapeHtml(invitation.createdByName)} · ${formatAge(invitationAgeMs(invitation))}
+                    </span>
+                </div>
+                <div class="invite-item__actions">${actions}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show the link for an invitation this player just created.
+ */
+function showCreatedInvitation(invitation) {
+    state.awaitingInvitation = false;
+    if (elements.inviteTokenDisplay) elements.inviteTokenDisplay.value = getInvitationUrl(invitation.token);
+    elements.inviteResult?.classList.remove('hidden');
+}
+
+/**
+ * Keep the owner's invitation list live, and pick up the token of a newly
+ * created invitation when its row arrives after the reducer call returned.
+ */
+function handleInvitationRow(invitation) {
+    if (invitation.roomId !== state.currentRoom?.id) return;
+    
+    if (state.awaitingInvitation && invitation.createdBy === state.player?.id && invitation.status === 'Pending') {
+        showCreatedInvitation(invitation);
+    }
+    renderInvitations();
+}
+
+async function handleInvitationAction(e) {
+    const button = e.target.closest('[data-invite-action]');
+    if (!button || !state.player) return;
+    
+    const invitationId = Number(button.closest('.invite-item')?.dataset.invitationId);
+    const invitation = client.getRoomInvitationsFromCache(state.currentRoom?.id).find(i => i.id === invitationId);
+    if (!invitation) return;
+    
+    const url = getInvitationUrl(invitation.token);
+    switch (button.dataset.inviteAction) {
+        case 'copy':
+            try {
+                await navigator.clipboard.writeText(url);
+                button.textContent = '✓';
+                setTimeout(() => button.textContent = 'Copy', 1500);
+            } catch (err) {
+                log.error('Failed to copy:', err);
+            }
+            break;
+        case 'qr':
+            openQrModal(url, invitation.forUsername
+                ? `Invitation for ${invitation.forUsername}`
+                : `Invitation to ${state.currentRoom?.name || 'the room'}`);
+            break;
+        case 'revoke': {
+            const confirmed = await confirmAction({
+                title: 'Revoke Invitation',
+                message: 'Revoke this invitation? Its link will stop working.',
+                confirmText: 'Revoke',
+            });
+            if (!confirmed) return;
+            setButtonLoading(button, true);
+            const result = await client.revokeRoomInvitation(state.player.id, invitation.id);
+            setButtonLoading(button, false);
+            if (!result.ok) alert(failureMessage('revoke invitation', result));
+            break;
+        }
+    }
+}
+
+/**
+ * List pending invitations addressed to the logged-in user on the player and
+ * room steps, and count the ones not seen there yet on the menu badge.
+ */
+function renderInvitationInbox() {
+    const invitations = state.user
+        ? client.getIncomingInvitationsFromCache().filter(invitation => invitation.status === 'Pending')
+        : [];
+    
+    // Older modules can't decline; the invitation then just stays in the inbox
+    const decline = client.supports('decline_room_invitation')
+        ? '<button class="invite-item__revoke" data-inbox-action="decline">Decline</button>'
+        : '';
+    const html = invitations.map(invitation => `
+        <div class="invite-item" data-invitation-id="${invitation.id}">
+            <div class="invite-item__info">
+                <span class="invite-item__target"><strong>${escapeHtml(invitation.roomName)}</strong></span>
+                <span class="invite-item__meta">from ${escapeHtml(invitation.createdByName)} · ${formatAge(invitationAgeMs(invitation))}</span>
+            </div>
+            <div class="invite-item__actions">
+                <button class="btn-copy" data-inbox-action="accept">Accept</button>
+                ${decline}
+            </div>
+        </div>
+    `).join('');
+    elements.invitationInboxes?.forEach(inbox => {
+        inbox.classList.toggle('hidden', invitations.length === 0);
+        inbox.querySelector('.invitation-inbox__list').innerHTML = html;
+    });
+    
+    // Invitations count as seen once the inbox has been on screen
+    if (state.currentStep === 'player' || state.currentStep === 'room') {
+        for (const invitation of invitations) state.seenInvitationIds.add(invitation.id);
+    }
+    const unseen = invitations.filter(invitation => !state.seenInvitationIds.has(invitation.id)).length;
+    if (elements.menuInvitationsBadge) {
+        elements.menuInvitationsBadge.textContent = unseen;
+        elements.menuInvitationsBadge.classList.toggle('hidden', unseen === 0);
+    }
+    if (elements.menuInvitations) {
+        elements.menuInvitations.textContent = `✉️ Invitations (${invitations.length})`;
+        elements.menuInvitations.classList.toggle('hidden', invitations.length === 0);
+    }
+}
+
+/**
+ * Mention a new invitation for the user while the inbox isn't on screen.
+ */
+function notifyIncomingInvitation(invitation) {
+    if (!state.user || invitation.forUsername !== state.user.username || invitation.status !== 'Pending') return;
+    if (state.currentStep === 'lobby' || state.currentStep === 'activity') {
+        showPlayerJoinNotification('You have a new room invitation', 'invited');
+    }
+}
+
+async function handleInboxAction(e) {
+    const button = e.target.closest('[data-inbox-action]');
+    if (!button) return;
+    
+    const invitationId = Number(button.closest('.invite-item')?.dataset.invitationId);
+    const invitation = client.getIncomingInvitationsFromCache().find(i => i.id === invitationId);
+    if (!invitation) return;
+    
+    if (button.dataset.inboxAction === 'accept') {
+        // Accepting goes through role selection, after choosing a player if needed
+        const route = { name: 'invite', params: { token: invitation.token } };
+        if (state.player) {
+            await openRoute(route, { replace: false });
+        } else {
+            state.pendingRoute = route;
+            showPlayerJoinNotification(`Choose a player to join ${invitation.roomName} with`, 'invited');
+        }
+        return;
+    }
+    
+    setButtonLoading(button, true);
+    const result = await client.declineRoomInvitation(invitation.id);
+    setButtonLoading(button, false);
+    if (!result.ok) alert(failureMessage('decline invitation', result));
+}
+
+// =============================================================================
+// Room Moderation
+// =============================================================================
+
+/**
+ * Toast text for the current player's removal from a room, with the owner's
+ * reason when they gave one.
+ */
+function removalMessage(removal) {
+    if (!removal) return 'You have been removed from the room';
+    
+    const message = `You have been removed from the room by ${removal.removedByName}`;
+    return removal.reason ? `${message}: ${removal.reason}` : message;
+}
+
+/**
+ * Follow changes to the current room's row: a new owner, or the room being
+ * locked or unlocked.
+ */
+function handleRoomUpdate(room, previous) {
+    if (!state.currentRoom || room.id !== state.currentRoom.id) return;
+    
+    state.currentRoom = room;
+    renderOwnerControls();
+    if (state.currentStep === 'lobby') renderRoomMembers();
+    
+    if (room.ownerId !== previous.ownerId) {
+        const owner = state.roomMembers.find(member => member.playerId === room.ownerId);
+        showPlayerJoinNotification(room.ownerId === state.player?.id
+            ? 'You are now the room owner'
+            : `${owner?.username || 'Another player'} is now the room owner`, 'owner');
+    }
+    if (room.isLocked !== previous.isLocked) {
+        showPlayerJoinNotification(room.isLocked
+            ? 'The room is locked - new players need an invitation'
+            : 'The room is unlocked', 'owner');
+    }
+}
+
+async function handleMemberAction(e) {
+    const button = e.target.closest('[data-member-action]');
+    if (!button || !state.currentRoom || !state.player) return;
+    
+    const playerId = Number(button.closest('.player-card')?.dataset.playerId);
+    const member = state.roomMembers.find(m => m.playerId === playerId);
+    if (!member) return;
+    
+    if (button.dataset.memberAction === 'kick') {
+        const answer = await confirmAction({
+            title: 'Remove Player',
+            message: `Remove ${member.username} from the room? They will see the reason you give.`,
+            confirmText: 'Remove',
+            placeholder: 'Reason (optional)',
+        });
+        if (!answer) return;
+        
+        setButtonLoading(button, true);
+        const result = await client.kickRoomMember(state.player.id, state.currentRoom.id, member.playerId, answer.value);
+        setButtonLoading(button, false);
+        if (!result.ok) alert(failureMessage(`remove ${member.username}`, result));
+        return;
+    }
+    
+    const answer = await confirmAction({
+        title: 'Transfer Ownership',
+        message: `Make ${member.username} the room owner? You will lose the owner controls.`,
+        confirmText: 'Transfer',
+    });
+    if (!answer) return;
+    
+    setButtonLoading(button, true);
+    const result = await client.transferRoomOwnership(state.player.id, state.currentRoom.id, member.playerId);
+    setButtonLoading(button, false);
+    if (!result.ok) alert(failureMessage('transfer ownership', result));
+}
+
+async function handleToggleRoomLock() {
+    if (!state.currentRoom || !state.player) return;
+    
+    const locked = !state.currentRoom.isLocked;
+    if (locked) {
+        const answer = await confirmAction({
+            title: 'Lock Room',
+            message: 'Lock the room? Nobody new can join with the room code; invitations still work.',
+            confirmText: 'Lock',
+        });
+        if (!answer) return;
+    }
+    
+    setButtonLoading(elements.btnLockRoom, true);
+    const result = await client.setRoomLocked(state.player.id, state.currentRoom.id, locked);
+    setButtonLoading(elements.btnLockRoom, false);
+    if (!result.ok) alert(failureMessage(locked ? 'lock the room' : 'unlock the room', result));
+}
+
 // =============================================================================
 // Event Handlers
 // =============================================================================
@@ -953,18 +1474,11 @@ async function handleLogin(e) {
     setButtonLoading(e.target.querySelector('[data-action="login"]'), false);
     
     if (!result.ok) {
-        showError(elements.loginError, result.error || 'Login failed');
+        showError(elements.loginError, errorMessage(result, 'Login failed'));
         return;
     }
     
-    state.user = { username };
-    localStorage.setItem(CONFIG.storage.username, username);
-    
-    if (elements.currentUser) elements.currentUser.textContent = `Welcome, ${username}`;
-    updatePreferencesMenuVisibility();
-    
-    await loadPlayers();
-    showStep('player');
+    await enterAsUser(username);
 }
 
 async function handleRegister() {
@@ -988,10 +1502,25 @@ async function handleRegister() {
     setButtonLoading(elements.btnRegister, false);
     
     if (!result.ok) {
-        showError(elements.loginError, result.error || 'Registration failed');
+        showError(elements.loginError, errorMessage(result, 'Registration failed'));
         return;
     }
     
+    await enterAsUser(username);
+}
+
+/**
+ * Show the logged-in user's players (after logging in here or in another tab).
+ */
+async function enterAsUser(username) {
+    await useUser(username);
+    showStep('player');
+}
+
+/**
+ * Make `username` the logged-in user and load their players.
+ */
+async function useUser(username) {
     state.user = { username };
     localStorage.setItem(CONFIG.storage.username, username);
     
@@ -999,16 +1528,56 @@ async function handleRegister() {
     updatePreferencesMenuVisibility();
     
     await loadPlayers();
-    showStep('player');
+}
+
+/**
+ * Resume after a reload. The stored identity is still logged in if the
+ * server sends back its user row; the player is the one selectPlayer() saved
+ * and the room comes from that player's room_member rows. The router then
+ * opens the lobby, or the activity under way there.
+ */
+async function restoreSession() {
+    // Only trust the user row once the server has confirmed it, not a snapshot's copy
+    if (!await client.ready()) {
+        log.warn('Session not confirmed by the server, showing login');
+        return;
+    }
+    const user = client.getUserFromCache();
+    if (!user) return;
+    
+    log.info('Resuming session for', user.username);
+    await useUser(user.username);
+    
+    const storedPlayerId = parseInt(localStorage.getItem(CONFIG.storage.playerId));
+    const player = state.players.find(p => p.id === storedPlayerId);
+    if (!player) return;
+    usePlayer(player);
+    
+    // Wait for the player's room_member rows
+    await client.waitForScopedSubscription();
+    const current = client.getCurrentRoomForPlayer(player.id);
+    if (current) {
+        state.currentRoom = current.room;
+        state.currentRole = current.role;
+        state.roomMembers = current.members;
+    }
 }
 
 async function handleLogout() {
-    console.log('[App] Logging out...');
+    log.info('Logging out...');
     
     // Call backend to update last_seen and clear session
     // This also disconnects the WebSocket and stops all reconnection attempts
     await client.logoutUser();
     
+    resetSession();
+    log.info('Logout complete - WebSocket disconnected');
+}
+
+/**
+ * Drop all user state and return to the login step (after logging out here or in another tab).
+ */
+function resetSession() {
     // Clear all local state
     state.user = null;
     state.player = null;
@@ -1019,6 +1588,8 @@ async function handleLogout() {
     state.connected = false;
     state.currentRoomActivity = null;
     state.completedActivityId = null;
+    state.pendingRoute = null;
+    state.seenInvitationIds.clear();
     
     localStorage.removeItem(CONFIG.storage.username);
     localStorage.removeItem(CONFIG.storage.playerId);
@@ -1030,9 +1601,10 @@ async function handleLogout() {
     // Update UI
     updatePreferencesMenuVisibility();
     updateShareRoomMenuVisibility();
+    renderInvitationInbox();
+    closeConfirmModal();
     updateConnectionStatus(false, 'Logged out');
     
-    console.log('[App] Logout complete - WebSocket disconnected');
     showStep('login');
 }
 
@@ -1049,7 +1621,7 @@ async function handleCreatePlayer(e) {
     
     const result = await client.createPlayer(playerName);
     if (!result.ok) {
-        showError(elements.playerError, result.error || 'Failed to create player');
+        showError(elements.playerError, errorMessage(result, 'Failed to create player'));
         return;
     }
     
@@ -1127,8 +1699,8 @@ async function handleRoleSelect(e) {
     
     if (!result?.ok) {
         // Check if player is already in this room - if so, just reload the room
-        if (result?.error?.includes('Already in this room')) {
-            console.log('[App] Player already in room, reloading...');
+        if (result?.code === 'ALREADY_IN_ROOM') {
+            log.info('Player already in room, reloading...');
             
             // Get room info and members
             let roomCode = state.pendingRoomCode;
@@ -1156,7 +1728,7 @@ async function handleRoleSelect(e) {
             }
         }
         
-        showError(elements.roleError, result?.error || 'Failed to proceed');
+        showError(elements.roleError, errorMessage(result, 'Failed to proceed'));
         return;
     }
     
@@ -1175,74 +1747,107 @@ async function handleRoleSelect(e) {
 async function handleLeaveRoom() {
     if (!state.currentRoom || !state.player) return;
     
+    // An owner hands the room to another member before leaving, if the module can
+    const others = state.roomMembers.filter(member => member.playerId !== state.player.id);
+    const isOwner = state.currentRoom.ownerId === state.player.id;
+    if (isOwner && others.length > 0 && client.supports('transfer_room_ownership')) {
+        const answer = await confirmAction({
+            title: 'Leave Room',
+            message: 'You own this room. Choose who takes it over when you leave.',
+            confirmText: 'Hand Over & Leave',
+            choices: others.map(member => ({ value: String(member.playerId), label: member.username })),
+        });
+        if (!answer) return;
+        
+        const transfer = await client.transferRoomOwnership(state.player.id, state.currentRoom.id, Number(answer.value));
+        if (!transfer.ok) {
+            alert(failureMessage('hand over the room', transfer));
+            return;
+        }
+    }
+    
+    state.leavingRoomId = state.currentRoom.id;
     const result = await client.leaveRoom(state.player.id, state.currentRoom.id);
+    state.leavingRoomId = null;
     if (!result.ok) {
-        console.error('Failed to leave room:', result.error);
+        log.error('Failed to leave room:', result.error);
         return;
     }
     
     state.currentRoom = null;
     state.currentRole = null;
     state.roomMembers = [];
+    client.setSubscriptionContext({ roomId: null });
     updateShareRoomMenuVisibility();
     showStep('room');
 }
 
 async function handleReloadRoom() {
     if (!state.currentRoom) {
-        console.log('[App] No room to reload');
+        log.info('No room to reload');
         showPlayerJoinNotification('No room to reload', 'left');
         return;
     }
     
-    console.log('[App] Reloading room members for room:', state.currentRoom.id);
+    log.debug('Reloading room members for room:', state.currentRoom.id);
     
     try {
         const members = await client.queryRoomMembers(state.currentRoom.id);
-        console.log('[App] Reloaded room members:', members.length);
+        log.debug('Reloaded room members:', members.length);
         
         state.roomMembers = members;
         renderRoomMembers();
         
         showPlayerJoinNotification('Room reloaded', 'role');
     } catch (error) {
-        console.error('[App] Failed to reload room:', error);
+        log.error('Failed to reload room:', error);
         showPlayerJoinNotification('Failed to reload room', 'left');
     }
 }
 
-async function handleCreateInvitation() {
+async function handleCreateInvitation(e) {
+    e.preventDefault();
     if (!state.currentRoom || !state.player) return;
     
-    const result = await client.createRoomInvitation(state.player.id, state.currentRoom.id);
+    const forUsername = elements.inviteUsernameInput?.value.trim() || null;
+    setButtonLoading(elements.btnCreateInvite, true);
+    state.awaitingInvitation = true;
+    
+    const result = await client.createRoomInvitation(state.player.id, state.currentRoom.id, forUsername);
+    setButtonLoading(elements.btnCreateInvite, false);
     if (!result.ok) {
-        alert('Failed to create invitation: ' + result.error);
+        state.awaitingInvitation = false;
+        alert(failureMessage('create invitation', result));
         return;
     }
     
-    // The invitation will appear in the table; we need to query for it
-    // For now, show a success message
-    if (elements.inviteResult) {
-        elements.inviteResult.classList.remove('hidden');
-        if (elements.inviteTokenDisplay) {
-            elements.inviteTokenDisplay.value = 'Check room_invitation table';
-        }
-    }
+    if (elements.inviteUsernameInput) elements.inviteUsernameInput.value = '';
+    
+    // Over the socket the row comes back with the result; over HTTP it
+    // arrives with the next transaction update (see handleInvitationRow)
+    const invitation = result.inserted?.room_invitation?.find(i => i.createdBy === state.player.id);
+    if (invitation) showCreatedInvitation(invitation);
 }
 
 async function handleCloseRoom() {
     if (!state.currentRoom || !state.player) return;
-    if (!confirm('Close this room? All players will be removed.')) return;
+    const answer = await confirmAction({
+        title: 'Close Room',
+        message: 'Close this room? All players will be removed.',
+        confirmText: 'Close Room',
+    });
+    if (!answer) return;
     
     const result = await client.closeRoom(state.player.id, state.currentRoom.id);
     if (!result.ok) {
-        alert('Failed to close room: ' + result.error);
+        alert(failureMessage('close room', result));
         return;
     }
     
     state.currentRoom = null;
     state.currentRole = null;
     state.roomMembers = [];
+    client.setSubscriptionContext({ roomId: null });
     showStep('room');
 }
 
@@ -1254,10 +1859,18 @@ async function copyRoomCode() {
         elements.btnShareCode.textContent = '✓';
         setTimeout(() => elements.btnShareCode.textContent = '📋', 1500);
     } catch (err) {
-        console.error('Failed to copy:', err);
+        log.error('Failed to copy:', err);
     }
 }
 
+/**
+ * Open the QR modal for the invitation link shown after creating one.
+ */
+function openInvitationQr() {
+    const url = elements.inviteTokenDisplay?.value;
+    if (url) openQrModal(url, `Invitation to ${state.currentRoom?.name || 'the room'}`);
+}
+
 async function copyInvitation() {
     const token = elements.inviteTokenDisplay?.value;
     if (!token) return;
@@ -1266,31 +1879,194 @@ async function copyInvitation() {
         elements.btnCopyInvite.textContent = 'Copied!';
         setTimeout(() => elements.btnCopyInvite.textContent = 'Copy', 1500);
     } catch (err) {
-        console.error('Failed to copy:', err);
+        log.error('Failed to copy:', err);
     }
 }
 
 // =============================================================================
-// Initialization
+// Routing
 // =============================================================================
 
-async function init() {
-    updateConnectionStatus(false, 'Connecting...');
-    
-    // Check for invitation in URL
+// Steps as `#/...` URLs; the lobby and activity carry the room code so a
+// refresh or shared link can find the room again
+const router = new Router({
+    login: { path: '/login' },
+    player: { path: '/player' },
+    room: { path: '/room' },
+    'create-room': { path: '/room/new' },
+    role: { path: '/role', transient: true },
+    lobby: { path: '/lobby/:code' },
+    activity: { path: '/lobby/:code/activity' },
+    admin: { path: '/admin' },
+    invite: { path: '/invite/:token' },
+});
+
+// Query params of shared links: `?join=CODE` from room QR codes and
+// `?invite=TOKEN` (or its older spellings) from invitations
+const JOIN_PARAM = 'join';
+const INVITE_PARAMS = ['invite', 'invitation', 'token'];
+
+/**
+ * Turn a shared link into its route, then show whatever the URL points at
+ * and follow back/forward from then on.
+ */
+function startRouting() {
     const urlParams = new URLSearchParams(window.location.search);
-    const invitationToken = urlParams.get('invitation') || urlParams.get('invite') || urlParams.get('token');
+    const joinCode = urlParams.get(JOIN_PARAM)?.trim().toUpperCase();
+    const invitationToken = INVITE_PARAMS.map(key => urlParams.get(key)).find(Boolean);
+    const dropParams = [JOIN_PARAM, ...INVITE_PARAMS];
+    
     if (invitationToken) {
-        state.invitationToken = invitationToken;
-        if (elements.invitationTokenInput) elements.invitationTokenInput.value = invitationToken;
+        router.go('invite', { token: invitationToken }, { replace: true, dropParams });
+    } else if (joinCode) {
+        router.go('lobby', { code: joinCode }, { replace: true, dropParams });
     }
     
+    router.listen(route => openRoute(route));
+    
+    // A reload inside a lobby resumes the activity under way there, if any
+    const route = router.match();
+    openRoute(route?.name === 'lobby' ? { ...route, name: 'activity' } : route);
+}
+
+/**
+ * Show the step a route points at, or the nearest one its guards allow.
+ * Routes that need a login or a player are kept in `state.pendingRoute` and
+ * opened once the player has been chosen.
+ *
+ * @param {{name: string, params: Object}|null} route
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current history entry (a
+ *   redirect) rather than adding one (continuing after player selection)
+ */
+async function openRoute(route, { replace = true } = {}) {
+    const { name, params } = route ?? {};
+    
+    if (name === 'login' || !route) {
+        if (state.currentRoom) {
+            await openRoomByCode(state.currentRoom.code, 'activity', { replace: true });
+        } else {
+            showStep(state.player ? 'room' : state.user ? 'player' : 'login', { replace: true });
+        }
+        return;
+    }
+    
+    if (name === 'invite' && elements.invitationTokenInput) {
+        elements.invitationTokenInput.value = params.token;
+    }
+    
+    if (!state.user) {
+        if (name !== 'player') state.pendingRoute = route;
+        showStep('login', { replace: true });
+        return;
+    }
+    
+    if (name === 'player') {
+        deselectPlayer();
+        showStep('player', { replace });
+        return;
+    }
+    
+    if (!state.player) {
+        state.pendingRoute = route;
+        showStep('player', { replace: true });
+        return;
+    }
+    
+    switch (name) {
+        case 'room':
+            showStep('room', { replace });
+            break;
+        case 'create-room':
+            state.pendingAction = 'create';
+            showStep('create-room', { replace });
+            break;
+        case 'role':
+            // Nothing to choose a role for after a refresh
+            showStep(state.pendingAction ? 'role' : 'room', { replace });
+            break;
+        case 'invite':
+            state.pendingAction = 'invitation';
+            state.invitationToken = params.token;
+            showStep('role', { replace });
+            break;
+        case 'lobby':
+        case 'activity':
+            await openRoomByCode(params.code, name, { replace });
+            break;
+        case 'admin':
+            if (CONFIG.isDev) {
+                await openAdminPanel();
+            } else {
+                showStep('room', { replace: true });
+            }
+            break;
+    }
+}
+
+/**
+ * Open a room's lobby (or its current activity) from a link. Rooms the player
+ * is already in open directly; any other room is joined like a typed-in code.
+ */
+async function openRoomByCode(code, step, { replace }) {
+    if (state.currentRoom?.code !== code) {
+        // The player's rooms arrive with the subscription for the selected player
+        await client.waitForScopedSubscription();
+        
+        const { room, members } = client.getRoomByCode(code);
+        const membership = members.find(member => member.playerId === state.player.id);
+        if (room && !room.isOpen) {
+            showStep('room', { replace: true });
+            showError(elements.joinError, ERROR_MESSAGES.ROOM_CLOSED);
+            return;
+        }
+        if (!membership) {
+            state.pendingAction = 'join';
+            state.pendingRoomCode = code;
+            if (elements.roomCodeInput) elements.roomCodeInput.value = code;
+            showStep('role', { replace });
+            return;
+        }
+        
+        state.currentRoom = room;
+        state.currentRole = membership.role;
+        state.roomMembers = members;
+    }
+    
+    // Room activities are only subscribed once the room is
+    if (step === 'activity') {
+        client.setSubscriptionContext({ roomId: state.currentRoom.id });
+        await client.waitForScopedSubscription();
+    }
+    
+    const roomActivity = step === 'activity' ? client.getRoomActivity(state.currentRoom.id) : null;
+    if (roomActivity) {
+        showActivityDetail(roomActivity.activity, roomActivity, { replace });
+    } else {
+        // An activity link whose activity has ended lands in the lobby
+        await showLobby({ replace: replace || step === 'activity' });
+    }
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+async function init() {
+    updateConnectionStatus(false, 'Connecting...');
+    
     try {
         // Connect to SpacetimeDB
         client.onConnect = () => {
             state.connected = true;
             state.identity = client.identity;
-            updateConnectionStatus(true, 'Connected');
+            updateConnectionHealth(client.getHealth());
+        };
+        
+        client.on('healthChange', updateConnectionHealth);
+        
+        client.onSchemaMismatch = (mismatches) => {
+            log.warn('Backend module does not match this version of the app:', mismatches);
         };
         
         client.onDisconnect = () => {
@@ -1298,8 +2074,50 @@ async function init() {
             updateConnectionStatus(false, 'Disconnected');
         };
         
+        client.on('reconnecting', ({ attempt, delayMs }) => {
+            updateConnectionStatus(false, attempt > 1 ? `Reconnecting in ${Math.ceil(delayMs / 1000)}s...` : 'Reconnecting...');
+        });
+        
+        client.on('reconnectFailed', () => {
+            updateConnectionStatus(false, 'Offline - tap to retry');
+        });
+        
+        client.on('reducerQueued', () => {
+            updateConnectionStatus(false, 'Offline - changes will sync');
+        });
+        
+        client.on('queuedReducerResult', ({ reducerName, result }) => {
+            if (result.ok) return;
+            log.warn('Queued change was rejected:', reducerName, result.error);
+            alert('A change made while offline could not be saved. ' + errorMessage(result, ''));
+        });
+        
+        // Logging in or out in another tab applies here too
+        client.on('sessionStarted', ({ username }) => {
+            if (state.currentStep === 'login') enterAsUser(username);
+        });
+        
+        client.on('sessionEnded', () => {
+            log.info('Logged out in another tab');
+            resetSession();
+        });
+        
+        // Room invitations, for the owner's invitation list and the user's inbox
+        for (const kind of ['insert', 'update', 'delete']) {
+            client.on(`room_invitation:${kind}`, handleInvitationRow);
+            client.on(`room_invitation:${kind}`, renderInvitationInbox);
+        }
+        client.on('room_invitation:insert', notifyIncomingInvitation);
+        
+        // The inbox's room and player names can arrive after the invitation
+        client.on('room:insert', renderInvitationInbox);
+        client.on('player:insert', renderInvitationInbox);
+        
+        // Ownership transfers and locks, for everyone in the room
+        client.on('room:update', handleRoomUpdate);
+        
         client.onError = (error) => {
-            console.error('SpacetimeDB error:', error);
+            log.error('SpacetimeDB error:', error);
             updateConnectionStatus(false, 'Error');
         };
         
@@ -1308,7 +2126,7 @@ async function init() {
         };
         
         client.onRoomMembersUpdate = (allMembers) => {
-            console.log('[App] Room members update:', allMembers.length, 'total members');
+            log.debug('Room members update:', allMembers.length, 'total members');
             
             // Filter to current room only
             if (state.currentRoom?.id) {
@@ -1324,17 +2142,22 @@ async function init() {
                 
                 // Check if current player was removed from the room
                 if (state.player?.id && currentIds.has(state.player.id) && !newIds.has(state.player.id)) {
-                    console.log('[App] Current player was removed from room!');
+                    // Leaving ourselves isn't a removal; handleLeaveRoom() takes it from here
+                    if (state.leavingRoomId === state.currentRoom.id) return;
+                    
+                    log.info('Current player was removed from room!');
+                    const removal = client.getRoomRemovalFromCache(state.currentRoom.id, state.player.id);
                     state.currentRoom = null;
                     state.currentRole = null;
                     state.roomMembers = [];
+                    client.setSubscriptionContext({ roomId: null });
                     showStep('room');
-                    showPlayerJoinNotification('You have been removed from the room', 'left');
+                    showPlayerJoinNotification(removalMessage(removal), 'left', removal?.reason ? 8000 : 3000);
                     return;
                 }
                 
                 if (joined.length > 0 || left.length > 0) {
-                    console.log('[App] Room membership changed!', 
+                    log.info('Room membership changed!', 
                         'Joined:', joined.map(m => m.username).join(', ') || 'none',
                         'Left:', left.map(m => m.username).join(', ') || 'none');
                     
@@ -1351,7 +2174,10 @@ async function init() {
                             }
                         }
                         for (const member of left) {
-                            showPlayerJoinNotification(`${member.username} left the room`, 'left');
+                            const removed = client.getRoomRemovalFromCache(state.currentRoom.id, member.playerId);
+                            showPlayerJoinNotification(removed
+                                ? `${member.username} was removed from the room`
+                                : `${member.username} left the room`, 'left');
                         }
                     }
                 } else {
@@ -1362,7 +2188,7 @@ async function init() {
                     });
                     
                     if (rolesChanged) {
-                        console.log('[App] Player roles changed');
+                        log.info('Player roles changed');
                         const changedMembers = roomMembers.filter(newMember => {
                             const oldMember = state.roomMembers.find(m => m.playerId === newMember.playerId);
                             return oldMember && oldMember.role !== newMember.role;
@@ -1383,12 +2209,12 @@ async function init() {
         };
         
         client.onUnlockedActivitiesUpdate = ({ all, new: newActivities }) => {
-            console.log('[App] Unlocked activities update:', all.length, 'total,', newActivities.length, 'new');
+            log.debug('Unlocked activities update:', all.length, 'total,', newActivities.length, 'new');
             updateUnlockedActivitiesUI(all, newActivities);
         };
         
         client.onRoomActivityUpdate = (activeActivities) => {
-            console.log('[App] Room activity update:', activeActivities);
+            log.debug('Room activity update:', activeActivities);
             
             // Find activity for current room
             if (state.currentRoom?.id) {
@@ -1412,7 +2238,7 @@ async function init() {
         
         // Room available activities callback - called when room membership or preferences change
         client.onRoomAvailableActivitiesUpdate = (roomId, activities) => {
-            console.log(`[App] Room ${roomId} available activities:`, activities.length);
+            log.debug(`Room ${roomId} available activities:`, activities.length);
             
             // Only update if this is for our current room
             if (state.currentRoom?.id === roomId) {
@@ -1427,12 +2253,13 @@ async function init() {
         
         // Categories loaded callback - enables preferences UI early
         client.onCategoriesLoaded = (categories) => {
-            console.log(`[App] Categories ready: ${categories.length} categories available`);
+            log.debug(`Categories ready: ${categories.length} categories available`);
             // Categories are now available for the preferences modal
             // The preferences menu visibility is handled by updatePreferencesMenuVisibility()
         };
         
         await client.connect();
+        await restoreSession();
         
         // Pre-fill username if stored
         const storedUsername = localStorage.getItem(CONFIG.storage.username);
@@ -1446,14 +2273,20 @@ async function init() {
         }
         
     } catch (error) {
-        console.error('Failed to connect:', error);
+        log.error('Failed to connect:', error);
         updateConnectionStatus(false, 'Connection failed');
     }
     
     setupEventListeners();
+    startRouting();
 }
 
 function setupEventListeners() {
+    // Tapping the status pill while disconnected retries right away
+    elements.connectionStatus?.addEventListener('click', () => {
+        if (!state.connected) client.reconnectNow();
+    });
+    
     // Login
     elements.loginForm?.addEventListener('submit', handleLogin);
     elements.btnRegister?.addEventListener('click', handleRegister);
@@ -1464,8 +2297,7 @@ function setupEventListeners() {
     
     // Room selection
     elements.btnBackPlayer?.addEventListener('click', () => {
-        state.player = null;
-        updatePreferencesMenuVisibility();
+        deselectPlayer();
         showStep('player');
     });
     elements.btnCreateRoom?.addEventListener('click', handleCreateRoomClick);
@@ -1485,8 +2317,13 @@ function setupEventListeners() {
     // Lobby
     elements.btnShareCode?.addEventListener('click', copyRoomCode);
     elements.btnLeaveRoom?.addEventListener('click', handleLeaveRoom);
-    elements.btnCreateInvite?.addEventListener('click', handleCreateInvitation);
+    elements.inviteForm?.addEventListener('submit', handleCreateInvitation);
     elements.btnCopyInvite?.addEventListener('click', copyInvitation);
+    elements.btnQrInvite?.addEventListener('click', openInvitationQr);
+    elements.inviteList?.addEventListener('click', handleInvitationAction);
+    elements.invitationInboxes?.forEach(inbox => inbox.addEventListener('click', handleInboxAction));
+    elements.lobbyPlayers?.addEventListener('click', handleMemberAction);
+    elements.btnLockRoom?.addEventListener('click', handleToggleRoomLock);
     elements.btnCloseRoom?.addEventListener('click', handleCloseRoom);
     elements.btnDismissNew?.addEventListener('click', dismissNewActivities);
     elements.btnChooseForMe?.addEventListener('click', handleChooseForMe);
@@ -1525,6 +2362,10 @@ function setupEventListeners() {
     
     // Hamburger Menu
     elements.menuToggle?.addEventListener('click', toggleMenu);
+    elements.menuInvitations?.addEventListener('click', () => {
+        closeMenu();
+        showStep(state.player ? 'room' : 'player');
+    });
     elements.menuPreferences?.addEventListener('click', () => {
         closeMenu();
         openPreferencesModal();
@@ -1537,6 +2378,10 @@ function setupEventListeners() {
         closeMenu();
         openQrModal();
     });
+    elements.menuDiagnostics?.addEventListener('click', () => {
+        closeMenu();
+        exportDiagnostics();
+    });
     elements.menuLogout?.addEventListener('click', () => {
         closeMenu();
         handleLogout();
@@ -1553,6 +2398,16 @@ function setupEventListeners() {
         }
     });
     
+    // Confirmation Modal
+    elements.confirmForm?.addEventListener('submit', submitConfirmModal);
+    elements.confirmClose?.addEventListener('click', () => closeConfirmModal());
+    elements.confirmCancel?.addEventListener('click', () => closeConfirmModal());
+    elements.confirmModal?.addEventListener('click', (e) => {
+        if (e.target === elements.confirmModal) {
+            closeConfirmModal();
+        }
+    });
+    
     // Preferences Modal
     elements.preferencesClose?.addEventListener('click', closePreferencesModal);
     elements.preferencesDone?.addEventListener('click', closePreferencesModal);
@@ -1588,6 +2443,36 @@ function closeMenu() {
     elements.menuDropdown?.classList.add('hidden');
 }
 
+/**
+ * Download recent logs with the connection health and app state as JSON,
+ * for attaching to bug reports. Secrets are redacted; nothing is uploaded.
+ */
+function exportDiagnostics() {
+    const bundle = {
+        generatedAt: new Date().toISOString(),
+        page: window.location.origin + window.location.pathname,
+        userAgent: navigator.userAgent,
+        logLevel: getLogLevel(),
+        connection: client.getDiagnostics(),
+        state: redact({
+            ...state,
+            roomMembers: state.roomMembers.length,
+            roomAvailableActivities: state.roomAvailableActivities.length,
+        }),
+        logs: exportLogs(),
+    };
+    
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `damsels-diagnostics-${bundle.generatedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    // Revoking right away can cancel the download before the browser reads the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    log.info('Exported diagnostics:', bundle.logs.length, 'log entries');
+}
+
 function toggleTheme() {
     const isDark = !elements.themeToggle?.checked;
     document.body.classList.toggle('light-mode', !isDark);
@@ -1662,17 +2547,15 @@ function getRoomShareUrl() {
 }
 
 /**
- * Open the QR code modal for room sharing.
+ * Open the QR code modal for room sharing (or for another link, such as an invitation).
  */
-function openQrModal() {
+function openQrModal(shareUrl = getRoomShareUrl(), label = null) {
     if (!elements.qrModal || !state.currentRoom) return;
-    
-    const shareUrl = getRoomShareUrl();
     if (!shareUrl) return;
     
     // Display room info
     if (elements.qrRoomId) {
-        elements.qrRoomId.textContent = `Room: ${state.currentRoom.name || state.currentRoom.code || state.currentRoom.id}`;
+        elements.qrRoomId.textContent = label || `Room: ${state.currentRoom.name || state.currentRoom.code || state.currentRoom.id}`;
     }
     if (elements.qrRoomUrl) {
         elements.qrRoomUrl.value = shareUrl;
@@ -1691,7 +2574,7 @@ function openQrModal() {
                 correctLevel: window.QRCode.CorrectLevel.M
             });
         } catch (err) {
-            console.error('[QR] Error generating QR code:', err);
+            qrLog.error('Error generating QR code:', err);
             elements.qrCodeContainer.innerHTML = '<p class="error">Failed to generate QR code</p>';
         }
     }
@@ -1725,8 +2608,71 @@ async function copyRoomUrl() {
             }, 2000);
         }
     } catch (err) {
-        console.error('[QR] Failed to copy URL:', err);
+        qrLog.error('Failed to copy URL:', err);
+    }
+}
+
+// =============================================================================
+// Confirmation Modal
+// =============================================================================
+
+// Settles the open confirmAction() promise
+let resolveConfirmation = null;
+
+/**
+ * Ask for confirmation in the confirm modal, optionally with a text field
+ * (e.g. a reason) or a choice between options.
+ *
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.message
+ * @param {string} [options.confirmText]
+ * @param {string} [options.placeholder] - Shows a text field with this placeholder
+ * @param {{value: string, label: string}[]} [options.choices] - Shows a select with these options
+ * @returns {Promise<{value: string|null}|null>} The field's value, or null when cancelled
+ */
+function confirmAction({ title, message, confirmText = 'Confirm', placeholder = null, choices = null }) {
+    if (!elements.confirmModal) {
+        return Promise.resolve(confirm(message) ? { value: null } : null);
     }
+    
+    // Only one question at a time - a new one cancels the last
+    closeConfirmModal();
+    
+    elements.confirmTitle.textContent = title;
+    elements.confirmMessage.textContent = message;
+    elements.confirmOk.textContent = confirmText;
+    elements.confirmInput.value = '';
+    elements.confirmInput.placeholder = placeholder ?? '';
+    elements.confirmInput.classList.toggle('hidden', placeholder === null);
+    elements.confirmSelect.replaceChildren(...(choices ?? []).map(choice => new Option(choice.label, choice.value)));
+    elements.confirmSelect.classList.toggle('hidden', !choices);
+    
+    elements.confirmModal.classList.remove('hidden');
+    (placeholder !== null ? elements.confirmInput : choices ? elements.confirmSelect : elements.confirmOk).focus();
+    
+    return new Promise(resolve => {
+        resolveConfirmation = resolve;
+    });
+}
+
+function closeConfirmModal(answer = null) {
+    elements.confirmModal?.classList.add('hidden');
+    const resolve = resolveConfirmation;
+    resolveConfirmation = null;
+    resolve?.(answer);
+}
+
+function submitConfirmModal(e) {
+    e.preventDefault();
+    
+    let value = null;
+    if (!elements.confirmInput.classList.contains('hidden')) {
+        value = elements.confirmInput.value.trim();
+    } else if (!elements.confirmSelect.classList.contains('hidden')) {
+        value = elements.confirmSelect.value;
+    }
+    closeConfirmModal({ value });
 }
 
 // =============================================================================
@@ -1755,13 +2701,13 @@ async function openPreferencesModal() {
     if (preferencesMode === 'user') {
         const userPrefs = client.getUserCategoryPreferences(state.user?.id || 0);
         if (userPrefs.length === 0) {
-            console.log('[Preferences] Initializing user preferences with defaults...');
+            preferencesLog.info('Initializing user preferences with defaults...');
             try {
                 await client.initUserPreferences();
                 // Small delay for subscription to update
                 await new Promise(resolve => setTimeout(resolve, 300));
             } catch (error) {
-                console.error('[Preferences] Failed to initialize:', error);
+                preferencesLog.error('Failed to initialize:', error);
             }
         }
     }
@@ -1852,9 +2798,9 @@ async function handleCategoryToggle(e) {
                 await client.removeUserCategoryPreference(categoryId);
             }
         }
-        console.log(`[Preferences] ${isChecked ? 'Added' : 'Removed'} category ${categoryId}`);
+        preferencesLog.debug(`${isChecked ? 'Added' : 'Removed'} category ${categoryId}`);
     } catch (error) {
-        console.error('[Preferences] Failed to update:', error);
+        preferencesLog.error('Failed to update:', error);
         // Revert visual state on error
         checkbox.checked = !isChecked;
         label.classList.toggle('category-checkbox--selected', !isChecked);
@@ -1878,7 +2824,7 @@ async function selectAllCategories() {
         await new Promise(resolve => setTimeout(resolve, 200));
         await renderPreferencesCategories();
     } catch (error) {
-        console.error('[Preferences] Failed to select all:', error);
+        preferencesLog.error('Failed to select all:', error);
     }
 }
 
@@ -1896,7 +2842,7 @@ async function selectNoCategories() {
         await new Promise(resolve => setTimeout(resolve, 200));
         await renderPreferencesCategories();
     } catch (error) {
-        console.error('[Preferences] Failed to clear:', error);
+        preferencesLog.error('Failed to clear:', error);
     }
 }
 
@@ -1910,19 +2856,30 @@ async function loadDevModule() {
             adminCard.style.display = 'flex';
             adminCard.addEventListener('click', async (e) => {
                 e.preventDefault();
-                try {
-                    const module = await import('./admin.js');
-                    module.initAdmin(client, state);
-                    showStep('admin');
-                } catch (err) {
-                    console.error('Failed to load admin module:', err);
-                }
+                await openAdminPanel();
             });
         }
     } catch (error) {
-        console.log('Dev admin module not available');
+        log.info('Dev admin module not available');
+    }
+}
+
+/**
+ * Load the dev admin module and show its panel.
+ */
+async function openAdminPanel() {
+    try {
+        const module = await import('./admin.js');
+        module.initAdmin(client, state);
+        showStep('admin');
+    } catch (err) {
+        log.error('Failed to load admin module:', err);
     }
 }
 
-// Start the app
-document.addEventListener('DOMContentLoaded', init);
+// Start the app (loading the fake server can finish after DOMContentLoaded)
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
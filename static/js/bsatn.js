@@ -0,0 +1,540 @@
+/**
+ * BSATN Codec for the SpacetimeDB WebSocket Protocol
+ *
+ * Decodes `v1.bsatn.spacetimedb` server messages into the same shapes the
+ * `v1.json.spacetimedb` protocol produces, so SpacetimeDBClient can run them
+ * through the existing message handlers and parseRow() unchanged.
+ *
+ * Rows are decoded into positional arrays using the SATS-JSON conventions:
+ * - Option:    [0, value] = Some(value), [1, []] = None
+ * - Enum:      [variantIndex, []]
+ * - Timestamp: [microsSinceEpoch]
+ * - Identity:  ["0x..."]
+ *
+ * Column and argument types come from the schema registry (schema.js).
+ */
+
+export const JSON_PROTOCOL = 'v1.json.spacetimedb';
+export const BSATN_PROTOCOL = 'v1.bsatn.spacetimedb';
+
+// Server message variants, in the order of the ServerMessage sum type
+const SERVER_MESSAGE_NAMES = [
+    'InitialSubscription',
+    'TransactionUpdate',
+    'TransactionUpdateLight',
+    'IdentityToken',
+    'OneOffQueryResponse',
+    'SubscribeApplied',
+    'UnsubscribeApplied',
+    'SubscriptionError',
+    'SubscribeMultiApplied',
+    'UnsubscribeMultiApplied',
+];
+
+// Client message variants, in the order of the ClientMessage sum type
+const CLIENT_MESSAGE_TAGS = {
+    CallReducer: 0,
+    Subscribe: 1,
+    OneOffQuery: 2,
+    SubscribeSingle: 3,
+    SubscribeMulti: 4,
+    Unsubscribe: 5,
+    UnsubscribeMulti: 6,
+};
+
+const utf8Decoder = new TextDecoder('utf-8');
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Convert a 64-bit integer to a Number when it can be represented exactly.
+ */
+function toSafeNumber(value) {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+        ? Number(value)
+        : value;
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const digits = hex.replace(/^0x/, '');
+    const bytes = new Uint8Array(digits.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+// =============================================================================
+// Reader
+// =============================================================================
+
+export class BsatnReader {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.bytes.byteLength - this.offset;
+    }
+
+    readU8() {
+        const value = this.view.getUint8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    readBool() {
+        return this.readU8() !== 0;
+    }
+
+    readU16() {
+        const value = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    readU32() {
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    readI32() {
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    readU64() {
+        const value = this.view.getBigUint64(this.offset, true);
+        this.offset += 8;
+        return toSafeNumber(value);
+    }
+
+    readI64() {
+        const value = this.view.getBigInt64(this.offset, true);
+        this.offset += 8;
+        return toSafeNumber(value);
+    }
+
+    readU128() {
+        const low = this.view.getBigUint64(this.offset, true);
+        const high = this.view.getBigUint64(this.offset + 8, true);
+        this.offset += 16;
+        return (high << 64n) | low;
+    }
+
+    /**
+     * Read a 256-bit identity and format it as the big-endian hex string
+     * used by the JSON protocol (u256 is little-endian on the wire).
+     */
+    readIdentity() {
+        const bytes = this.bytes.subarray(this.offset, this.offset + 32);
+        this.offset += 32;
+        return '0x' + bytesToHex(Array.from(bytes).reverse());
+    }
+
+    readBytes() {
+        const length = this.readU32();
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    readString() {
+        return utf8Decoder.decode(this.readBytes());
+    }
+
+    readArray(readElement) {
+        const length = this.readU32();
+        const items = new Array(length);
+        for (let i = 0; i < length; i++) {
+            items[i] = readElement();
+        }
+        return items;
+    }
+}
+
+// =============================================================================
+// Writer
+// =============================================================================
+
+export class BsatnWriter {
+    constructor(initialSize = 256) {
+        this.bytes = new Uint8Array(initialSize);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+    }
+
+    ensure(size) {
+        if (this.offset + size <= this.bytes.byteLength) return;
+        let capacity = this.bytes.byteLength * 2;
+        while (capacity < this.offset + size) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    writeU8(value) {
+        this.ensure(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    writeBool(value) {
+        this.writeU8(value ? 1 : 0);
+    }
+
+    writeU16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    writeU32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    writeU64(value) {
+        this.ensure(8);
+        this.view.setBigUint64(this.offset, BigInt(value), true);
+        this.offset += 8;
+    }
+
+    writeBytes(bytes) {
+        this.writeU32(bytes.byteLength);
+        this.ensure(bytes.byteLength);
+        this.bytes.set(bytes, this.offset);
+        this.offset += bytes.byteLength;
+    }
+
+    writeString(value) {
+        this.writeBytes(utf8Encoder.encode(value));
+    }
+
+    writeArray(items, writeElement) {
+        this.writeU32(items.length);
+        for (const item of items) writeElement(item);
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+// =============================================================================
+// Rows
+// =============================================================================
+
+/**
+ * Decode a single column value into its SATS-JSON equivalent.
+ */
+function readValue(reader, type) {
+    if (typeof type === 'object' && type.option) {
+        return reader.readU8() === 0 ? [0, readValue(reader, type.option)] : [1, []];
+    }
+    // Unit-only enums: variant tag followed by an empty product
+    if (typeof type === 'object' && type.variants) {
+        return [reader.readU8(), []];
+    }
+
+    switch (type) {
+        case 'bool': return reader.readBool();
+        case 'u8': return reader.readU8();
+        case 'u16': return reader.readU16();
+        case 'u32': return reader.readU32();
+        case 'i32': return reader.readI32();
+        case 'u64': return reader.readU64();
+        case 'i64': return reader.readI64();
+        case 'string': return reader.readString();
+        case 'identity': return [reader.readIdentity()];
+        case 'timestamp': return [reader.readI64()];
+        // Enum declared without variant names - same encoding
+        case 'enum': return [reader.readU8(), []];
+        default:
+            throw new Error(`Unsupported BSATN column type: ${JSON.stringify(type)}`);
+    }
+}
+
+/**
+ * Decode a BsatnRowList. Rows of tables without known column types are skipped
+ * (the row data is length-prefixed) so the caller can report the unknown table.
+ */
+function readRowList(reader, columnTypes) {
+    // RowSizeHint: FixedSize(u16) or RowOffsets(Vec<u64>) - rows are self-delimiting
+    // once the column types are known, so the hint itself is not needed
+    if (reader.readU8() === 0) {
+        reader.readU16();
+    } else {
+        reader.readArray(() => reader.readU64());
+    }
+    const rowsData = reader.readBytes();
+    if (!columnTypes) return [];
+
+    const rowReader = new BsatnReader(rowsData);
+    const rows = [];
+    while (rowReader.remaining > 0) {
+        rows.push(columnTypes.map(type => readValue(rowReader, type)));
+    }
+    return rows;
+}
+
+// =============================================================================
+// Server Messages
+// =============================================================================
+
+function readQueryUpdate(reader, columnTypes, tableName) {
+    const compression = reader.readU8();
+    if (compression !== 0) {
+        throw new Error(`Compressed query update for ${tableName} is not supported (tag ${compression})`);
+    }
+    const deletes = readRowList(reader, columnTypes);
+    const inserts = readRowList(reader, columnTypes);
+    return { deletes, inserts };
+}
+
+function readTableUpdate(reader, rowTypes) {
+    const tableId = reader.readU32();
+    const tableName = reader.readString();
+    const numRows = reader.readU64();
+    const columnTypes = rowTypes[tableName];
+    const updates = reader.readArray(() => readQueryUpdate(reader, columnTypes, tableName));
+    return { table_id: tableId, table_name: tableName, num_rows: numRows, updates };
+}
+
+function readDatabaseUpdate(reader, rowTypes) {
+    return { tables: reader.readArray(() => readTableUpdate(reader, rowTypes)) };
+}
+
+function readInitialSubscription(reader, rowTypes) {
+    return {
+        database_update: readDatabaseUpdate(reader, rowTypes),
+        request_id: reader.readU32(),
+        total_host_execution_duration: { __time_duration_micros__: reader.readI64() },
+    };
+}
+
+function readTransactionUpdate(reader, rowTypes) {
+    let status;
+    const statusTag = reader.readU8();
+    if (statusTag === 0) {
+        status = { Committed: readDatabaseUpdate(reader, rowTypes) };
+    } else if (statusTag === 1) {
+        status = { Failed: reader.readString() };
+    } else {
+        status = { OutOfEnergy: [] };
+    }
+
+    return {
+        status,
+        timestamp: { __timestamp_micros_since_unix_epoch__: reader.readI64() },
+        caller_identity: { __identity__: reader.readIdentity() },
+        caller_connection_id: { __connection_id__: reader.readU128() },
+        reducer_call: {
+            reducer_name: reader.readString(),
+            reducer_id: reader.readU32(),
+            args: reader.readBytes(),
+            request_id: reader.readU32(),
+        },
+        energy_quanta_used: { quanta: reader.readU128() },
+        total_host_execution_duration: { __time_duration_micros__: reader.readI64() },
+    };
+}
+
+function readOptionalU32(reader) {
+    return reader.readU8() === 0 ? reader.readU32() : null;
+}
+
+function readOptionalString(reader) {
+    return reader.readU8() === 0 ? reader.readString() : null;
+}
+
+function readOneOffQueryResponse(reader, rowTypes) {
+    return {
+        message_id: bytesToHex(reader.readBytes()),
+        error: readOptionalString(reader),
+        tables: reader.readArray(() => {
+            const tableName = reader.readString();
+            return { table_name: tableName, rows: readRowList(reader, rowTypes[tableName]) };
+        }),
+        total_host_execution_duration: { __time_duration_micros__: reader.readI64() },
+    };
+}
+
+function readMultiApplied(reader, rowTypes) {
+    return {
+        request_id: reader.readU32(),
+        total_host_execution_duration_micros: reader.readU64(),
+        query_id: { id: reader.readU32() },
+        update: readDatabaseUpdate(reader, rowTypes),
+    };
+}
+
+function readSubscriptionError(reader) {
+    return {
+        total_host_execution_duration_micros: reader.readU64(),
+        request_id: readOptionalU32(reader),
+        query_id: readOptionalU32(reader),
+        table_id: readOptionalU32(reader),
+        error: reader.readString(),
+    };
+}
+
+function readIdentityToken(reader) {
+    return {
+        identity: { __identity__: reader.readIdentity() },
+        token: reader.readString(),
+        connection_id: { __connection_id__: reader.readU128() },
+    };
+}
+
+/**
+ * Decode a binary server message.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Raw WebSocket frame
+ * @param {Object} rowTypes - Column types per table name (see rowTypes() in schema.js)
+ * @returns {Object} Message keyed by variant name, e.g. { TransactionUpdate: {...} }
+ */
+export function decodeServerMessage(data, rowTypes) {
+    const reader = new BsatnReader(data);
+
+    // Every frame is prefixed with its compression scheme (0 = none)
+    const compression = reader.readU8();
+    if (compression !== 0) {
+        throw new Error(`Compressed BSATN messages are not supported (tag ${compression})`);
+    }
+
+    const tag = reader.readU8();
+    switch (tag) {
+        case 0: return { InitialSubscription: readInitialSubscription(reader, rowTypes) };
+        case 1: return { TransactionUpdate: readTransactionUpdate(reader, rowTypes) };
+        case 2: return {
+            TransactionUpdateLight: {
+                request_id: reader.readU32(),
+                update: readDatabaseUpdate(reader, rowTypes),
+            },
+        };
+        case 3: return { IdentityToken: readIdentityToken(reader) };
+        case 4: return { OneOffQueryResponse: readOneOffQueryResponse(reader, rowTypes) };
+        case 7: return { SubscriptionError: readSubscriptionError(reader) };
+        case 8: return { SubscribeMultiApplied: readMultiApplied(reader, rowTypes) };
+        case 9: return { UnsubscribeMultiApplied: readMultiApplied(reader, rowTypes) };
+        default:
+            // Not consumed by the client yet; report the variant so it is logged as unhandled
+            return { [SERVER_MESSAGE_NAMES[tag] || `Unknown(${tag})`]: null };
+    }
+}
+
+// =============================================================================
+// Client Messages
+// =============================================================================
+
+/**
+ * Encode a single reducer argument from the JSON form callReducer() accepts.
+ * Enums are given as { Variant: {} }; options as the value, or null for None.
+ */
+function writeValue(writer, type, value) {
+    if (typeof type === 'object' && type.option) {
+        // Same tags readValue() decodes: 0 = some, 1 = none
+        if (value === null || value === undefined) {
+            writer.writeU8(1);
+        } else {
+            writer.writeU8(0);
+            writeValue(writer, type.option, value);
+        }
+        return;
+    }
+    if (typeof type === 'object' && type.array) {
+        writer.writeArray(value, item => writeValue(writer, type.array, item));
+        return;
+    }
+    if (typeof type === 'object' && type.variants) {
+        const variant = typeof value === 'object' ? Object.keys(value)[0] : value;
+        const index = type.variants.indexOf(variant);
+        if (index < 0) throw new Error(`Unknown enum variant: ${variant}`);
+        writer.writeU8(index);
+        return;
+    }
+
+    switch (type) {
+        case 'bool': writer.writeBool(value); return;
+        case 'u8': writer.writeU8(value); return;
+        case 'u16': writer.writeU16(value); return;
+        case 'u32': writer.writeU32(value); return;
+        case 'u64': writer.writeU64(value); return;
+        case 'string': writer.writeString(value); return;
+        default:
+            throw new Error(`Unsupported BSATN argument type: ${JSON.stringify(type)}`);
+    }
+}
+
+/**
+ * Encode reducer arguments as a BSATN product.
+ *
+ * @param {string} reducerName - Used in error messages
+ * @param {Array} types - Argument types (see REDUCER_ARG_TYPES in schema.js)
+ * @param {Array} args - Argument values
+ */
+export function encodeReducerArgs(reducerName, types, args) {
+    if (types.length !== args.length) {
+        throw new Error(`Reducer ${reducerName} takes ${types.length} arguments, got ${args.length}`);
+    }
+
+    const writer = new BsatnWriter(64);
+    types.forEach((type, i) => writeValue(writer, type, args[i]));
+    return writer.toUint8Array();
+}
+
+/**
+ * Encode a client message given in its JSON form, e.g. { Subscribe: {...} }.
+ * CallReducer args must already be BSATN-encoded (see encodeReducerArgs).
+ */
+export function encodeClientMessage(message) {
+    const [name] = Object.keys(message);
+    const body = message[name];
+    const writer = new BsatnWriter();
+
+    switch (name) {
+        case 'CallReducer':
+            writer.writeU8(CLIENT_MESSAGE_TAGS.CallReducer);
+            writer.writeString(body.reducer);
+            writer.writeBytes(body.args);
+            writer.writeU32(body.request_id);
+            writer.writeU8(body.flags);
+            break;
+        case 'OneOffQuery':
+            // message_id is hex, as in the JSON protocol
+            writer.writeU8(CLIENT_MESSAGE_TAGS.OneOffQuery);
+            writer.writeBytes(hexToBytes(body.message_id));
+            writer.writeString(body.query_string);
+            break;
+        case 'Subscribe':
+            writer.writeU8(CLIENT_MESSAGE_TAGS.Subscribe);
+            writer.writeArray(body.query_strings, query => writer.writeString(query));
+            writer.writeU32(body.request_id);
+            break;
+        case 'SubscribeMulti':
+            writer.writeU8(CLIENT_MESSAGE_TAGS.SubscribeMulti);
+            writer.writeArray(body.query_strings, query => writer.writeString(query));
+            writer.writeU32(body.request_id);
+            writer.writeU32(body.query_id.id);
+            break;
+        case 'UnsubscribeMulti':
+            writer.writeU8(CLIENT_MESSAGE_TAGS.UnsubscribeMulti);
+            writer.writeU32(body.request_id);
+            writer.writeU32(body.query_id.id);
+            break;
+        default:
+            throw new Error(`Unsupported BSATN client message: ${name}`);
+    }
+
+    return writer.toUint8Array();
+}
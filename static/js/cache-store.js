@@ -0,0 +1,78 @@
+/**
+ * IndexedDB Snapshot of the Client Cache
+ *
+ * Stores one snapshot of the parsed cache rows, tagged with the identity it
+ * belongs to and a schema key, so the next page load can hydrate the cache
+ * before the WebSocket subscription arrives. Every method resolves (never
+ * rejects): without IndexedDB (private browsing, old browsers) the store is a no-op.
+ */
+
+import { Logger } from './logger.js';
+
+const log = new Logger('STDB');
+
+const DB_NAME = 'damsels-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+const SNAPSHOT_KEY = 'cache';
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class CacheStore {
+    constructor(indexedDb = globalThis.indexedDB) {
+        this.indexedDb = indexedDb;
+        this.dbPromise = null;
+    }
+
+    get available() {
+        return !!this.indexedDb;
+    }
+
+    open() {
+        if (!this.available) return Promise.resolve(null);
+        if (!this.dbPromise) {
+            const request = this.indexedDb.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            this.dbPromise = promisifyRequest(request).catch(error => {
+                log.warn('Cache snapshot store unavailable:', error?.message);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+        try {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const result = await promisifyRequest(operation(transaction.objectStore(STORE_NAME)));
+            return result ?? null;
+        } catch (error) {
+            log.warn('Cache snapshot', mode === 'readonly' ? 'read' : 'write', 'failed:', error?.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<{identity: string, schemaKey: string, savedAt: number, tables: Object}|null>}
+     */
+    load() {
+        return this.run('readonly', store => store.get(SNAPSHOT_KEY));
+    }
+
+    save(snapshot) {
+        return this.run('readwrite', store => store.put(snapshot, SNAPSHOT_KEY));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.delete(SNAPSHOT_KEY));
+    }
+}
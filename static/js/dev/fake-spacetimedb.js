@@ -0,0 +1,1268 @@
+/**
+ * Damsels - In-Memory Fake SpacetimeDB (DEVELOPMENT ONLY)
+ *
+ * A stand-in for the damsels module that runs in the same process as the
+ * client, so SpacetimeDBClient and app.js flows can be exercised with no
+ * backend. It speaks the `v1.json.spacetimedb` subscribe protocol through a
+ * fake WebSocket class and serves `/v1/database/damsels/call/*` through a
+ * fake fetch; hand both to the client via its injectable dependencies:
+ *
+ *     const server = new FakeSpacetimeDB();
+ *     const alice = new SpacetimeDBClient({ ...server.clientOptions(), persistCache: false });
+ *     const bob = new SpacetimeDBClient({ ...server.clientOptions(), persistCache: false });
+ *
+ * Every client gets its own identity, so several clients on one server can
+ * share a room. Tables mirror TABLES and MODULE_EXTENSIONS in schema.js; the
+ * reducers reimplement the module's behaviour closely enough for the UI (room
+ * membership and moderation, activity selection and completion with XP and
+ * unlocks, ratings, not-wanted marks and category preferences) and fail with
+ * the module's error messages.
+ *
+ * Subscriptions support the query shapes the client sends: `SELECT * FROM t`,
+ * an optional `WHERE col = literal`, and `SELECT a.* FROM a JOIN b ON ... WHERE`.
+ * Rows are delivered once per matching query, as the client's ref counting expects.
+ * One-off queries (the client's latency probes) accept the same shapes.
+ * `latencyMs`, setStalled() and setReachable() simulate slow, half-open and
+ * lost connections.
+ *
+ * `/schema?version=9` serves the module definition for schema discovery. It
+ * includes MODULE_EXTENSIONS unless `extensions: false`, which stands in for
+ * a deployed module that predates them: their reducers then fail as unknown,
+ * and their tables and columns can't be queried and aren't sent.
+ *
+ * Not implemented: BSATN (the client falls back to JSON) and persistence.
+ */
+
+import { JSON_PROTOCOL } from '../bsatn.js';
+import { Logger } from '../logger.js';
+import { ENUMS, MODULE_EXTENSIONS, REDUCER_ARG_TYPES, TABLES } from '../schema.js';
+
+const log = new Logger('FAKE');
+
+// =============================================================================
+// Seed Data
+// =============================================================================
+
+// Categories with id < 100 are the defaults new users start with
+const DEFAULT_SEED = {
+    category: [
+        { id: 1, name: 'Warm-up', description: 'Easy ways to get started', display_order: 1 },
+        { id: 2, name: 'Communication', description: 'Talking, listening and checking in', display_order: 2 },
+        { id: 3, name: 'Trust', description: 'Building confidence together', display_order: 3 },
+        { id: 100, name: 'Advanced', description: 'For experienced players', display_order: 4 },
+    ],
+    activity: [
+        { id: 1, category_id: 1, kind: 'Activity', name: 'Check-in', description: 'Share how you feel today', instructions: 'Take turns answering.', video_url: null, xp_required: 0, xp_reward: 10 },
+        { id: 2, category_id: 1, kind: 'Skill', name: 'Breathing', description: 'Breathe in sync', instructions: 'Four counts in, four counts out.', video_url: null, xp_required: 0, xp_reward: 10 },
+        { id: 3, category_id: 2, kind: 'Activity', name: 'Safe words', description: 'Agree on your signals', instructions: 'Pick a word for stop and one for slow down.', video_url: null, xp_required: 0, xp_reward: 15 },
+        { id: 4, category_id: 3, kind: 'Skill', name: 'Trust fall', description: 'Catch each other', instructions: 'Start small.', video_url: null, xp_required: 20, xp_reward: 25 },
+        { id: 5, category_id: 100, kind: 'Activity', name: 'Scene planning', description: 'Plan a longer session', instructions: 'Write it down together.', video_url: null, xp_required: 50, xp_reward: 40 },
+    ],
+};
+
+const ZERO_IDENTITY = '0'.repeat(64);
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    globalThis.crypto.getRandomValues(values);
+    return Array.from(values, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function normalizeHex(value) {
+    return String(value ?? '').replace(/^0x/i, '').toLowerCase();
+}
+
+function nowMicros() {
+    return Date.now() * 1000;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A reducer failure: the message is what the real module would return.
+ */
+class ReducerError extends Error {}
+
+function fail(message) {
+    throw new ReducerError(message);
+}
+
+/**
+ * Variant name of an enum argument: 'Top', { Top: {} }, or [index, []].
+ */
+function variantName(enumType, value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return enumType.variants[value[0]];
+    if (value && typeof value === 'object') return Object.keys(value)[0];
+    return undefined;
+}
+
+/**
+ * Encode a stored column value in SATS-JSON, as the module would send it.
+ */
+function encodeValue(type, value) {
+    if (typeof type === 'object' && type.option) {
+        return value === null || value === undefined ? { none: [] } : { some: encodeValue(type.option, value) };
+    }
+    if ((typeof type === 'object' && type.variants) || type === 'enum') return { [value]: [] };
+    if (type === 'identity') return { __identity__: `0x${value}` };
+    if (type === 'timestamp') return { __timestamp_micros_since_unix_epoch__: value };
+    return value;
+}
+
+function encodeRow(tables, tableName, row) {
+    return tables[tableName].columns.map(column => encodeValue(column.type, row[column.name]));
+}
+
+// =============================================================================
+// Module Definition
+// =============================================================================
+
+const PRIMITIVE_TAGS = {
+    bool: 'Bool', u8: 'U8', u16: 'U16', u32: 'U32', u64: 'U64',
+    i32: 'I32', i64: 'I64', string: 'String',
+};
+
+// user.role is a raw 'enum' to the client; the fake only ever stores 'Member'
+const USER_ROLE = { enum: 'UserRole', variants: ['Member'] };
+
+const UNIT = { Product: { elements: [] } };
+
+function element(name, algebraicType) {
+    return { name: { some: name }, algebraic_type: algebraicType };
+}
+
+/**
+ * The tables a module serves: TABLES, plus the tables and columns from
+ * MODULE_EXTENSIONS for a module that has them.
+ */
+function moduleTables(extensions) {
+    if (!extensions) return TABLES;
+    const tables = { ...TABLES, ...MODULE_EXTENSIONS.tables };
+    for (const [tableName, columns] of Object.entries(MODULE_EXTENSIONS.columns)) {
+        tables[tableName] = { ...tables[tableName], columns: [...tables[tableName].columns, ...columns] };
+    }
+    return tables;
+}
+
+/**
+ * A RawModuleDefV9 as served by GET /v1/database/{module}/schema?version=9:
+ * row types and enums live in the typespace, and enums are exported by name.
+ *
+ * @param {Object} enums - Variants the module declares, by enum name
+ */
+function buildModuleDef(enums, tables, reducerArgTypes) {
+    const types = [];
+    const exports = [];
+    const enumRefs = new Map();
+
+    const algebraicType = (type) => {
+        if (type === 'enum') type = USER_ROLE;
+        if (type.option) {
+            return { Sum: { variants: [element('some', algebraicType(type.option)), element('none', UNIT)] } };
+        }
+        if (type.array) return { Array: algebraicType(type.array) };
+        if (type.variants) {
+            if (!enumRefs.has(type.enum)) {
+                const variants = enums[type.enum]?.variants ?? type.variants;
+                enumRefs.set(type.enum, types.length);
+                types.push({ Sum: { variants: variants.map(name => element(name, UNIT)) } });
+                exports.push({ name: { scope: [], name: type.enum }, ty: enumRefs.get(type.enum), custom_ordering: true });
+            }
+            return { Ref: enumRefs.get(type.enum) };
+        }
+        if (type === 'identity') return { Product: { elements: [element('__identity__', { U256: [] })] } };
+        if (type === 'timestamp') {
+            return { Product: { elements: [element('__timestamp_micros_since_unix_epoch__', { I64: [] })] } };
+        }
+        return { [PRIMITIVE_TAGS[type]]: [] };
+    };
+
+    const tableDefs = Object.entries(tables).map(([tableName, { primaryKey, columns }]) => {
+        const elements = columns.map(column => element(column.name, algebraicType(column.type)));
+        types.push({ Product: { elements } });
+        return {
+            name: tableName,
+            product_type_ref: types.length - 1,
+            primary_key: [columns.findIndex(column => column.name === primaryKey)],
+        };
+    });
+    const reducers = Object.entries(reducerArgTypes).map(([name, argTypes]) => ({
+        name,
+        params: { elements: argTypes.map((type, i) => element(`arg${i}`, algebraicType(type))) },
+        lifecycle: { none: [] },
+    }));
+
+    return { typespace: { types }, tables: tableDefs, reducers, types: exports, misc_exports: [], row_level_security: [] };
+}
+
+// =============================================================================
+// Tables
+// =============================================================================
+
+/**
+ * The module's tables: rows keyed by id, stored with snake_case columns and
+ * plain values (enum variant names, null for None, identity hex, timestamp micros).
+ * Rows are replaced rather than mutated, so a snapshot is a cheap shallow copy.
+ */
+class FakeDatabase {
+    constructor(seed) {
+        this.tables = {};
+        this.nextIds = {};
+        // Extension tables exist even when the module doesn't serve them, so reducers needn't check
+        for (const tableName of [...Object.keys(TABLES), ...Object.keys(MODULE_EXTENSIONS.tables)]) {
+            this.tables[tableName] = new Map();
+            this.nextIds[tableName] = 1;
+        }
+        for (const [tableName, rows] of Object.entries(seed)) {
+            for (const row of rows) this.insert(tableName, row);
+        }
+    }
+
+    insert(tableName, row) {
+        const id = row.id ?? this.nextIds[tableName];
+        this.nextIds[tableName] = Math.max(this.nextIds[tableName], id + 1);
+        const stored = { ...row, id };
+        this.tables[tableName].set(id, stored);
+        return stored;
+    }
+
+    update(tableName, row, changes) {
+        const stored = { ...row, ...changes };
+        this.tables[tableName].set(row.id, stored);
+        return stored;
+    }
+
+    delete(tableName, id) {
+        this.tables[tableName].delete(id);
+    }
+
+    find(tableName, id) {
+        return this.tables[tableName].get(id) ?? null;
+    }
+
+    filter(tableName, predicate = () => true) {
+        return Array.from(this.tables[tableName].values()).filter(predicate);
+    }
+
+    findWhere(tableName, predicate) {
+        return this.filter(tableName, predicate)[0] ?? null;
+    }
+
+    snapshot() {
+        return {
+            tables: Object.fromEntries(Object.entries(this.tables).map(([name, rows]) => [name, new Map(rows)])),
+            nextIds: { ...this.nextIds },
+        };
+    }
+
+    restore({ tables, nextIds }) {
+        this.tables = tables;
+        this.nextIds = nextIds;
+    }
+}
+
+// =============================================================================
+// Subscription Queries
+// =============================================================================
+
+function parseLiteral(text) {
+    if (/^0x[0-9a-f]+$/i.test(text)) return { hex: normalizeHex(text) };
+    if (/^-?\d+$/.test(text)) return { value: Number(text) };
+    if (/^'.*'$/.test(text)) return { value: text.slice(1, -1).replace(/''/g, "'") };
+    if (text === 'true' || text === 'false') return { value: text === 'true' };
+    throw new Error(`unsupported literal: ${text}`);
+}
+
+function literalMatches(literal, value) {
+    return 'hex' in literal ? normalizeHex(value) === literal.hex : value === literal.value;
+}
+
+function checkColumn(tables, tableName, column) {
+    if (!tables[tableName]) throw new Error(`no such table: ${tableName}`);
+    if (!tables[tableName].columns.some(c => c.name === column)) {
+        throw new Error(`no such column: ${tableName}.${column}`);
+    }
+}
+
+/**
+ * Parse one of the query shapes the client sends into
+ * { table, join: {table, column, joinColumn} | null, where: {table, column, literal} | null }.
+ */
+function parseQuery(tables, sql) {
+    const text = sql.trim().replace(/\s+/g, ' ').replace(/;$/, '');
+    let match = text.match(/^SELECT \* FROM (\w+)(?: WHERE (\w+) = ('(?:[^']|'')*'|\S+))?$/i);
+    if (match) {
+        const [, table, column, literal] = match;
+        if (!tables[table]) throw new Error(`no such table: ${table}`);
+        if (column) checkColumn(tables, table, column);
+        return {
+            table,
+            join: null,
+            where: column ? { table, column, literal: parseLiteral(literal) } : null,
+        };
+    }
+
+    match = text.match(/^SELECT (\w+)\.\* FROM (\w+) JOIN (\w+) ON (\w+)\.(\w+) = (\w+)\.(\w+) WHERE (\w+)\.(\w+) = ('(?:[^']|'')*'|\S+)$/i);
+    if (match) {
+        const [, selected, from, joined, leftTable, leftColumn, rightTable, rightColumn, whereTable, whereColumn, literal] = match;
+        if (selected !== from) throw new Error(`can only select from ${from}`);
+        const on = { [leftTable]: leftColumn, [rightTable]: rightColumn };
+        if (!on[from] || !on[joined]) throw new Error(`join must compare ${from} with ${joined}`);
+        checkColumn(tables, from, on[from]);
+        checkColumn(tables, joined, on[joined]);
+        checkColumn(tables, whereTable, whereColumn);
+        return {
+            table: from,
+            join: { table: joined, column: on[from], joinColumn: on[joined] },
+            where: { table: whereTable, column: whereColumn, literal: parseLiteral(literal) },
+        };
+    }
+
+    throw new Error(`unsupported query: ${sql}`);
+}
+
+/**
+ * Rows a parsed query selects, as a Map of id -> encoded row JSON.
+ */
+function evaluateQuery(db, tables, query) {
+    const { table, join, where } = query;
+    const whereMatches = (tableName, row) =>
+        !where || where.table !== tableName || literalMatches(where.literal, row[where.column]);
+
+    const rows = db.filter(table, row => {
+        if (!whereMatches(table, row)) return false;
+        if (!join) return true;
+        return db.filter(join.table).some(joinRow =>
+            joinRow[join.joinColumn] === row[join.column] && whereMatches(join.table, joinRow));
+    });
+    return new Map(rows.map(row => [row.id, JSON.stringify(encodeRow(tables, table, row))]));
+}
+
+/**
+ * TableUpdates for SubscribeMultiApplied / TransactionUpdate, one entry per
+ * table with rows repeated once per query that selected them.
+ */
+function buildTableUpdates(tables, changes) {
+    const tableNames = Object.keys(tables);
+    return Object.entries(changes)
+        .filter(([, { inserts, deletes }]) => inserts.length > 0 || deletes.length > 0)
+        .map(([tableName, { inserts, deletes }]) => ({
+            table_id: tableNames.indexOf(tableName),
+            table_name: tableName,
+            num_rows: inserts.length,
+            updates: [{ inserts: inserts.map(row => JSON.parse(row)), deletes: deletes.map(row => JSON.parse(row)) }],
+        }));
+}
+
+function addChange(changes, tableName, kind, row) {
+    changes[tableName] ??= { inserts: [], deletes: [] };
+    changes[tableName][kind].push(row);
+}
+
+// =============================================================================
+// Reducers
+// =============================================================================
+
+function requireUser(db, ctx) {
+    return db.findWhere('user', u => u.identity === ctx.identity) ?? fail('Not logged in');
+}
+
+function requirePlayer(db, ctx, playerId) {
+    const user = requireUser(db, ctx);
+    const player = db.find('player', playerId) ?? fail('Player not found');
+    if (player.user_id !== user.id) fail('Player does not belong to this user');
+    return player;
+}
+
+function requireRoom(db, roomId) {
+    return db.find('room', roomId) ?? fail('Room not found');
+}
+
+function requireOwner(room, player, action) {
+    if (room.owner_id !== player.id) fail(`Only the room owner can ${action}`);
+}
+
+function requireMember(db, roomId, playerId) {
+    return db.findWhere('room_member', m => m.room_id === roomId && m.player_id === playerId)
+        ?? fail('You are not in this room');
+}
+
+function requireCategory(db, categoryId) {
+    return db.find('category', categoryId) ?? fail('Category not found');
+}
+
+function requireRole(role) {
+    const name = variantName(ENUMS.Role, role);
+    if (!ENUMS.Role.variants.includes(name)) fail(`Unknown role: ${JSON.stringify(role)}`);
+    return name;
+}
+
+function activeRoomActivity(db, roomId) {
+    return db.findWhere('room_activity', ra =>
+        ra.room_id === roomId && (ra.status === 'Viewing' || ra.status === 'InProgress'));
+}
+
+function deleteRoomActivity(db, roomActivity) {
+    for (const participant of db.filter('activity_participant', p => p.room_activity_id === roomActivity.id)) {
+        db.delete('activity_participant', participant.id);
+    }
+    db.delete('room_activity', roomActivity.id);
+}
+
+/**
+ * Unlock every activity the player has enough XP for.
+ */
+function unlockActivities(db, ctx, player, isNew) {
+    for (const activity of db.filter('activity', a => a.xp_required <= player.xp)) {
+        const unlocked = db.findWhere('player_unlocked_activity', ua =>
+            ua.player_id === player.id && ua.activity_id === activity.id);
+        if (unlocked) continue;
+        const category = db.find('category', activity.category_id);
+        db.insert('player_unlocked_activity', {
+            player_id: player.id,
+            activity_id: activity.id,
+            activity_name: activity.name,
+            activity_description: activity.description,
+            category_id: activity.category_id,
+            category_name: category?.name ?? '',
+            kind: activity.kind,
+            xp_required: activity.xp_required,
+            xp_reward: activity.xp_reward,
+            unlocked_at: ctx.timestamp,
+            is_new: isNew,
+        });
+    }
+}
+
+function joinRoomAs(db, ctx, player, room, role) {
+    if (!room.is_open) fail('Room is closed');
+    if (db.findWhere('room_member', m => m.room_id === room.id && m.player_id === player.id)) {
+        fail('Already in this room');
+    }
+    // A removal is only explained until the player is back in the room
+    for (const removal of db.filter('room_removal', r => r.room_id === room.id && r.player_id === player.id)) {
+        db.delete('room_removal', removal.id);
+    }
+    return db.insert('room_member', { room_id: room.id, player_id: player.id, role, joined_at: ctx.timestamp });
+}
+
+function generateRoomCode(db) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    for (;;) {
+        const code = Array.from({ length: 5 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+        if (!db.findWhere('room', r => r.code === code)) return code;
+    }
+}
+
+/**
+ * Activities every member of the room may do: unlocked by all, wanted by
+ * all, and in every member's preferred categories - the same rules as
+ * SpacetimeDBClient.computeRoomAvailableActivities().
+ */
+function roomAvailableActivityIds(db, roomId) {
+    const members = db.filter('room_member', m => m.room_id === roomId);
+    return db.filter('activity', activity => members.every(member => {
+        const playerId = member.player_id;
+        return db.findWhere('player_unlocked_activity', ua => ua.player_id === playerId && ua.activity_id === activity.id)
+            && !db.findWhere('player_not_wanted_activity', nw => nw.player_id === playerId && nw.activity_id === activity.id)
+            && db.findWhere('player_category_preference', p => p.player_id === playerId && p.category_id === activity.category_id);
+    })).map(activity => activity.id);
+}
+
+function selectActivity(db, ctx, player, roomId, activityId) {
+    const room = requireRoom(db, roomId);
+    if (!room.is_open) fail('Room is closed');
+    requireMember(db, roomId, player.id);
+    db.find('activity', activityId) ?? fail('Activity not found');
+
+    const active = activeRoomActivity(db, roomId);
+    if (active?.status === 'InProgress') fail('An activity is already in progress');
+    if (active) deleteRoomActivity(db, active);
+
+    const roomActivity = db.insert('room_activity', {
+        room_id: roomId,
+        activity_id: activityId,
+        status: 'Viewing',
+        started_by: player.id,
+        created_at: ctx.timestamp,
+        started_at: null,
+        completed_at: null,
+    });
+    for (const member of db.filter('room_member', m => m.room_id === roomId)) {
+        db.insert('activity_participant', {
+            room_activity_id: roomActivity.id,
+            player_id: member.player_id,
+            role: member.role,
+            xp_earned: 0,
+            completed: false,
+        });
+    }
+}
+
+function setCategoryPreferences(db, tableName, ownerColumn, ownerId, categoryIds) {
+    for (const preference of db.filter(tableName, p => p[ownerColumn] === ownerId)) {
+        db.delete(tableName, preference.id);
+    }
+    for (const categoryId of new Set(categoryIds)) {
+        requireCategory(db, categoryId);
+        db.insert(tableName, { [ownerColumn]: ownerId, category_id: categoryId });
+    }
+}
+
+function addCategoryPreference(db, tableName, ownerColumn, ownerId, categoryId) {
+    requireCategory(db, categoryId);
+    if (db.findWhere(tableName, p => p[ownerColumn] === ownerId && p.category_id === categoryId)) return;
+    db.insert(tableName, { [ownerColumn]: ownerId, category_id: categoryId });
+}
+
+function removeCategoryPreference(db, tableName, ownerColumn, ownerId, categoryId) {
+    const preference = db.findWhere(tableName, p => p[ownerColumn] === ownerId && p.category_id === categoryId);
+    if (preference) db.delete(tableName, preference.id);
+}
+
+/**
+ * Reducer implementations by name: (db, ctx, ...args). Throwing ReducerError
+ * fails the call and rolls the transaction back.
+ */
+const REDUCERS = {
+    register_user(db, ctx, username, password) {
+        username = String(username ?? '').trim();
+        if (!username) fail('Username is required');
+        if ((password ?? '').length < 4) fail('Password must be at least 4 characters');
+        if (db.findWhere('user', u => u.username === username)) fail('Username already taken');
+        for (const user of db.filter('user', u => u.identity === ctx.identity)) {
+            db.update('user', user, { identity: ZERO_IDENTITY });
+        }
+        db.insert('user', {
+            identity: ctx.identity,
+            username,
+            password_hash: `fake:${password}`,  // Not a hash - the fake never leaves the machine
+            role: 'Member',
+            created_at: ctx.timestamp,
+            last_seen: ctx.timestamp,
+        });
+    },
+
+    login_user(db, ctx, username, password) {
+        const user = db.findWhere('user', u => u.username === username && u.password_hash === `fake:${password}`)
+            ?? fail('Invalid username or password');
+        for (const other of db.filter('user', u => u.identity === ctx.identity && u.id !== user.id)) {
+            db.update('user', other, { identity: ZERO_IDENTITY });
+        }
+        db.update('user', user, { identity: ctx.identity, last_seen: ctx.timestamp });
+    },
+
+    logout_user(db, ctx) {
+        const user = requireUser(db, ctx);
+        db.update('user', user, { identity: ZERO_IDENTITY, last_seen: ctx.timestamp });
+    },
+
+    create_player(db, ctx, playerName) {
+        const user = requireUser(db, ctx);
+        const username = String(playerName ?? '').trim();
+        if (!username) fail('Player name is required');
+        db.insert('player', { user_id: user.id, username, xp: 0, created_at: ctx.timestamp });
+    },
+
+    initialize_unlocked_activities(db, ctx, playerId) {
+        unlockActivities(db, ctx, requirePlayer(db, ctx, playerId), false);
+    },
+
+    acknowledge_new_activities(db, ctx, playerId) {
+        requirePlayer(db, ctx, playerId);
+        for (const unlocked of db.filter('player_unlocked_activity', ua => ua.player_id === playerId && ua.is_new)) {
+            db.update('player_unlocked_activity', unlocked, { is_new: false });
+        }
+    },
+
+    award_xp(db, ctx, playerId, amount) {
+        const player = requirePlayer(db, ctx, playerId);
+        unlockActivities(db, ctx, db.update('player', player, { xp: player.xp + amount }), true);
+    },
+
+    create_room(db, ctx, playerId, roomName, role) {
+        const player = requirePlayer(db, ctx, playerId);
+        role = requireRole(role);
+        const room = db.insert('room', {
+            code: generateRoomCode(db),
+            name: String(roomName ?? '').trim() || `${player.username}'s room`,
+            owner_id: player.id,
+            is_open: true,
+            created_at: ctx.timestamp,
+            is_locked: false,
+        });
+        joinRoomAs(db, ctx, player, room, role);
+    },
+
+    join_room(db, ctx, playerId, roomCode, role) {
+        const player = requirePlayer(db, ctx, playerId);
+        role = requireRole(role);
+        const code = String(roomCode ?? '').trim().toUpperCase();
+        const room = db.findWhere('room', r => r.code === code) ?? fail('Room not found');
+        // Locked rooms only take invitations (accept_invitation)
+        if (room.is_open && room.is_locked) fail('Room is locked');
+        joinRoomAs(db, ctx, player, room, role);
+    },
+
+    accept_invitation(db, ctx, playerId, token, role) {
+        const player = requirePlayer(db, ctx, playerId);
+        role = requireRole(role);
+        const invitation = db.findWhere('room_invitation', i => i.token === token) ?? fail('Invitation not found');
+        if (invitation.status === 'Revoked') fail('Invitation has been revoked');
+        if (invitation.status !== 'Pending') fail('Invitation has already been used');
+        const user = requireUser(db, ctx);
+        if (invitation.for_username && invitation.for_username !== user.username && invitation.for_username !== player.username) {
+            fail('This invitation is for someone else');
+        }
+        joinRoomAs(db, ctx, player, requireRoom(db, invitation.room_id), role);
+        db.update('room_invitation', invitation, { status: 'Accepted', accepted_by: player.id });
+    },
+
+    leave_room(db, ctx, playerId, roomId) {
+        requirePlayer(db, ctx, playerId);
+        db.delete('room_member', requireMember(db, roomId, playerId).id);
+    },
+
+    change_role(db, ctx, playerId, roomId, role) {
+        requirePlayer(db, ctx, playerId);
+        db.update('room_member', requireMember(db, roomId, playerId), { role: requireRole(role) });
+    },
+
+    create_room_invitation(db, ctx, playerId, roomId, forUsername) {
+        const player = requirePlayer(db, ctx, playerId);
+        const room = requireRoom(db, roomId);
+        requireOwner(room, player, 'invite players');
+        if (!room.is_open) fail('Room is closed');
+        db.insert('room_invitation', {
+            room_id: room.id,
+            token: randomHex(12),
+            created_by: player.id,
+            for_username: forUsername || null,
+            status: 'Pending',
+            created_at: ctx.timestamp,
+            accepted_by: null,
+        });
+    },
+
+    revoke_room_invitation(db, ctx, playerId, invitationId) {
+        const player = requirePlayer(db, ctx, playerId);
+        const invitation = db.find('room_invitation', invitationId) ?? fail('Invitation not found');
+        requireOwner(requireRoom(db, invitation.room_id), player, 'revoke invitations');
+        if (invitation.status !== 'Pending') fail('Invitation has already been used');
+        db.update('room_invitation', invitation, { status: 'Revoked' });
+    },
+
+    decline_room_invitation(db, ctx, invitationId) {
+        const user = requireUser(db, ctx);
+        const invitation = db.find('room_invitation', invitationId) ?? fail('Invitation not found');
+        if (invitation.for_username !== user.username) fail('This invitation is for someone else');
+        if (invitation.status !== 'Pending') fail('Invitation has already been used');
+        db.update('room_invitation', invitation, { status: 'Declined' });
+    },
+
+    close_room(db, ctx, playerId, roomId) {
+        const player = requirePlayer(db, ctx, playerId);
+        const room = requireRoom(db, roomId);
+        requireOwner(room, player, 'close the room');
+        db.update('room', room, { is_open: false });
+    },
+
+    kick_room_member(db, ctx, playerId, roomId, targetPlayerId, reason) {
+        const player = requirePlayer(db, ctx, playerId);
+        const room = requireRoom(db, roomId);
+        requireOwner(room, player, 'remove players');
+        if (targetPlayerId === player.id) fail('You cannot remove yourself - leave the room instead');
+        const member = db.findWhere('room_member', m => m.room_id === roomId && m.player_id === targetPlayerId)
+            ?? fail('That player is not in this room');
+        db.delete('room_member', member.id);
+        db.insert('room_removal', {
+            room_id: roomId,
+            player_id: targetPlayerId,
+            removed_by: player.id,
+            reason: String(reason ?? '').trim(),
+            removed_at: ctx.timestamp,
+        });
+    },
+
+    transfer_room_ownership(db, ctx, playerId, roomId, newOwnerId) {
+        const player = requirePlayer(db, ctx, playerId);
+        const room = requireRoom(db, roomId);
+        requireOwner(room, player, 'transfer ownership');
+        if (!room.is_open) fail('Room is closed');
+        if (newOwnerId === player.id) fail('You already own this room');
+        if (!db.findWhere('room_member', m => m.room_id === roomId && m.player_id === newOwnerId)) {
+            fail('That player is not in this room');
+        }
+        db.update('room', room, { owner_id: newOwnerId });
+    },
+
+    set_room_locked(db, ctx, playerId, roomId, locked) {
+        const player = requirePlayer(db, ctx, playerId);
+        const room = requireRoom(db, roomId);
+        requireOwner(room, player, 'lock the room');
+        if (!room.is_open) fail('Room is closed');
+        db.update('room', room, { is_locked: !!locked });
+    },
+
+    select_room_activity(db, ctx, playerId, roomId, activityId) {
+        selectActivity(db, ctx, requirePlayer(db, ctx, playerId), roomId, activityId);
+    },
+
+    random_room_activity(db, ctx, playerId, roomId) {
+        const player = requirePlayer(db, ctx, playerId);
+        requireMember(db, roomId, playerId);
+        const candidates = roomAvailableActivityIds(db, roomId);
+        if (candidates.length === 0) fail('No activities are available for everyone in this room');
+
+        // Weighted by the members' ratings: unrated activities weigh 1, each star adds 1
+        const members = db.filter('room_member', m => m.room_id === roomId);
+        const weights = candidates.map(activityId => 1 + members.reduce((sum, member) => {
+            const played = db.findWhere('player_activity', pa => pa.player_id === member.player_id && pa.activity_id === activityId);
+            return sum + (played?.rating ?? 0);
+        }, 0) / members.length);
+        let roll = Math.random() * weights.reduce((a, b) => a + b, 0);
+        const index = weights.findIndex(weight => (roll -= weight) < 0);
+        selectActivity(db, ctx, player, roomId, candidates[index === -1 ? candidates.length - 1 : index]);
+    },
+
+    start_room_activity(db, ctx, playerId, roomId) {
+        requirePlayer(db, ctx, playerId);
+        requireMember(db, roomId, playerId);
+        const active = activeRoomActivity(db, roomId);
+        if (active?.status !== 'Viewing') fail('No activity selected');
+        db.update('room_activity', active, { status: 'InProgress', started_at: ctx.timestamp });
+    },
+
+    complete_room_activity(db, ctx, playerId, roomId) {
+        requirePlayer(db, ctx, playerId);
+        requireMember(db, roomId, playerId);
+        const active = activeRoomActivity(db, roomId);
+        if (active?.status !== 'InProgress') fail('No activity in progress');
+        const activity = db.find('activity', active.activity_id) ?? fail('Activity not found');
+
+        db.update('room_activity', active, { status: 'Completed', completed_at: ctx.timestamp });
+        for (const participant of db.filter('activity_participant', p => p.room_activity_id === active.id)) {
+            db.update('activity_participant', participant, { xp_earned: activity.xp_reward, completed: true });
+
+            const player = db.find('player', participant.player_id);
+            if (!player) continue;
+            const updated = db.update('player', player, { xp: player.xp + activity.xp_reward });
+            const played = db.findWhere('player_activity', pa => pa.player_id === player.id && pa.activity_id === activity.id);
+            const completion = { status: 'Completed', completed_at: ctx.timestamp, completed_by: playerId };
+            if (played) {
+                db.update('player_activity', played, completion);
+            } else {
+                db.insert('player_activity', { player_id: player.id, activity_id: activity.id, ...completion, vouched: false, rating: null });
+            }
+            unlockActivities(db, ctx, updated, true);
+        }
+    },
+
+    cancel_room_activity(db, ctx, playerId, roomId) {
+        requirePlayer(db, ctx, playerId);
+        requireMember(db, roomId, playerId);
+        const active = activeRoomActivity(db, roomId) ?? fail('No activity to cancel');
+        deleteRoomActivity(db, active);
+    },
+
+    rate_activity(db, ctx, playerId, activityId, rating) {
+        requirePlayer(db, ctx, playerId);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) fail('Rating must be between 1 and 5');
+        const played = db.findWhere('player_activity', pa => pa.player_id === playerId && pa.activity_id === activityId);
+        if (played?.status !== 'Completed') fail('Complete the activity before rating it');
+        db.update('player_activity', played, { rating });
+    },
+
+    mark_activity_not_wanted(db, ctx, playerId, activityId) {
+        requirePlayer(db, ctx, playerId);
+        db.find('activity', activityId) ?? fail('Activity not found');
+        if (db.findWhere('player_not_wanted_activity', nw => nw.player_id === playerId && nw.activity_id === activityId)) return;
+        db.insert('player_not_wanted_activity', { player_id: playerId, activity_id: activityId, created_at: ctx.timestamp });
+    },
+
+    unmark_activity_not_wanted(db, ctx, playerId, activityId) {
+        requirePlayer(db, ctx, playerId);
+        const mark = db.findWhere('player_not_wanted_activity', nw => nw.player_id === playerId && nw.activity_id === activityId);
+        if (mark) db.delete('player_not_wanted_activity', mark.id);
+    },
+
+    init_user_preferences(db, ctx) {
+        const user = requireUser(db, ctx);
+        if (db.findWhere('user_category_preference', p => p.user_id === user.id)) return;
+        const defaults = db.filter('category', c => c.id < 100).map(c => c.id);
+        setCategoryPreferences(db, 'user_category_preference', 'user_id', user.id, defaults);
+    },
+
+    add_user_category_preference(db, ctx, categoryId) {
+        addCategoryPreference(db, 'user_category_preference', 'user_id', requireUser(db, ctx).id, categoryId);
+    },
+
+    remove_user_category_preference(db, ctx, categoryId) {
+        removeCategoryPreference(db, 'user_category_preference', 'user_id', requireUser(db, ctx).id, categoryId);
+    },
+
+    set_user_category_preferences(db, ctx, categoryIds) {
+        setCategoryPreferences(db, 'user_category_preference', 'user_id', requireUser(db, ctx).id, categoryIds);
+    },
+
+    add_player_category_preference(db, ctx, playerId, categoryId) {
+        requirePlayer(db, ctx, playerId);
+        addCategoryPreference(db, 'player_category_preference', 'player_id', playerId, categoryId);
+    },
+
+    remove_player_category_preference(db, ctx, playerId, categoryId) {
+        requirePlayer(db, ctx, playerId);
+        removeCategoryPreference(db, 'player_category_preference', 'player_id', playerId, categoryId);
+    },
+
+    set_player_category_preferences(db, ctx, playerId, categoryIds) {
+        requirePlayer(db, ctx, playerId);
+        setCategoryPreferences(db, 'player_category_preference', 'player_id', playerId, categoryIds);
+    },
+};
+
+// =============================================================================
+// Fake WebSocket
+// =============================================================================
+
+/**
+ * The client side of a socket to the fake server. Implements the parts of
+ * the browser WebSocket the client uses (onopen/onmessage/onerror/onclose,
+ * send, close, protocol, readyState).
+ */
+class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(server, url, protocols) {
+        this.server = server;
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.binaryType = 'blob';
+        this.protocol = '';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+
+        const offered = [].concat(protocols ?? []);
+        setTimeout(() => {
+            if (!server.reachable || !offered.includes(JSON_PROTOCOL)) {
+                this.onerror?.({ type: 'error' });
+                this.finishClose(1006, server.reachable ? 'Unsupported protocol' : 'Unreachable');
+                return;
+            }
+            this.protocol = JSON_PROTOCOL;
+            this.readyState = FakeWebSocket.OPEN;
+            this.connection = server.acceptConnection(this, new URL(url).searchParams.get('token'));
+            this.onopen?.({ type: 'open' });
+            server.sendIdentityToken(this.connection);
+        }, server.latencyMs);
+    }
+
+    send(data) {
+        if (this.readyState !== FakeWebSocket.OPEN) throw new Error('WebSocket is not open');
+        const connection = this.connection;
+        setTimeout(() => this.server.handleClientMessage(connection, data), this.server.latencyMs);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState >= FakeWebSocket.CLOSING) return;
+        this.readyState = FakeWebSocket.CLOSING;
+        setTimeout(() => this.finishClose(code, reason), this.server.latencyMs);
+    }
+
+    /** Server -> client frame */
+    deliver(text) {
+        if (this.readyState !== FakeWebSocket.OPEN || this.server.stalled) return;
+        setTimeout(() => {
+            if (this.readyState === FakeWebSocket.OPEN) this.onmessage?.({ data: text });
+        }, this.server.latencyMs);
+    }
+
+    finishClose(code, reason) {
+        if (this.readyState === FakeWebSocket.CLOSED) return;
+        this.readyState = FakeWebSocket.CLOSED;
+        if (this.connection) this.server.connections.delete(this.connection);
+        this.onclose?.({ code, reason, wasClean: code === 1000 });
+    }
+}
+
+// =============================================================================
+// Fake Server
+// =============================================================================
+
+export class FakeSpacetimeDB {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.module='damsels']
+     * @param {Object} [options.seed] - Rows by table name (defaults to a few categories and activities)
+     * @param {number} [options.latencyMs=0] - Delay applied to every frame and HTTP response
+     * @param {boolean} [options.extensions=true] - Serve MODULE_EXTENSIONS (false: an older module)
+     */
+    constructor({ module = 'damsels', seed = DEFAULT_SEED, latencyMs = 0, extensions = true } = {}) {
+        this.module = module;
+        this.latencyMs = latencyMs;
+        this.extensions = extensions;
+        this.tables = moduleTables(extensions);
+        this.db = new FakeDatabase(seed);
+        this.identitiesByToken = new Map();
+        this.connections = new Set();
+        this.connectionCounter = 0;
+        this.reachable = true;
+        this.stalled = false;
+
+        const server = this;
+        this.WebSocket = class extends FakeWebSocket {
+            constructor(url, protocols) {
+                super(server, url, protocols);
+            }
+        };
+        this.fetch = (input, init) => this.handleFetch(input, init);
+    }
+
+    /**
+     * Constructor config for a SpacetimeDBClient talking to this server.
+     * Storage is in memory: the fake forgets identities when it goes away,
+     * so a persisted token would only point at nothing.
+     */
+    clientOptions() {
+        return {
+            host: 'http://fake-spacetimedb',
+            wsHost: 'ws://fake-spacetimedb',
+            module: this.module,
+            WebSocket: this.WebSocket,
+            fetch: this.fetch,
+            storage: 'memory',
+        };
+    }
+    
+    /**
+     * The module definition served at /schema.
+     */
+    moduleDef() {
+        const enums = { ...ENUMS };
+        let reducerArgTypes = REDUCER_ARG_TYPES;
+        if (this.extensions) {
+            for (const [enumName, variants] of Object.entries(MODULE_EXTENSIONS.variants)) {
+                enums[enumName] = { ...enums[enumName], variants: [...enums[enumName].variants, ...variants] };
+            }
+            reducerArgTypes = { ...reducerArgTypes, ...MODULE_EXTENSIONS.reducers };
+        }
+        return buildModuleDef(enums, this.tables, reducerArgTypes);
+    }
+
+    /**
+     * Stored rows of a table, for assertions and debugging.
+     */
+    rows(tableName) {
+        return this.db.filter(tableName);
+    }
+
+    /**
+     * Simulate the network going away (or coming back). Going unreachable
+     * drops every open socket, fails new ones and makes fetch reject.
+     */
+    setReachable(reachable) {
+        this.reachable = reachable;
+        if (!reachable) this.dropConnections();
+    }
+
+    /**
+     * Simulate a half-open connection: open sockets stay open, but no frames
+     * get through in either direction until un-stalled.
+     */
+    setStalled(stalled) {
+        this.stalled = stalled;
+    }
+
+    /**
+     * Close every open socket abnormally (code 1006), as a server restart would.
+     */
+    dropConnections() {
+        for (const connection of this.connections) {
+            connection.socket.finishClose(1006, 'Connection dropped');
+        }
+        this.connections.clear();
+    }
+
+    // =========================================================================
+    // Identities and Connections
+    // =========================================================================
+
+    identityForToken(token) {
+        if (token && this.identitiesByToken.has(token)) {
+            return { identity: this.identitiesByToken.get(token), token };
+        }
+        const identity = randomHex(32);
+        const newToken = `fake-${randomHex(16)}`;
+        this.identitiesByToken.set(newToken, identity);
+        return { identity, token: newToken };
+    }
+
+    acceptConnection(socket, token) {
+        const connection = {
+            socket,
+            id: ++this.connectionCounter,
+            ...this.identityForToken(token),
+            subscriptions: new Map(),  // query id -> [{ query, rows }]
+        };
+        this.connections.add(connection);
+        log.info('Connection', connection.id, 'identity', connection.identity.slice(0, 8));
+        return connection;
+    }
+
+    send(connection, message) {
+        connection.socket.deliver(JSON.stringify(message));
+    }
+
+    sendIdentityToken(connection) {
+        this.send(connection, {
+            IdentityToken: {
+                identity: { __identity__: `0x${connection.identity}` },
+                token: connection.token,
+                connection_id: { __connection_id__: connection.id },
+            },
+        });
+    }
+
+    // =========================================================================
+    // Client Messages
+    // =========================================================================
+
+    handleClientMessage(connection, data) {
+        if (!this.connections.has(connection) || this.stalled) return;
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            log.warn('Ignoring non-JSON frame');
+            return;
+        }
+
+        if (message.SubscribeMulti) {
+            this.subscribe(connection, message.SubscribeMulti);
+        } else if (message.UnsubscribeMulti) {
+            this.unsubscribe(connection, message.UnsubscribeMulti);
+        } else if (message.OneOffQuery) {
+            this.oneOffQuery(connection, message.OneOffQuery);
+        } else if (message.CallReducer) {
+            const { reducer, args, request_id: requestId } = message.CallReducer;
+            const parsedArgs = typeof args === 'string' ? JSON.parse(args) : args;
+            this.runReducer(connection.identity, reducer, parsedArgs, { connection, requestId });
+        } else {
+            log.warn('Unsupported client message:', Object.keys(message));
+        }
+    }
+
+    subscribe(connection, { query_strings: queryStrings, request_id: requestId, query_id: queryId }) {
+        let queries;
+        try {
+            queries = queryStrings.map(sql => parseQuery(this.tables, sql));
+        } catch (error) {
+            this.send(connection, {
+                SubscriptionError: {
+                    total_host_execution_duration_micros: 0,
+                    request_id: requestId,
+                    query_id: queryId,
+                    table_id: null,
+                    error: error.message,
+                },
+            });
+            return;
+        }
+
+        const changes = {};
+        const entries = queries.map(query => {
+            const rows = evaluateQuery(this.db, this.tables, query);
+            for (const row of rows.values()) addChange(changes, query.table, 'inserts', row);
+            return { query, rows };
+        });
+        connection.subscriptions.set(queryId.id, entries);
+
+        this.send(connection, {
+            SubscribeMultiApplied: {
+                request_id: requestId,
+                total_host_execution_duration_micros: 0,
+                query_id: queryId,
+                update: { tables: buildTableUpdates(this.tables, changes) },
+            },
+        });
+    }
+
+    oneOffQuery(connection, { message_id: messageId, query_string: queryString }) {
+        let tables = [];
+        let error = null;
+        try {
+            const query = parseQuery(this.tables, queryString);
+            tables = [{ table_name: query.table, rows: Array.from(evaluateQuery(this.db, this.tables, query).values()) }];
+        } catch (queryError) {
+            error = queryError.message;
+        }
+        this.send(connection, {
+            OneOffQueryResponse: {
+                message_id: messageId,
+                error,
+                tables,
+                total_host_execution_duration: { __time_duration_micros__: 0 },
+            },
+        });
+    }
+
+    unsubscribe(connection, { request_id: requestId, query_id: queryId }) {
+        const entries = connection.subscriptions.get(queryId.id) ?? [];
+        connection.subscriptions.delete(queryId.id);
+
+        const changes = {};
+        for (const { query, rows } of entries) {
+            for (const row of rows.values()) addChange(changes, query.table, 'deletes', row);
+        }
+        this.send(connection, {
+            UnsubscribeMultiApplied: {
+                request_id: requestId,
+                total_host_execution_duration_micros: 0,
+                query_id: queryId,
+                update: { tables: buildTableUpdates(this.tables, changes) },
+            },
+        });
+    }
+
+    // =========================================================================
+    // Reducer Calls
+    // =========================================================================
+
+    /**
+     * Run a reducer as `identity` in a transaction and push the changes to
+     * every subscriber. Also usable directly to script server-side actions.
+     *
+     * @param {Object} [caller] - The socket call being answered: { connection, requestId }
+     * @returns {{ok: boolean, error?: string, status?: number}}
+     */
+    runReducer(identity, reducerName, args = [], caller = null) {
+        const missing = !this.extensions && reducerName in MODULE_EXTENSIONS.reducers;
+        const reducer = missing ? null : REDUCERS[reducerName];
+        const ctx = { identity, timestamp: nowMicros() };
+        let result;
+
+        if (!reducer) {
+            result = { ok: false, status: 404, error: `No such reducer: ${reducerName}` };
+        } else {
+            const snapshot = this.db.snapshot();
+            try {
+                reducer(this.db, ctx, ...args);
+                result = { ok: true };
+            } catch (error) {
+                this.db.restore(snapshot);
+                if (!(error instanceof ReducerError)) {
+                    log.error('Reducer crashed:', reducerName, error);
+                }
+                result = { ok: false, status: 530, error: error.message };
+            }
+        }
+        log.info('Reducer', reducerName, result.ok ? 'committed' : `failed: ${result.error}`);
+
+        this.publishTransaction(ctx, reducerName, args, result, caller);
+        return result;
+    }
+
+    /**
+     * Send each connection the rows its subscriptions gained or lost. The
+     * calling connection always gets its TransactionUpdate, even if empty.
+     * Every copy names the caller's identity, connection id and request id, as
+     * SpacetimeDB does, so clients must match all three to find their own calls.
+     */
+    publishTransaction(ctx, reducerName, args, result, caller) {
+        for (const connection of this.connections) {
+            const isCaller = caller?.connection === connection;
+            const tables = result.ok ? this.collectChanges(connection) : [];
+            if (!isCaller && tables.length === 0) continue;
+
+            this.send(connection, {
+                TransactionUpdate: {
+                    status: result.ok ? { Committed: { tables } } : { Failed: result.error },
+                    timestamp: { __timestamp_micros_since_unix_epoch__: ctx.timestamp },
+                    caller_identity: { __identity__: `0x${ctx.identity}` },
+                    caller_connection_id: { __connection_id__: caller?.connection.id ?? 0 },
+                    reducer_call: {
+                        reducer_name: reducerName,
+                        reducer_id: Object.keys(REDUCERS).indexOf(reducerName),
+                        args: JSON.stringify(args),
+                        request_id: caller?.requestId ?? 0,
+                    },
+                    energy_quanta_used: { quanta: 0 },
+                    total_host_execution_duration: { __time_duration_micros__: 0 },
+                },
+            });
+        }
+    }
+
+    /**
+     * Re-run a connection's queries and diff them against what it was last sent.
+     * A changed row is sent as a delete of the old value plus an insert of the new.
+     */
+    collectChanges(connection) {
+        const changes = {};
+        for (const entries of connection.subscriptions.values()) {
+            for (const entry of entries) {
+                const rows = evaluateQuery(this.db, this.tables, entry.query);
+                for (const [id, row] of entry.rows) {
+                    if (rows.get(id) !== row) addChange(changes, entry.query.table, 'deletes', row);
+                }
+                for (const [id, row] of rows) {
+                    if (entry.rows.get(id) !== row) addChange(changes, entry.query.table, 'inserts', row);
+                }
+                entry.rows = rows;
+            }
+        }
+        return buildTableUpdates(this.tables, changes);
+    }
+
+    // =========================================================================
+    // HTTP
+    // =========================================================================
+
+    async handleFetch(input, init = {}) {
+        const url = new URL(typeof input === 'string' ? input : input.url);
+        const method = (init.method ?? input.method ?? 'GET').toUpperCase();
+        const signal = init.signal ?? input.signal;
+
+        await delay(this.latencyMs);
+        if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+        if (!this.reachable) throw new TypeError('Failed to fetch');
+
+        const base = `/v1/database/${this.module}`;
+        if (url.pathname === `${base}/schema` && method === 'GET') {
+            return Response.json(this.moduleDef());
+        }
+        const call = url.pathname.startsWith(`${base}/call/`) && method === 'POST'
+            ? decodeURIComponent(url.pathname.slice(`${base}/call/`.length))
+            : null;
+        if (!call) return new Response(`Not found: ${method} ${url.pathname}`, { status: 404 });
+
+        const headers = new Headers(init.headers ?? {});
+        const bearer = headers.get('Authorization')?.replace(/^Bearer\s+/i, '') ?? null;
+        const { identity, token } = this.identityForToken(bearer);
+
+        let args;
+        try {
+            args = JSON.parse(init.body ?? '[]');
+        } catch {
+            return new Response('Request body is not valid JSON', { status: 400 });
+        }
+
+        const result = this.runReducer(identity, call, Array.isArray(args) ? args : Object.values(args));
+        return new Response(result.ok ? '' : result.error, {
+            status: result.ok ? 200 : result.status,
+            headers: { 'spacetime-identity': identity, 'spacetime-identity-token': token },
+        });
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Structured Logging
+ *
+ * Each module logs through its own namespace (`new Logger('STDB')` prints
+ * `[STDB] ...`). Entries below the current level are not printed; the
+ * default is 'info', and app.js lowers production to 'warn'.
+ *
+ * Every entry at 'info' or above - and 'debug' ones while debug is on - is
+ * also kept, redacted, in an in-memory ring buffer that exportLogs() returns
+ * for the diagnostic bundle. Redaction replaces values under secret-looking
+ * keys (password, token, hash, ...) and anything shaped like a JWT.
+ */
+
+export const LOG_LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+});
+
+const BUFFER_SIZE = 500;
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 5;
+const MAX_ITEMS = 50;
+
+const SECRET_KEY = /pass(word)?|token|secret|authori[sz]ation|hash|credential/i;
+const JWT = /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/;
+export const REDACTED = '[redacted]';
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+let globalLevel = 'info';
+const namespaceLevels = new Map();
+const buffer = [];
+
+/**
+ * Set the level for every namespace, or for one (overriding the global level).
+ *
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} level
+ * @param {string} [namespace]
+ */
+export function setLogLevel(level, namespace = null) {
+    if (!(level in LOG_LEVELS)) {
+        console.warn('[Log] Unknown level:', level);
+        return;
+    }
+    if (namespace) {
+        namespaceLevels.set(namespace, level);
+    } else {
+        globalLevel = level;
+        namespaceLevels.clear();
+    }
+}
+
+export function getLogLevel(namespace = null) {
+    return (namespace && namespaceLevels.get(namespace)) || globalLevel;
+}
+
+/**
+ * Copy a value into plain JSON with secrets replaced. Errors keep their
+ * name, message and stack; bigints become strings; deep or long values are cut.
+ */
+export function redact(value, depth = 0) {
+    if (value === null || value === undefined) return value ?? null;
+    if (typeof value === 'string') {
+        if (JWT.test(value)) return REDACTED;
+        return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}...` : value;
+    }
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value !== 'object') return typeof value === 'function' ? `[function ${value.name}]` : value;
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    if (depth >= MAX_DEPTH) return '[...]';
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return `[${value.byteLength} bytes]`;
+
+    if (Array.isArray(value) || value instanceof Set) {
+        const items = Array.from(value);
+        const copy = items.slice(0, MAX_ITEMS).map(item => redact(item, depth + 1));
+        if (items.length > MAX_ITEMS) copy.push(`... ${items.length - MAX_ITEMS} more`);
+        return copy;
+    }
+    const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+    // Events, sockets and DOM nodes only need naming
+    if (entries.length === 0 && value.constructor && value.constructor !== Object) {
+        return `[${value.constructor.name}${value.type ? ` ${value.type}` : ''}]`;
+    }
+    const copy = {};
+    for (const [key, item] of entries.slice(0, MAX_ITEMS)) {
+        copy[key] = SECRET_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+function record(level, namespace, args) {
+    const [message, ...data] = args;
+    buffer.push({
+        time: new Date().toISOString(),
+        level,
+        namespace,
+        message: typeof message === 'string' ? message : JSON.stringify(redact(message)),
+        data: data.length > 0 ? redact(data) : undefined,
+    });
+    if (buffer.length > BUFFER_SIZE) buffer.splice(0, buffer.length - BUFFER_SIZE);
+}
+
+/**
+ * Buffered entries, oldest first.
+ */
+export function exportLogs() {
+    return buffer.slice();
+}
+
+export function clearLogs() {
+    buffer.length = 0;
+}
+
+export class Logger {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[getLogLevel(this.namespace)];
+    }
+
+    write(level, args) {
+        const enabled = this.isEnabled(level);
+        if (enabled || LOG_LEVELS[level] >= LOG_LEVELS.info) record(level, this.namespace, args);
+        if (!enabled) return;
+
+        // Errors print as-is for their stack; everything else redacted, like the buffer
+        const [message, ...rest] = args;
+        const printable = rest.map(item => (item instanceof Error ? item : redact(item)));
+        console[CONSOLE_METHODS[level]](`[${this.namespace}] ${message}`, ...printable);
+    }
+
+    debug(...args) {
+        this.write('debug', args);
+    }
+
+    info(...args) {
+        this.write('info', args);
+    }
+
+    warn(...args) {
+        this.write('warn', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+}
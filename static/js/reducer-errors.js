@@ -0,0 +1,93 @@
+/**
+ * Reducer Error Classification
+ *
+ * Turns a failed reducer call (HTTP status, socket status or thrown error)
+ * into a stable `code` so callers can branch on `result.code` instead of
+ * matching the server's text. The raw text stays available as
+ * `result.error` / `result.details.message` for logging.
+ */
+
+export const ReducerErrorCode = Object.freeze({
+    ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+    ROOM_CLOSED: 'ROOM_CLOSED',
+    ROOM_LOCKED: 'ROOM_LOCKED',
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    INVITATION_INVALID: 'INVITATION_INVALID',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    USERNAME_TAKEN: 'USERNAME_TAKEN',
+    NOT_OWNER: 'NOT_OWNER',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    NOT_FOUND: 'NOT_FOUND',
+    OFFLINE: 'OFFLINE',
+    NETWORK: 'NETWORK',
+    TIMEOUT: 'TIMEOUT',
+    ABORTED: 'ABORTED',
+    OUT_OF_ENERGY: 'OUT_OF_ENERGY',
+    SERVER_ERROR: 'SERVER_ERROR',
+    UNKNOWN: 'UNKNOWN',
+});
+
+// Known reducer messages, checked in order (most specific first)
+const MESSAGE_PATTERNS = [
+    // An older module without the reducer, whatever its name mentions
+    [/no such reducer/i, ReducerErrorCode.NOT_FOUND],
+    [/already in (this|the) room/i, ReducerErrorCode.ALREADY_IN_ROOM],
+    [/room (is )?(closed|not open)/i, ReducerErrorCode.ROOM_CLOSED],
+    [/room is locked/i, ReducerErrorCode.ROOM_LOCKED],
+    [/room not found|invalid room code|no room with/i, ReducerErrorCode.ROOM_NOT_FOUND],
+    [/invalid (username or password|credentials|password)|(wrong|incorrect) password/i, ReducerErrorCode.INVALID_CREDENTIALS],
+    [/username (is )?(already )?(taken|exists|in use)/i, ReducerErrorCode.USERNAME_TAKEN],
+    [/not (the )?(room )?owner|only the (room )?owner/i, ReducerErrorCode.NOT_OWNER],
+    [/not logged in|not authenticated|unauthori[sz]ed|not your player|does not belong to/i, ReducerErrorCode.UNAUTHORIZED],
+    // Anything else about an invitation, after the ownership and auth checks that mention one
+    [/invitation/i, ReducerErrorCode.INVITATION_INVALID],
+    [/not found|does not exist/i, ReducerErrorCode.NOT_FOUND],
+];
+
+/**
+ * Strip the wrapping SpacetimeDB adds around a reducer panic, leaving the
+ * module's own message (e.g. "Already in this room").
+ */
+export function cleanReducerMessage(text) {
+    if (!text) return '';
+    return String(text)
+        .replace(/^.*?panicked at [^:]+(:\d+)*:\s*/s, '')
+        .replace(/^(Error:\s*)+/i, '')
+        .replace(/\s*(stack backtrace|note: run with).*$/s, '')
+        .trim();
+}
+
+/**
+ * Code for an HTTP status that no message pattern explained.
+ */
+function codeForStatus(status) {
+    if (status === 401 || status === 403) return ReducerErrorCode.UNAUTHORIZED;
+    if (status === 404) return ReducerErrorCode.NOT_FOUND;
+    if (status === 408 || status === 504) return ReducerErrorCode.TIMEOUT;
+    if (status >= 500) return ReducerErrorCode.SERVER_ERROR;
+    return ReducerErrorCode.UNKNOWN;
+}
+
+/**
+ * Build the `{ok: false}` result for a failed reducer call.
+ *
+ * @param {string} reducerName
+ * @param {Object} failure
+ * @param {string} [failure.message] - Server text or thrown error message
+ * @param {number} [failure.status] - HTTP status, when called over HTTP
+ * @param {string} [failure.code] - Already-known code (timeouts, dropped sockets); skips classification
+ * @returns {{ok: false, code: string, error: string, details: {reducerName: string, status: number|null, message: string}}}
+ */
+export function reducerFailure(reducerName, { message = '', status = null, code = null } = {}) {
+    const cleaned = cleanReducerMessage(message) || `Reducer ${reducerName} failed`;
+    if (!code) {
+        code = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(cleaned))?.[1]
+            ?? (status ? codeForStatus(status) : ReducerErrorCode.UNKNOWN);
+    }
+    return {
+        ok: false,
+        code,
+        error: cleaned,
+        details: { reducerName, status, message: String(message ?? '') },
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * Offline Reducer Queue
+ *
+ * Reducer calls made while offline are kept here (in localStorage, so a
+ * reload doesn't lose them) and replayed in order once the client is
+ * connected again. Only reducers that are safe to apply late are queued:
+ * preference toggles, ratings and not-wanted marks. Everything else fails
+ * fast with an OFFLINE result instead.
+ */
+
+import { Logger } from './logger.js';
+
+const log = new Logger('STDB');
+
+const STORAGE_KEY = 'stdb_reducer_queue';
+
+// Reducers whose calls can be deferred and replayed without surprising the user.
+// Being safe to repeat, they are also the ones callReducer() retries by default.
+export const QUEUEABLE_REDUCERS = new Set([
+    'acknowledge_new_activities',
+    'add_user_category_preference',
+    'remove_user_category_preference',
+    'set_user_category_preferences',
+    'add_player_category_preference',
+    'remove_player_category_preference',
+    'set_player_category_preferences',
+    'rate_activity',
+    'mark_activity_not_wanted',
+    'unmark_activity_not_wanted',
+]);
+
+export class ReducerQueue {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.reload();
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            log.warn('Discarding unreadable reducer queue:', error?.message);
+            return [];
+        }
+    }
+
+    /**
+     * Re-read the stored queue, e.g. after another tab has been writing to it.
+     */
+    reload() {
+        this.entries = this.load();
+        this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    }
+
+    save() {
+        try {
+            if (this.entries.length > 0) {
+                this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+            } else {
+                this.storage?.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            log.warn('Could not persist reducer queue:', error?.message);
+        }
+    }
+
+    /**
+     * @param {string|null} identity - Identity the call was made as; replay skips other identities' calls
+     * @returns {{id: number, reducerName: string, args: Array, identity: string|null, queuedAt: number}}
+     */
+    enqueue(reducerName, args, identity) {
+        const entry = { id: this.nextId++, reducerName, args, identity, queuedAt: Date.now() };
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    peek() {
+        return this.entries[0] ?? null;
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
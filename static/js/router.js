@@ -0,0 +1,121 @@
+/**
+ * Hash Router
+ *
+ * Maps the app's steps to `#/...` URLs so the back button, refreshes and
+ * shared links work on a static host without server-side rewrites. Route
+ * paths are patterns such as '/lobby/:code'.
+ *
+ * The router only reads and writes history - app.js decides whether a route
+ * may be shown (its guards) and shows it.
+ */
+
+export class Router {
+    /**
+     * @param {Object<string, {path: string, transient?: boolean}>} routes - By step name.
+     *   A transient route (e.g. role selection) is replaced by the next one
+     *   instead of staying in history.
+     * @param {Object} [options]
+     * @param {Window} [options.window]
+     */
+    constructor(routes, { window = globalThis.window } = {}) {
+        this.window = window;
+        this.routes = Object.entries(routes).map(([name, { path, transient = false }]) => ({
+            name,
+            transient,
+            segments: path.split('/').filter(Boolean),
+        }));
+    }
+
+    /**
+     * Path in the current URL's hash, e.g. '/lobby/ABCDE' ('' when there is none).
+     */
+    get currentPath() {
+        return this.window.location.hash.replace(/^#/, '');
+    }
+
+    /**
+     * @returns {string|null} null for an unknown route or a missing param
+     */
+    pathFor(name, params = {}) {
+        const route = this.routes.find(r => r.name === name);
+        if (!route) return null;
+
+        const segments = [];
+        for (const segment of route.segments) {
+            if (!segment.startsWith(':')) {
+                segments.push(segment);
+                continue;
+            }
+            const value = params[segment.slice(1)];
+            if (value === null || value === undefined || value === '') return null;
+            segments.push(encodeURIComponent(value));
+        }
+        return `/${segments.join('/')}`;
+    }
+
+    /**
+     * @returns {{name: string, params: Object<string, string>}|null} null when no route matches
+     */
+    match(path = this.currentPath) {
+        const parts = path.split('/').filter(Boolean);
+        for (const route of this.routes) {
+            if (route.segments.length !== parts.length) continue;
+
+            const params = {};
+            const matched = route.segments.every((segment, i) => {
+                if (!segment.startsWith(':')) return segment === parts[i];
+                try {
+                    params[segment.slice(1)] = decodeURIComponent(parts[i]);
+                    return true;
+                } catch {
+                    return false;
+                }
+            });
+            if (matched) return { name: route.name, params };
+        }
+        return null;
+    }
+
+    /**
+     * Point the URL at a route without triggering a route change. Adds a
+     * history entry unless `replace` is set or the current route is transient;
+     * does nothing if the URL already points there.
+     *
+     * @param {string} name
+     * @param {Object} [params]
+     * @param {Object} [options]
+     * @param {boolean} [options.replace]
+     * @param {string[]} [options.dropParams] - Query params to remove, e.g. a consumed `?join=`
+     */
+    go(name, params = {}, { replace = false, dropParams = [] } = {}) {
+        const path = this.pathFor(name, params);
+        if (path === null) return;
+
+        const url = new URL(this.window.location.href);
+        const dropped = dropParams.filter(key => url.searchParams.has(key));
+        if (path === this.currentPath && dropped.length === 0) return;
+
+        for (const key of dropped) url.searchParams.delete(key);
+        url.hash = path;
+
+        const current = this.match();
+        const transient = current && this.routes.find(r => r.name === current.name).transient;
+        if (replace || transient) {
+            this.window.history.replaceState(null, '', url);
+        } else {
+            this.window.history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Call `handler(route)` when the user goes back or forward or edits the
+     * hash. `route` is null for a path no route matches.
+     *
+     * @returns {Function} Stops listening
+     */
+    listen(handler) {
+        const onPopState = () => handler(this.match());
+        this.window.addEventListener('popstate', onPopState);
+        return () => this.window.removeEventListener('popstate', onPopState);
+    }
+}
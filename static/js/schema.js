@@ -0,0 +1,598 @@
+/**
+ * Table Schema Registry for the damsels SpacetimeDB Module
+ *
+ * One declaration per table: column names in declaration order, column types,
+ * and the primary key. SpacetimeDBClient.parseRow() decodes object rows,
+ * positional JSON rows and BSATN rows from these definitions, and the BSATN
+ * codec reads row bytes with the same column types.
+ *
+ * Must mirror the table structs and reducer signatures in the damsels-spacetimedb module.
+ *
+ * Column types:
+ * - 'bool', 'u8', 'u16', 'u32', 'u64', 'i32', 'i64', 'string'
+ * - 'identity', 'timestamp'
+ * - { option: type }
+ * - { array: type } (reducer arguments only)
+ * - an enum from ENUMS, decoded to its variant name
+ * - 'enum': unit-only enum kept in its raw wire form (variant names not needed yet)
+ */
+
+// =============================================================================
+// Enums
+// =============================================================================
+
+/**
+ * Unit-only enums, variants in declaration order. `fallback` is used for
+ * missing values and variants the client doesn't know; it need not be a
+ * variant itself when none of them is a safe default.
+ */
+export const ENUMS = {
+    Role: { enum: 'Role', variants: ['Top', 'Bottom', 'Observer', 'Photographer'], fallback: 'Observer' },
+    ActivityKind: { enum: 'ActivityKind', variants: ['Skill', 'Activity'], fallback: 'Activity' },
+    ActivityStatus: { enum: 'ActivityStatus', variants: ['Locked', 'Available', 'Completed'], fallback: 'Available' },
+    RoomActivityStatus: { enum: 'RoomActivityStatus', variants: ['Viewing', 'InProgress', 'Completed', 'Cancelled'], fallback: 'Viewing' },
+    // 'Unknown' is never actionable, unlike a Pending invitation
+    InvitationStatus: { enum: 'InvitationStatus', variants: ['Pending', 'Accepted'], fallback: 'Unknown' },
+};
+
+const { Role, ActivityKind, ActivityStatus, RoomActivityStatus, InvitationStatus } = ENUMS;
+
+// =============================================================================
+// Tables
+// =============================================================================
+
+function column(name, type) {
+    return { name, field: snakeToCamel(name), type };
+}
+
+function table(primaryKey, columns) {
+    return {
+        primaryKey,
+        columns: columns.map(([name, type]) => column(name, type)),
+    };
+}
+
+export const TABLES = {
+    user: table('id', [
+        ['id', 'u64'],
+        ['identity', 'identity'],
+        ['username', 'string'],
+        ['password_hash', 'string'],
+        ['role', 'enum'],
+        ['created_at', 'timestamp'],
+        ['last_seen', 'timestamp'],
+    ]),
+    player: table('id', [
+        ['id', 'u64'],
+        ['user_id', 'u64'],
+        ['username', 'string'],
+        ['xp', 'u32'],
+        ['created_at', 'timestamp'],
+    ]),
+    room: table('id', [
+        ['id', 'u64'],
+        ['code', 'string'],
+        ['name', 'string'],
+        ['owner_id', 'u64'],
+        ['is_open', 'bool'],
+        ['created_at', 'timestamp'],
+    ]),
+    room_member: table('id', [
+        ['id', 'u64'],
+        ['room_id', 'u64'],
+        ['player_id', 'u64'],
+        ['role', Role],
+        ['joined_at', 'timestamp'],
+    ]),
+    room_invitation: table('id', [
+        ['id', 'u64'],
+        ['room_id', 'u64'],
+        ['token', 'string'],
+        ['created_by', 'u64'],
+        ['for_username', { option: 'string' }],
+        ['status', InvitationStatus],
+        ['created_at', 'timestamp'],
+        ['accepted_by', { option: 'u64' }],
+    ]),
+    category: table('id', [
+        ['id', 'u64'],
+        ['name', 'string'],
+        ['description', 'string'],
+        ['display_order', 'u32'],
+    ]),
+    activity: table('id', [
+        ['id', 'u64'],
+        ['category_id', 'u64'],
+        ['kind', ActivityKind],
+        ['name', 'string'],
+        ['description', 'string'],
+        ['instructions', 'string'],
+        ['video_url', { option: 'string' }],
+        ['xp_required', 'u32'],
+        ['xp_reward', 'u32'],
+    ]),
+    player_activity: table('id', [
+        ['id', 'u64'],
+        ['player_id', 'u64'],
+        ['activity_id', 'u64'],
+        ['status', ActivityStatus],
+        ['completed_at', { option: 'timestamp' }],
+        ['completed_by', { option: 'u64' }],
+        ['vouched', 'bool'],
+        ['rating', { option: 'u8' }],
+    ]),
+    player_unlocked_activity: table('id', [
+        ['id', 'u64'],
+        ['player_id', 'u64'],
+        ['activity_id', 'u64'],
+        ['activity_name', 'string'],
+        ['activity_description', 'string'],
+        ['category_id', 'u64'],
+        ['category_name', 'string'],
+        ['kind', ActivityKind],
+        ['xp_required', 'u32'],
+        ['xp_reward', 'u32'],
+        ['unlocked_at', 'timestamp'],
+        ['is_new', 'bool'],
+    ]),
+    room_activity: table('id', [
+        ['id', 'u64'],
+        ['room_id', 'u64'],
+        ['activity_id', 'u64'],
+        ['status', RoomActivityStatus],
+        ['started_by', 'u64'],
+        ['created_at', 'timestamp'],
+        ['started_at', { option: 'timestamp' }],
+        ['completed_at', { option: 'timestamp' }],
+    ]),
+    activity_participant: table('id', [
+        ['id', 'u64'],
+        ['room_activity_id', 'u64'],
+        ['player_id', 'u64'],
+        ['role', Role],
+        ['xp_earned', 'u32'],
+        ['completed', 'bool'],
+    ]),
+    player_not_wanted_activity: table('id', [
+        ['id', 'u64'],
+        ['player_id', 'u64'],
+        ['activity_id', 'u64'],
+        ['created_at', 'timestamp'],
+    ]),
+    user_category_preference: table('id', [
+        ['id', 'u64'],
+        ['user_id', 'u64'],
+        ['category_id', 'u64'],
+    ]),
+    player_category_preference: table('id', [
+        ['id', 'u64'],
+        ['player_id', 'u64'],
+        ['category_id', 'u64'],
+    ]),
+};
+
+/**
+ * Secondary indexes kept on the client cache, by parsed field name.
+ * Client-side only: the module's own indexes don't need to match.
+ */
+export const CACHE_INDEXES = {
+    player: ['userId'],
+    room: ['code', 'ownerId'],
+    room_member: ['roomId', 'playerId'],
+    room_invitation: ['token', 'roomId', 'forUsername'],
+    room_removal: ['roomId', 'playerId'],
+    player_activity: ['playerId'],
+    player_unlocked_activity: ['playerId'],
+    room_activity: ['roomId'],
+    activity_participant: ['roomActivityId'],
+    player_not_wanted_activity: ['playerId'],
+    user_category_preference: ['userId'],
+    player_category_preference: ['playerId'],
+};
+
+// =============================================================================
+// Reducers
+// =============================================================================
+
+/**
+ * Argument types for each reducer the client calls, in parameter order.
+ */
+export const REDUCER_ARG_TYPES = {
+    register_user: ['string', 'string'],
+    login_user: ['string', 'string'],
+    logout_user: [],
+    create_player: ['string'],
+    initialize_unlocked_activities: ['u64'],
+    acknowledge_new_activities: ['u64'],
+    award_xp: ['u64', 'u32'],
+    create_room: ['u64', 'string', Role],
+    join_room: ['u64', 'string', Role],
+    accept_invitation: ['u64', 'string', Role],
+    leave_room: ['u64', 'u64'],
+    change_role: ['u64', 'u64', Role],
+    create_room_invitation: ['u64', 'u64', { option: 'string' }],
+    close_room: ['u64', 'u64'],
+    select_room_activity: ['u64', 'u64', 'u64'],
+    random_room_activity: ['u64', 'u64'],
+    start_room_activity: ['u64', 'u64'],
+    complete_room_activity: ['u64', 'u64'],
+    cancel_room_activity: ['u64', 'u64'],
+    rate_activity: ['u64', 'u64', 'u8'],
+    mark_activity_not_wanted: ['u64', 'u64'],
+    unmark_activity_not_wanted: ['u64', 'u64'],
+    init_user_preferences: [],
+    add_user_category_preference: ['u64'],
+    remove_user_category_preference: ['u64'],
+    set_user_category_preferences: [{ array: 'u64' }],
+    add_player_category_preference: ['u64', 'u64'],
+    remove_player_category_preference: ['u64', 'u64'],
+    set_player_category_preferences: ['u64', { array: 'u64' }],
+};
+
+// =============================================================================
+// Module Extensions
+// =============================================================================
+
+/**
+ * Tables, columns, reducers and enum variants that only newer builds of the
+ * module have. The client leaves them out until schema discovery finds them in
+ * the module (see reconcileSchema), and SpacetimeDBClient.supports() tells the
+ * UI whether the features they back can be offered. Their absence is not a
+ * mismatch. Extension columns go after the table's own columns.
+ */
+export const MODULE_EXTENSIONS = {
+    tables: {
+        // Why a player was removed from a room, kept until they rejoin it
+        room_removal: table('id', [
+            ['id', 'u64'],
+            ['room_id', 'u64'],
+            ['player_id', 'u64'],
+            ['removed_by', 'u64'],
+            ['reason', 'string'],
+            ['removed_at', 'timestamp'],
+        ]),
+    },
+    columns: {
+        room: [column('is_locked', 'bool')],
+    },
+    reducers: {
+        revoke_room_invitation: ['u64', 'u64'],
+        decline_room_invitation: ['u64'],
+        kick_room_member: ['u64', 'u64', 'u64', 'string'],
+        transfer_room_ownership: ['u64', 'u64', 'u64'],
+        set_room_locked: ['u64', 'u64', 'bool'],
+    },
+    variants: {
+        InvitationStatus: ['Revoked', 'Declined'],
+    },
+};
+
+// =============================================================================
+// Decoding
+// =============================================================================
+
+function snakeToCamel(name) {
+    return name.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Column types per table, in the form decodeServerMessage() expects.
+ */
+export function rowTypes(tables = TABLES) {
+    const types = {};
+    for (const [tableName, { columns }] of Object.entries(tables)) {
+        types[tableName] = columns.map(column => column.type);
+    }
+    return types;
+}
+
+/**
+ * Decode an enum value to its variant name. Accepts [index, []], { Variant: {} },
+ * a bare index, or a variant name; anything that isn't a known variant decodes
+ * to the enum's fallback.
+ */
+export function parseEnum(enumType, value) {
+    if (Array.isArray(value)) value = value[0];
+    let variant = value;
+    if (typeof value === 'number') variant = enumType.variants[value];
+    else if (value && typeof value === 'object') variant = Object.keys(value)[0];
+    return enumType.variants.includes(variant) ? variant : enumType.fallback;
+}
+
+/**
+ * Decode a single column value from its SATS-JSON form.
+ */
+export function decodeColumn(type, value) {
+    if (value === null || value === undefined) return value;
+
+    if (typeof type === 'object' && type.option) {
+        // [0, value] = Some(value), [1, []] = None; also { some } / { none }
+        if (Array.isArray(value)) return value[0] === 0 ? decodeColumn(type.option, value[1]) : null;
+        if (typeof value === 'object' && 'some' in value) return decodeColumn(type.option, value.some);
+        if (typeof value === 'object' && 'none' in value) return null;
+        return decodeColumn(type.option, value);
+    }
+    if (typeof type === 'object' && type.variants) return parseEnum(type, value);
+
+    switch (type) {
+        case 'identity':
+            if (Array.isArray(value)) return value[0];
+            return typeof value === 'object' ? value.__identity__ : value;
+        case 'timestamp':
+            if (Array.isArray(value)) return value[0];
+            return typeof value === 'object' ? value.__timestamp_micros_since_unix_epoch__ : value;
+        default:
+            return value;
+    }
+}
+
+// =============================================================================
+// Runtime Discovery
+// =============================================================================
+
+/**
+ * Unwrap a SATS-JSON Option ({ some: v } / { none: [] }, or [0, v] / [1, []]).
+ */
+function optionValue(value) {
+    if (Array.isArray(value)) return value[0] === 0 ? value[1] : null;
+    if (value && typeof value === 'object') {
+        if ('some' in value) return value.some;
+        if ('none' in value) return null;
+    }
+    return value ?? null;
+}
+
+function typeTag(algebraicType) {
+    return Object.keys(algebraicType)[0];
+}
+
+const PRIMITIVE_TYPES = {
+    Bool: 'bool', U8: 'u8', U16: 'u16', U32: 'u32', U64: 'u64',
+    I32: 'i32', I64: 'i64', String: 'string',
+};
+
+/**
+ * Convert an AlgebraicType from the module definition into a registry column type.
+ * Returns null for types the client can't decode.
+ */
+function columnType(algebraicType, moduleDef, typeNames) {
+    const tag = typeTag(algebraicType);
+    const body = algebraicType[tag];
+
+    if (tag === 'Ref') {
+        const resolved = columnType(moduleDef.typespace.types[body], moduleDef, typeNames);
+        // Unit-only sums are enums; name them after the module's type export
+        if (resolved?.variants) resolved.enum = typeNames.get(body) || resolved.enum;
+        return resolved;
+    }
+    if (PRIMITIVE_TYPES[tag]) return PRIMITIVE_TYPES[tag];
+    if (tag === 'Array') {
+        const element = columnType(body, moduleDef, typeNames);
+        return element ? { array: element } : null;
+    }
+    if (tag === 'Product') {
+        const [only] = body.elements;
+        const name = body.elements.length === 1 ? optionValue(only.name) : null;
+        if (name === '__identity__') return 'identity';
+        if (name === '__timestamp_micros_since_unix_epoch__') return 'timestamp';
+        return null;
+    }
+    if (tag === 'Sum') {
+        const names = body.variants.map(v => optionValue(v.name));
+        if (names.length === 2 && names[0] === 'some' && names[1] === 'none') {
+            const inner = columnType(body.variants[0].algebraic_type, moduleDef, typeNames);
+            return inner ? { option: inner } : null;
+        }
+        const unitOnly = body.variants.every(v => {
+            const variantTag = typeTag(v.algebraic_type);
+            return variantTag === 'Product' && v.algebraic_type.Product.elements.length === 0;
+        });
+        return unitOnly ? { enum: null, variants: names, fallback: names[0] } : null;
+    }
+    return null;
+}
+
+/**
+ * Read tables, enums and reducer signatures from a RawModuleDefV9 as served by
+ * GET /v1/database/{module}/schema?version=9.
+ */
+export function readModuleDef(moduleDef) {
+    const typeNames = new Map();
+    for (const typeDef of moduleDef.types || []) {
+        typeNames.set(typeDef.ty, typeDef.name?.name ?? typeDef.name);
+    }
+
+    const tables = {};
+    for (const tableDef of moduleDef.tables || []) {
+        const rowType = moduleDef.typespace.types[tableDef.product_type_ref];
+        const columns = (rowType?.Product?.elements || []).map(element => {
+            const name = optionValue(element.name);
+            return { name, field: snakeToCamel(name), type: columnType(element.algebraic_type, moduleDef, typeNames) };
+        });
+        const [keyIndex] = tableDef.primary_key || [];
+        tables[tableDef.name] = { primaryKey: columns[keyIndex]?.name ?? null, columns };
+    }
+
+    const reducers = {};
+    for (const reducerDef of moduleDef.reducers || []) {
+        // Lifecycle reducers (init, client_connected, ...) aren't callable
+        if (optionValue(reducerDef.lifecycle)) continue;
+        reducers[reducerDef.name] = (reducerDef.params?.elements || [])
+            .map(element => columnType(element.algebraic_type, moduleDef, typeNames));
+    }
+
+    return { tables, reducers };
+}
+
+/**
+ * Short description of a column type, used to compare and report types.
+ */
+export function describeType(type) {
+    if (!type) return 'unsupported';
+    if (type.option) return `Option<${describeType(type.option)}>`;
+    if (type.array) return `Vec<${describeType(type.array)}>`;
+    if (type.variants) return `${type.enum || 'enum'}(${type.variants.join('|')})`;
+    return type;
+}
+
+function typesCompatible(expected, actual) {
+    if (!actual) return false;
+    // A raw enum only needs the server to send some unit-only enum
+    if (expected === 'enum') return !!actual.variants;
+    if (expected.option || actual.option) {
+        return !!expected.option && !!actual.option && typesCompatible(expected.option, actual.option);
+    }
+    if (expected.array || actual.array) {
+        return !!expected.array && !!actual.array && typesCompatible(expected.array, actual.array);
+    }
+    if (expected.variants) return !!actual.variants;
+    return expected === actual;
+}
+
+/**
+ * Adopt the module's column types where they still match, keeping enum fallbacks
+ * and raw enums from the client's declaration. Variant names come from the module.
+ */
+function mergeType(expected, actual) {
+    if (expected === 'enum') return 'enum';
+    if (expected.option) return { option: mergeType(expected.option, actual.option) };
+    if (expected.array) return { array: mergeType(expected.array, actual.array) };
+    if (expected.variants) {
+        // A fallback that isn't one of the client's variants is its own placeholder
+        const keep = actual.variants.includes(expected.fallback) || !expected.variants.includes(expected.fallback);
+        const fallback = keep ? expected.fallback : actual.variants[0];
+        return { enum: expected.enum, variants: actual.variants, fallback };
+    }
+    return actual;
+}
+
+/**
+ * Reconcile the client's registry with the schema read from the module.
+ *
+ * Tables whose columns all decode keep the module's column order, so a column
+ * added or moved on the server doesn't shift the other fields. Enum variant names
+ * are taken from the module. Tables the client can't decode keep the static
+ * declaration. Every difference is reported in `mismatches`.
+ *
+ * Module extensions are added only when the module has them, and listed in
+ * `extensions` by name; a missing one is not a mismatch.
+ *
+ * @returns {{ tables: Object, enums: Object, reducerArgTypes: Object, extensions: string[], mismatches: string[] }}
+ */
+export function reconcileSchema(discovered, expected = {
+    tables: TABLES, enums: ENUMS, reducerArgTypes: REDUCER_ARG_TYPES, extensions: MODULE_EXTENSIONS,
+}) {
+    const mismatches = [];
+    const tables = {};
+    const enums = { ...expected.enums };
+    const optional = expected.extensions ?? {};
+    const extensions = [];
+
+    const optionalTables = optional.tables ?? {};
+    for (const [tableName, declaredTable] of [...Object.entries(expected.tables), ...Object.entries(optionalTables)]) {
+        const actualTable = discovered.tables[tableName];
+        const isExtension = tableName in optionalTables;
+        if (!actualTable) {
+            if (isExtension) continue;
+            mismatches.push(`table ${tableName} is missing from the module`);
+            tables[tableName] = declaredTable;
+            continue;
+        }
+
+        // Extension columns are expected once the module has them
+        const extraColumns = (optional.columns?.[tableName] ?? [])
+            .filter(extra => actualTable.columns.some(c => c.name === extra.name));
+        const expectedTable = extraColumns.length === 0 ? declaredTable
+            : { ...declaredTable, columns: [...declaredTable.columns, ...extraColumns] };
+
+        const tableMismatches = [];
+        const expectedByName = new Map(expectedTable.columns.map(c => [c.name, c]));
+        const actualNames = new Set(actualTable.columns.map(c => c.name));
+        for (const column of expectedTable.columns) {
+            if (!actualNames.has(column.name)) tableMismatches.push(`${tableName}.${column.name} is missing from the module`);
+        }
+        const columns = actualTable.columns.map((column, i) => {
+            const expectedColumn = expectedByName.get(column.name);
+            if (!column.type) {
+                tableMismatches.push(`${tableName}.${column.name} has a type the client can't decode`);
+                return column;
+            }
+            if (!expectedColumn) {
+                tableMismatches.push(`${tableName}.${column.name} (${describeType(column.type)}) is not known to the client`);
+                return column;
+            }
+            if (!typesCompatible(expectedColumn.type, column.type)) {
+                tableMismatches.push(`${tableName}.${column.name} is ${describeType(column.type)}, ` +
+                    `client expects ${describeType(expectedColumn.type)}`);
+                return { ...expectedColumn, type: column.type };
+            }
+            if (expectedTable.columns[i]?.name !== column.name) {
+                tableMismatches.push(`${tableName}.${column.name} moved to position ${i}`);
+            }
+            return { ...expectedColumn, type: mergeType(expectedColumn.type, column.type) };
+        });
+        if (actualTable.primaryKey !== expectedTable.primaryKey) {
+            tableMismatches.push(`${tableName} primary key is ${actualTable.primaryKey ?? 'none'}, ` +
+                `client expects ${expectedTable.primaryKey}`);
+        }
+
+        mismatches.push(...tableMismatches);
+        const decodable = columns.every(c => c.type) && actualTable.primaryKey === expectedTable.primaryKey;
+        tables[tableName] = decodable ? { primaryKey: expectedTable.primaryKey, columns } : declaredTable;
+        if (decodable) {
+            if (isExtension) extensions.push(tableName);
+            extensions.push(...extraColumns.map(extra => `${tableName}.${extra.name}`));
+        }
+
+        // Named enums follow the module's variant order everywhere they are used
+        for (const column of tables[tableName].columns) {
+            if (column.type?.variants && enums[column.type.enum]) {
+                const known = enums[column.type.enum];
+                const extraVariants = optional.variants?.[known.enum] ?? [];
+                const required = column.type.variants.filter(variant => !extraVariants.includes(variant));
+                if (known.variants.join('|') !== required.join('|')) {
+                    mismatches.push(`enum ${known.enum} is ${column.type.variants.join('|')}, ` +
+                        `client expects ${known.variants.join('|')}`);
+                }
+                enums[known.enum] = column.type;
+            }
+        }
+    }
+
+    const reducerArgTypes = {};
+    for (const [reducerName, expectedArgs] of Object.entries(expected.reducerArgTypes)) {
+        const actualArgs = discovered.reducers[reducerName];
+        if (!actualArgs) {
+            mismatches.push(`reducer ${reducerName} is missing from the module`);
+            reducerArgTypes[reducerName] = expectedArgs;
+            continue;
+        }
+        reducerArgTypes[reducerName] = reconcileReducer(reducerName, expectedArgs, actualArgs, mismatches) ?? expectedArgs;
+    }
+    for (const [reducerName, expectedArgs] of Object.entries(optional.reducers ?? {})) {
+        const actualArgs = discovered.reducers[reducerName];
+        if (!actualArgs) continue;
+        const argTypes = reconcileReducer(reducerName, expectedArgs, actualArgs, mismatches);
+        if (!argTypes) continue;
+        reducerArgTypes[reducerName] = argTypes;
+        extensions.push(reducerName);
+    }
+
+    // Drop duplicate enum reports (the same enum is used by several columns)
+    return { tables, enums, reducerArgTypes, extensions, mismatches: Array.from(new Set(mismatches)) };
+}
+
+/**
+ * The argument types to send a reducer, or null (and a mismatch) if the
+ * module's signature doesn't match the client's.
+ */
+function reconcileReducer(reducerName, expectedArgs, actualArgs, mismatches) {
+    const compatible = actualArgs.length === expectedArgs.length
+        && expectedArgs.every((type, i) => typesCompatible(type, actualArgs[i]));
+    if (!compatible) {
+        mismatches.push(`reducer ${reducerName} takes (${actualArgs.map(describeType).join(', ')}), ` +
+            `client sends (${expectedArgs.map(describeType).join(', ')})`);
+        return null;
+    }
+    return expectedArgs.map((type, i) => mergeType(type, actualArgs[i]));
+}
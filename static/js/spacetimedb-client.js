@@ -3,38 +3,395 @@
  * 
  * Uses WebSocket for real-time subscriptions and HTTP for reducer calls.
  * Supports the new User + Player authentication model.
+ * 
+ * Reducer transport is chosen with `config.reducerTransport`:
+ * - 'http' (default): POST /call/<reducer>, results arrive later via the subscription
+ * - 'websocket': CallReducer over the open socket; the call resolves once its
+ *   TransactionUpdate has been applied to the cache (HTTP while disconnected)
+ * 
+ * Wire protocol is chosen with `config.protocol`:
+ * - 'json' (default): `v1.json.spacetimedb` text frames
+ * - 'bsatn': `v1.bsatn.spacetimedb` binary frames, falling back to JSON
+ *   if the server does not accept the binary subprotocol
+ * 
+ * Platform dependencies default to the browser's and can be injected to run
+ * under Node (bots, load tests, CI against a local SpacetimeDB):
+ * `config.WebSocket`, `config.fetch`, `config.TextDecoder`, `config.indexedDB`
+ * and `config.storage` ('local' | 'session' | 'memory' | a Storage object).
+ * 
+ * With `config.multiTab`, tabs of the same browser share one connection: the
+ * leader tab owns the socket and the others mirror its cache and send their
+ * reducer calls through it (see the Multi-Tab section). Logging in or out in
+ * one tab is announced to the rest as 'sessionStarted' / 'sessionEnded'.
+ */
+
+import {
+    BSATN_PROTOCOL,
+    JSON_PROTOCOL,
+    decodeServerMessage,
+    encodeClientMessage,
+    encodeReducerArgs,
+} from './bsatn.js';
+import {
+    CACHE_INDEXES,
+    ENUMS,
+    MODULE_EXTENSIONS,
+    REDUCER_ARG_TYPES,
+    TABLES,
+    decodeColumn,
+    parseEnum,
+    readModuleDef,
+    reconcileSchema,
+    rowTypes,
+} from './schema.js';
+import { TableCache } from './table-cache.js';
+import { CacheStore } from './cache-store.js';
+import { QUEUEABLE_REDUCERS, ReducerQueue } from './reducer-queue.js';
+import { ReducerErrorCode, reducerFailure } from './reducer-errors.js';
+import { resolveStorage } from './storage.js';
+import { TabCoordinator } from './tab-coordinator.js';
+import { Logger, REDACTED } from './logger.js';
+
+const log = new Logger('STDB');
+
+/**
+ * Resolve to true if `promise` fulfils within `timeoutMs`, false if it rejects or times out.
+ */
+function settleWithin(promise, timeoutMs) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), Math.max(0, timeoutMs));
+        promise.then(
+            () => { clearTimeout(timer); resolve(true); },
+            () => { clearTimeout(timer); resolve(false); },
+        );
+    });
+}
+
+/**
+ * Unwrap an optional message field: plain value, SATS-JSON { some: v } / { none: [] },
+ * or the [0, v] / [1, []] sum encoding.
+ */
+function unwrapOptional(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return value[0] === 0 ? value[1] : null;
+    if (typeof value === 'object') {
+        if ('some' in value) return value.some;
+        if ('none' in value) return null;
+    }
+    return value;
+}
+
+/**
+ * Format an identity as a hex string: accepts a hex string, SATS-JSON
+ * { __identity__: '0x...' } / { __identity_bytes }, or a byte array.
+ */
+function identityString(identity) {
+    if (typeof identity !== 'object' || identity === null) return identity;
+    if (identity.__identity__) return identity.__identity__;
+    if (identity.__identity_bytes) {
+        return Array.from(identity.__identity_bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    if (Array.isArray(identity) || identity instanceof Uint8Array) {
+        return Array.from(identity).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return JSON.stringify(identity);
+}
+
+function sameIdentity(a, b) {
+    const normalize = identity => String(identityString(identity) ?? '').replace(/^0x/, '').toLowerCase();
+    return !!a && !!b && normalize(a) === normalize(b);
+}
+
+/**
+ * A connection id as a string, from SATS-JSON { __connection_id__: n } or a BSATN u128.
  */
+function connectionIdString(connectionId) {
+    const id = connectionId?.__connection_id__ ?? connectionId;
+    return id === null || id === undefined ? null : String(id);
+}
+
+// Reconnection policy defaults (override with config.reconnect)
+const DEFAULT_RECONNECT_POLICY = {
+    initialDelayMs: 1000,     // First retry comes quickly
+    maxDelayMs: 30000,
+    multiplier: 2,
+    jitter: 0.5,              // Up to 50% of each delay is randomized away
+    maxAttempts: Infinity,    // Keep trying while the tab is visible
+};
+
+// Connection health defaults (override with config.health)
+const DEFAULT_HEALTH_POLICY = {
+    probeIntervalMs: 15000,   // How often the round-trip time is measured
+    probeTimeoutMs: 5000,     // A probe unanswered this long is missed
+    slowLatencyMs: 1000,      // Round trips slower than this mark the connection 'slow'
+    maxMissedProbes: 2,       // Missed in a row (with no other frames) before the socket is dropped
+};
+
+// One-off query sent to measure round-trip time; matches no rows
+const PROBE_QUERY = 'SELECT * FROM category WHERE id = 0';
+
+// Retry policy for safe reducer calls (override with config.reducerRetry)
+const DEFAULT_REDUCER_RETRY = {
+    retries: 2,
+    initialDelayMs: 500,
+    maxDelayMs: 4000,
+    multiplier: 2,
+    jitter: 0.5,
+};
+
+// HTTP statuses worth retrying: the request never reached the module
+const TRANSIENT_HTTP_STATUSES = new Set([502, 503, 504]);
+
+/**
+ * Whether a failed reducer result is worth retrying.
+ */
+function isTransientFailure(result) {
+    if (result.code === ReducerErrorCode.TIMEOUT || result.code === ReducerErrorCode.NETWORK) return true;
+    return TRANSIENT_HTTP_STATUSES.has(result.details?.status);
+}
+
+function abortedFailure(reducerName) {
+    return reducerFailure(reducerName, {
+        message: `Reducer ${reducerName} was aborted`,
+        code: ReducerErrorCode.ABORTED,
+    });
+}
+
+/**
+ * Resolve true after `ms`, or false as soon as `signal` aborts.
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve(false);
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            resolve(false);
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Reducer responses are usually empty; tolerate a body that isn't JSON
+ * (e.g. a proxy's HTML page) by returning it as text.
+ */
+function parseResponseBody(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        log.warn('Reducer response is not JSON:', text.slice(0, 100));
+        return text;
+    }
+}
+
+// Reducer arguments never logged, by position (reducer arrays carry no field names to redact by)
+const SECRET_REDUCER_ARGS = {
+    register_user: [1],
+    login_user: [1],
+};
+
+function loggableArgs(reducerName, args) {
+    const secret = SECRET_REDUCER_ARGS[reducerName];
+    if (!secret) return args;
+    return args.map((arg, i) => (secret.includes(i) ? REDACTED : arg));
+}
+
+// Delay before writing the cache snapshot, so bursts of updates are saved once
+const SNAPSHOT_DELAY_MS = 1000;
+
+// Fields never written to the cache snapshot
+const SNAPSHOT_EXCLUDED_FIELDS = {
+    user: ['passwordHash'],
+};
+
+// Player-scoped tables that feed a room's available activities
+const ROOM_AVAILABILITY_PLAYER_TABLES = new Set([
+    'player_unlocked_activity',
+    'player_not_wanted_activity',
+    'player_category_preference',
+]);
+
+/**
+ * Stable fingerprint of a room's available activities, to detect real changes.
+ */
+function activitiesSignature(activities) {
+    const sorted = [...activities].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    return JSON.stringify(sorted, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+/**
+ * Shallow comparison of two parsed rows.
+ */
+function rowsEqual(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * A set of queries subscribed together, returned by SpacetimeDBClient.subscribe().
+ * 
+ * `applied` settles on the server's SubscribeMultiApplied (resolves with the handle)
+ * or SubscriptionError (rejects). `unsubscribe()` drops the queries and evicts the
+ * rows they brought into the cache, unless another subscription still covers them.
+ */
+export class SubscriptionHandle {
+    constructor(client, queryId, queries) {
+        this.client = client;
+        this.queryId = queryId;
+        this.queries = queries;
+        this.requestId = null;
+        this.state = 'pending';  // 'pending' | 'active' | 'ended' | 'error'
+        this.error = null;
+        this.ended = null;
+        this.resetApplied();
+    }
+    
+    /**
+     * Create a fresh `applied` promise (used when re-sending after a reconnect).
+     */
+    resetApplied() {
+        this.applied = new Promise((resolve, reject) => {
+            this.resolveApplied = resolve;
+            this.rejectApplied = reject;
+        });
+        // Callers are not required to await the acknowledgement
+        this.applied.catch(() => {});
+    }
+    
+    get isActive() {
+        return this.state === 'pending' || this.state === 'active';
+    }
+    
+    unsubscribe() {
+        return this.client.unsubscribe(this);
+    }
+}
 
 export class SpacetimeDBClient {
     constructor(config) {
         this.httpHost = config.host.replace('ws://', 'http://').replace('wss://', 'https://');
         this.wsHost = config.wsHost || 'ws://localhost:3000';
         this.module = config.module;
+        this.protocol = config.protocol === 'bsatn' ? 'bsatn' : 'json';
+        this.wireFormat = null;  // Negotiated format of the open socket ('json' | 'bsatn')
+        this.reducerTransport = config.reducerTransport === 'websocket' ? 'websocket' : 'http';
+        this.reducerTimeoutMs = config.reducerTimeoutMs || 10000;
+        this.reducerRetry = { ...DEFAULT_REDUCER_RETRY, ...config.reducerRetry };
+        
+        // Platform dependencies, injectable for Node (see the module comment)
+        this.WebSocket = config.WebSocket ?? globalThis.WebSocket;
+        this.fetch = config.fetch ?? ((...args) => globalThis.fetch(...args));
+        this.textDecoder = new (config.TextDecoder ?? globalThis.TextDecoder)('utf-8');
+        this.storage = resolveStorage(config.storage);
         this.identity = null;
         this.token = null;
+        this.connectionId = null;  // This socket's, from the IdentityToken
         this.ws = null;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 3;
-        this.reconnectDelay = 120000;
+        this.reconnectPolicy = { ...DEFAULT_RECONNECT_POLICY, ...config.reconnect };
         this.isReconnecting = false;
-        
-        // Client cache - mirrors subscribed tables
-        this.cache = {
-            user: new Map(),
-            player: new Map(),
-            room: new Map(),
-            room_member: new Map(),
-            room_invitation: new Map(),
-            category: new Map(),
-            activity: new Map(),
-            player_activity: new Map(),
-            player_unlocked_activity: new Map(),
-            room_activity: new Map(),
-            activity_participant: new Map(),
-            player_not_wanted_activity: new Map(),
-            user_category_preference: new Map(),
-            player_category_preference: new Map(),
+        this.reconnectPaused = false;      // Waiting for the tab to become visible again
+        this.networkListenersInstalled = false;
+        this.resyncGeneration = 0;
+        
+        // Connection health, kept current by probes and socket events (see getHealth)
+        this.healthPolicy = { ...DEFAULT_HEALTH_POLICY, ...config.health };
+        this.health = {
+            status: 'disconnected',
+            latencyMs: null,
+            lastMessageAt: null,
+            reconnects: 0,
+            missedProbes: 0,
         };
+        this.hasConnected = false;
+        this.healthIntervalId = null;
+        this.pendingProbe = null;  // { messageId, sentAt, timeoutId }
+        this.probeCounter = 0;
+        
+        // Schema used to decode rows and encode reducer arguments. Starts as the static
+        // registry; loadSchema() replaces it with the module's own definition when reachable.
+        this.schemaDiscovery = config.schemaDiscovery !== false;
+        this.schemaLoaded = null;
+        this.schemaMismatches = [];
+        this.moduleExtensions = new Set();  // MODULE_EXTENSIONS the module turned out to have
+        this.moduleTables = null;           // Tables as the module declares them, once discovered
+        this.applySchema({ tables: TABLES, enums: ENUMS, reducerArgTypes: REDUCER_ARG_TYPES });
+        
+        // Client cache - mirrors subscribed tables, one Map per table in the schema registry
+        // (extension tables included, empty unless the module has them), with the secondary
+        // indexes from CACHE_INDEXES (see TableCache.lookup)
+        this.cache = {};
+        for (const tableName of [...Object.keys(TABLES), ...Object.keys(MODULE_EXTENSIONS.tables)]) {
+            this.cache[tableName] = new TableCache(CACHE_INDEXES[tableName]);
+        }
+        this.schemaWarnings = new Set();  // Warnings already logged, so each is reported once
+        
+        // IndexedDB snapshot of the cache, restored on startup before the subscription arrives.
+        // Restored rows have no subscription reference until the server re-sends them;
+        // those it doesn't re-send are evicted once the scoped subscription is applied.
+        this.cacheStore = config.persistCache === false ? null : new CacheStore(config.indexedDB);
+        this.hydrated = false;
+        this.hydratedKeys = null;  // tableName -> Set of keys restored from the snapshot
+        this.snapshotTimeoutId = null;
+        
+        // Memoized room-available activities: roomId -> { activities, signature }.
+        // Rooms are recomputed only after rows touching their members change.
+        this.roomAvailability = new Map();
+        this.staleRoomAvailability = new Set();    // Rooms whose memo must be recomputed
+        this.pendingRoomAvailability = new Set();  // Rooms whose listeners may need notifying
+        this.notifiedRoomAvailability = new Map(); // roomId -> signature last emitted
+        
+        // Number of active subscriptions that delivered each cached row (by table, then id).
+        // A row leaves the cache when the last subscription covering it lets go.
+        this.rowRefCounts = {};
+        for (const tableName of Object.keys(this.cache)) {
+            this.rowRefCounts[tableName] = new Map();
+        }
+        
+        // Subscription handles by query id
+        this.subscriptions = new Map();
+        this.queryIdCounter = 0;
+        this.requestCounter = 0;
+        this.catalogSubscription = null;  // Phase 1: categories
+        this.scopedSubscription = null;   // Phase 2: rows for the current context
+        this.resetIdentityReceived();
+        this.hydrationReconciled = null;  // Settles once restored snapshot rows are checked against the server
+        
+        // Reducer calls sent over the socket, by request id
+        this.pendingReducerCalls = new Map();
+        
+        // Calls made while offline, replayed once connected (see replayQueuedReducers)
+        this.reducerQueue = new ReducerQueue(this.storage);
+        this.replayingQueue = false;
+        
+        // Multi-tab mode: one leader tab owns the socket, followers mirror it.
+        // Without BroadcastChannel and Web Locks every tab connects on its own.
+        this.tabs = null;
+        if (config.multiTab) {
+            if (TabCoordinator.isSupported()) {
+                this.tabs = new TabCoordinator({ name: `stdb:${this.module}` });
+            } else {
+                log.warn('Multi-tab mode unsupported in this browser, connecting this tab directly');
+            }
+        }
+        this.tabsStarted = null;
+        this.leaderConnected = false;     // Follower: the leader's socket is open
+        this.mirrorReady = false;         // Follower: the leader's snapshot has been loaded
+        this.resolveMirror = null;
+        this.mirroredContext = null;      // Follower: settles when the leader has applied our context
+        this.tabRequests = new Map();     // Follower: calls and contexts awaiting the leader, by id
+        this.tabRequestCounter = 0;
+        this.tabSubscriptions = new Map(); // Leader: follower tab id -> SubscriptionHandle for its context
+        
+        // Event listeners by event name (see on/off/once). The single-slot
+        // onX properties below still work and are called alongside them.
+        this.listeners = new Map();
         
         // Callbacks
         this.onConnect = null;
@@ -47,10 +404,20 @@ export class SpacetimeDBClient {
         this.onRoomAvailableActivitiesUpdate = null;  // Called when room-compatible activities change
         this.onPreferencesUpdate = null;
         this.onCategoriesLoaded = null;
+        this.onSchemaMismatch = null;
         
         // Categories loading state - prioritized for early availability
         this.categoriesLoaded = false;
         
+        // Subscription scope - rows are only requested for the logged-in user,
+        // the selected player and the current room (see buildSubscriptionQueries)
+        this.subscriptionContext = {
+            userId: null,
+            username: null,
+            playerId: null,
+            roomId: null,
+        };
+        
         // Local storage keys
         this.storageKeys = {
             identity: 'stdb_identity',
@@ -66,81 +433,417 @@ export class SpacetimeDBClient {
         return `${this.wsHost}/v1/database/${this.module}/subscribe`;
     }
     
+    // =========================================================================
+    // Events
+    // =========================================================================
+    
+    /**
+     * Listen for a client event.
+     * 
+     * Events: connect, disconnect, error, roomMembersUpdate, activitiesUpdate,
+     * unlockedActivitiesUpdate, roomActivityUpdate, roomAvailableActivitiesUpdate,
+     * preferencesUpdate, categoriesLoaded - same arguments as the matching onX callback -
+     * plus schemaMismatch (see loadSchema), reconnecting ({ attempt, delayMs }),
+     * reconnectFailed ({ attempts }), reducerQueued / queuedReducerResult (see
+     * replayQueuedReducers) and sessionStarted ({ username }) / sessionEnded (another
+     * tab logged in or out, see handleSessionMessage).
+     * 
+     * Row events, per cached table, fire after the rows are in the cache:
+     * - '<table>:insert' (row)
+     * - '<table>:update' (newRow, oldRow)
+     * - '<table>:delete' (row)
+     * 
+     * @returns {Function} Removes the listener
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+    
+    /**
+     * Stop a listener added with on() or once() (given the original listener).
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        for (const registered of listeners) {
+            if (registered === listener || registered.listener === listener) listeners.delete(registered);
+        }
+        if (listeners.size === 0) this.listeners.delete(event);
+    }
+    
+    /**
+     * Listen for the next occurrence of an event only.
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+        // Lets off(event, listener) find the wrapper
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+    
+    /**
+     * Property holding the legacy single-slot callback, e.g. 'roomMembersUpdate' -> 'onRoomMembersUpdate'.
+     */
+    callbackProperty(event) {
+        return 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+    }
+    
+    hasListeners(event) {
+        return this.listeners.has(event) || typeof this[this.callbackProperty(event)] === 'function';
+    }
+    
+    emit(event, ...args) {
+        const callback = this[this.callbackProperty(event)];
+        const listeners = this.listeners.has(event) ? Array.from(this.listeners.get(event)) : [];
+        if (typeof callback === 'function') listeners.unshift(callback);
+        
+        for (const listener of listeners) {
+            // One failing listener must not stop the others or the cache update that emitted
+            try {
+                listener.apply(this, args);
+            } catch (error) {
+                log.error(`Listener for ${event} failed:`, error);
+            }
+        }
+    }
+    
+    // =========================================================================
+    // Schema
+    // =========================================================================
+    
+    applySchema({ tables, enums, reducerArgTypes }) {
+        this.tables = tables;
+        this.rowTypes = rowTypes(tables);
+        this.enums = enums;
+        this.reducerArgTypes = reducerArgTypes;
+    }
+    
+    /**
+     * Fetch the module definition and decode with its column order and enum variants.
+     * 
+     * Differences from the static registry in schema.js are logged and emitted as
+     * 'schemaMismatch' (string[]), e.g. when the module was deployed ahead of these assets.
+     * Keeps the static registry if the schema can't be fetched.
+     */
+    async loadSchema() {
+        let moduleDef;
+        try {
+            const response = await this.fetch(`${this.baseUrl}/schema?version=9`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            moduleDef = await response.json();
+        } catch (error) {
+            log.warn('Schema discovery failed, using built-in schema:', error.message);
+            return;
+        }
+        
+        const discovered = readModuleDef(moduleDef);
+        const schema = reconcileSchema(discovered);
+        this.applySchema(schema);
+        this.schemaMismatches = schema.mismatches;
+        this.moduleExtensions = new Set(schema.extensions);
+        this.moduleTables = discovered.tables;
+        log.debug('Module extensions:', schema.extensions);
+        
+        // Discovery outlasted connect(): queries may depend on what it found
+        if (this.scopedSubscription) this.resubscribe();
+        
+        if (schema.mismatches.length === 0) {
+            log.info('Module schema matches the client');
+            return;
+        }
+        log.warn(`Module schema differs from the client (${schema.mismatches.length}):`);
+        for (const mismatch of schema.mismatches) {
+            log.warn('  -', mismatch);
+        }
+        this.emit('schemaMismatch', schema.mismatches);
+    }
+    
+    /**
+     * Whether the module has an optional table, column (`table.column`) or
+     * reducer from MODULE_EXTENSIONS in schema.js. False until schema discovery
+     * has found it, so features that need one stay hidden against modules that
+     * predate them.
+     */
+    supports(name) {
+        return this.moduleExtensions.has(name);
+    }
+    
+    /**
+     * Whether the module has these columns on a table: as discovered, or as
+     * declared in schema.js while discovery is off or hasn't succeeded.
+     */
+    hasColumns(tableName, columnNames) {
+        const table = (this.moduleTables ?? this.tables)[tableName];
+        return !!table && columnNames.every(name => table.columns.some(column => column.name === name));
+    }
+    
+    // =========================================================================
+    // Cache Snapshot
+    // =========================================================================
+    
+    /**
+     * Key identifying the row shape a snapshot was written with; snapshots
+     * from another schema are discarded rather than hydrated.
+     */
+    get snapshotSchemaKey() {
+        return Object.entries(this.tables)
+            .map(([tableName, { columns }]) => `${tableName}:${columns.map(c => c.field).join(',')}`)
+            .join(';');
+    }
+    
+    /**
+     * Fill the cache from the IndexedDB snapshot saved for the stored identity.
+     */
+    async hydrateFromSnapshot() {
+        if (!this.cacheStore || !this.identity) return;
+        
+        const loading = this.cacheStore.load();
+        if (!await settleWithin(loading, 1000)) return;
+        const snapshot = await loading;
+        if (!snapshot) return;
+        
+        if (snapshot.identity !== this.identity || snapshot.schemaKey !== this.snapshotSchemaKey) {
+            log.info('Discarding cache snapshot for another identity or schema');
+            this.cacheStore.clear();
+            return;
+        }
+        
+        this.hydratedKeys = {};
+        let restored = 0;
+        for (const [tableName, rows] of Object.entries(snapshot.tables)) {
+            const cache = this.cache[tableName];
+            if (!cache) continue;
+            this.hydratedKeys[tableName] = new Set();
+            for (const row of rows) {
+                const key = this.getPrimaryKey(tableName, row);
+                if (key === undefined || cache.has(key)) continue;
+                cache.set(key, row);
+                this.hydratedKeys[tableName].add(key);
+                restored++;
+            }
+            this.invalidateRoomAvailability(tableName, rows);
+        }
+        log.info('Restored', restored, 'rows from cache snapshot saved', new Date(snapshot.savedAt).toISOString());
+        
+        this.syncUserContext();
+        for (const tableName of Object.keys(this.hydratedKeys)) {
+            this.notifyTableChanged(tableName);
+        }
+        this.notifyRoomMembersUpdate();
+    }
+    
+    /**
+     * Once the scoped subscription is applied, drop restored rows the server
+     * didn't send again - they were deleted or left scope while we were away.
+     */
+    async reconcileHydratedRows() {
+        if (!this.hydratedKeys) return;
+        
+        const catalogApplied = this.catalogSubscription ? settleWithin(this.catalogSubscription.applied, 10000) : true;
+        const applied = await this.waitForScopedSubscription(10000) && await catalogApplied;
+        if (!applied || !this.hydratedKeys) return;
+        
+        const hydratedKeys = this.hydratedKeys;
+        this.hydratedKeys = null;
+        for (const [tableName, keys] of Object.entries(hydratedKeys)) {
+            const cache = this.cache[tableName];
+            const stale = [];
+            for (const key of keys) {
+                if (!this.rowRefCounts[tableName].has(key) && cache.has(key)) {
+                    stale.push(cache.get(key));
+                    cache.delete(key);
+                }
+            }
+            if (stale.length === 0) continue;
+            
+            log.info('Dropped', stale.length, 'stale snapshot rows from', tableName);
+            this.invalidateRoomAvailability(tableName, stale);
+            for (const row of stale) {
+                this.emit(`${tableName}:delete`, row);
+            }
+            this.notifyTableChanged(tableName);
+        }
+        this.notifyRoomMembersUpdate();
+        this.broadcastSnapshot();
+    }
+    
+    /**
+     * Save the cache to IndexedDB shortly after it changes.
+     * The leader tab saves for everyone; followers never write.
+     */
+    scheduleSnapshot() {
+        if (!this.cacheStore || this.snapshotTimeoutId || this.isFollower) return;
+        this.snapshotTimeoutId = setTimeout(() => {
+            this.snapshotTimeoutId = null;
+            this.saveSnapshot();
+        }, SNAPSHOT_DELAY_MS);
+    }
+    
+    saveSnapshot() {
+        if (!this.cacheStore || !this.identity) return Promise.resolve(null);
+        
+        const tables = {};
+        for (const [tableName, cache] of Object.entries(this.cache)) {
+            const excluded = SNAPSHOT_EXCLUDED_FIELDS[tableName] || [];
+            tables[tableName] = Array.from(cache.values(), row => {
+                if (excluded.length === 0) return row;
+                const copy = { ...row };
+                for (const field of excluded) delete copy[field];
+                return copy;
+            });
+        }
+        return this.cacheStore.save({
+            identity: this.identity,
+            schemaKey: this.snapshotSchemaKey,
+            savedAt: Date.now(),
+            tables,
+        });
+    }
+    
     // =========================================================================
     // Connection Management
     // =========================================================================
     
     async connect() {
-        console.log('[STDB] Connecting to:', this.wsUrl);
+        log.info('Connecting to:', this.wsUrl);
         
         // Reset intentional disconnect flag when connecting
         this.intentionalDisconnect = false;
+        this.installNetworkListeners();
+        
+        this.identity = this.storage.getItem(this.storageKeys.identity);
+        this.token = this.storage.getItem(this.storageKeys.token);
+        
+        // Rows must decode with the module's schema, so give it a moment to arrive first
+        if (this.schemaDiscovery) {
+            this.schemaLoaded ??= this.loadSchema();
+            await settleWithin(this.schemaLoaded, 3000);
+        }
         
-        this.identity = localStorage.getItem(this.storageKeys.identity);
-        this.token = localStorage.getItem(this.storageKeys.token);
+        // Another tab owns the socket: mirror it instead of opening our own
+        if (this.tabs) {
+            await this.startTabs();
+            if (this.isFollower) return this.connectViaLeader();
+        }
+        
+        if (!this.hydrated) {
+            this.hydrated = true;
+            await this.hydrateFromSnapshot();
+        }
+        
+        this.setHealth({ status: this.hasConnected ? 'reconnecting' : 'connecting' });
         
         return new Promise((resolve, reject) => {
             try {
-                let url = this.wsUrl;
+                const params = new URLSearchParams();
                 if (this.token) {
-                    url += '?token=' + encodeURIComponent(this.token);
+                    params.set('token', this.token);
+                }
+                
+                // Offer BSATN first; the server picks JSON if it doesn't support it
+                let protocols = JSON_PROTOCOL;
+                if (this.protocol === 'bsatn') {
+                    protocols = [BSATN_PROTOCOL, JSON_PROTOCOL];
+                    // Binary frames are decoded synchronously, so ask for uncompressed messages
+                    params.set('compression', 'None');
                 }
                 
-                this.ws = new WebSocket(url, 'v1.json.spacetimedb');
+                const query = params.toString();
+                const url = query ? `${this.wsUrl}?${query}` : this.wsUrl;
+                
+                this.ws = new this.WebSocket(url, protocols);
                 this.ws.binaryType = 'arraybuffer';
                 
                 this.ws.onopen = () => {
-                    console.log('[STDB] WebSocket connected');
-                    this.reconnectAttempts = 0;
+                    this.wireFormat = this.ws.protocol === BSATN_PROTOCOL ? 'bsatn' : 'json';
+                    log.info('WebSocket connected, protocol:', this.ws.protocol || JSON_PROTOCOL);
+                    if (this.protocol === 'bsatn' && this.wireFormat !== 'bsatn') {
+                        log.warn('Server did not accept BSATN, falling back to JSON');
+                    }
+                    // reconnectAttempts is reset once the identity token arrives (connection stable)
+                    
+                    // Re-send subscriptions that were registered before this socket opened
+                    this.resubscribeAll();
                     
                     // Phase 1: Subscribe to categories FIRST for early availability
                     // Categories are needed immediately for the preferences UI
-                    console.log('[STDB] Phase 1: Subscribing to categories...');
-                    this.sendSubscription([
-                        "SELECT * FROM category",
-                    ]);
+                    if (!this.catalogSubscription) {
+                        log.debug('Phase 1: Subscribing to categories...');
+                        this.catalogSubscription = this.subscribe([
+                            "SELECT * FROM category",
+                        ]);
+                    }
                     
-                    // Phase 2: Subscribe to all other tables
-                    // These load in parallel but categories should arrive first
-                    console.log('[STDB] Phase 2: Subscribing to remaining tables...');
-                    this.sendSubscription([
-                        "SELECT * FROM user",
-                        "SELECT * FROM player",
-                        "SELECT * FROM room",
-                        "SELECT * FROM room_member",
-                        "SELECT * FROM room_invitation",
-                        "SELECT * FROM activity",
-                        "SELECT * FROM player_activity",
-                        "SELECT * FROM player_unlocked_activity",
-                        "SELECT * FROM room_activity",
-                        "SELECT * FROM activity_participant",
-                        "SELECT * FROM player_not_wanted_activity",
-                        "SELECT * FROM user_category_preference",
-                        "SELECT * FROM player_category_preference",
-                    ]);
+                    // Phase 2 (the scoped subscription) is sent once the server
+                    // has told us our identity - see handleIdentityToken()
                     
-                    if (this.onConnect) this.onConnect();
+                    this.emit('connect');
+                    this.startHealthMonitor();
                     resolve(true);
                 };
                 
                 this.ws.onmessage = (event) => this.handleMessage(event.data);
                 this.ws.onerror = (error) => {
-                    console.error('[STDB] WebSocket error:', error);
-                    if (this.onError) this.onError(error);
+                    log.error('WebSocket error:', error);
+                    this.emit('error', error);
                 };
                 this.ws.onclose = (event) => {
-                    console.log('[STDB] WebSocket closed:', event.code);
-                    if (this.onDisconnect) this.onDisconnect();
+                    log.info('WebSocket closed:', event.code);
+                    this.rejectPendingReducerCalls('Connection closed');
+                    this.stopHealthMonitor();
+                    this.setHealth({ status: 'disconnected' });
+                    this.emit('disconnect');
                     this.attemptReconnect();
                 };
                 
             } catch (error) {
-                console.error('[STDB] Connection failed:', error);
+                log.error('Connection failed:', error);
                 reject(error);
             }
         });
     }
     
+    /**
+     * Retry immediately when the browser comes back online or the tab is shown again.
+     */
+    installNetworkListeners() {
+        if (this.networkListenersInstalled || typeof window === 'undefined') return;
+        this.networkListenersInstalled = true;
+        
+        window.addEventListener('online', () => {
+            log.info('Browser is online');
+            this.reconnectNow();
+            // A socket that survived the outage won't send a new identity token
+            if (this.isSocketOpen()) {
+                this.replayQueuedReducers();
+                this.sendProbe();
+            }
+        });
+        window.addEventListener('offline', () => {
+            log.info('Browser is offline');
+            if (!this.isFollower) this.setHealth({ status: 'offline' });
+            // The socket may linger without delivering anything; find out now
+            this.sendProbe();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.reconnectNow();
+        });
+    }
+    
+    /**
+     * Delay before the given reconnect attempt (1-based), with jitter.
+     */
+    getReconnectDelay(attempt) {
+        const { initialDelayMs, maxDelayMs, multiplier, jitter } = this.reconnectPolicy;
+        const delay = Math.min(initialDelayMs * Math.pow(multiplier, attempt - 1), maxDelayMs);
+        return Math.round(delay * (1 - jitter * Math.random()));
+    }
+    
     attemptReconnect() {
         if (this.isReconnecting) {
             return; // Already attempting reconnection
@@ -148,52 +851,84 @@ export class SpacetimeDBClient {
         
         // Don't reconnect if intentionally disconnected
         if (this.intentionalDisconnect) {
-            console.log('[STDB] Skipping reconnect - intentional disconnect');
+            log.info('Skipping reconnect - intentional disconnect');
+            return;
+        }
+        
+        // Hidden tabs wait for visibilitychange instead of retrying in the background
+        if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+            log.info('Tab hidden, reconnecting when it is visible again');
+            this.reconnectPaused = true;
             return;
         }
         
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('[STDB] Max reconnect attempts reached, giving up');
-            this.isReconnecting = false;
+        const { maxAttempts } = this.reconnectPolicy;
+        if (this.reconnectAttempts >= maxAttempts) {
+            log.error('Max reconnect attempts reached, giving up');
+            this.emit('reconnectFailed', { attempts: this.reconnectAttempts });
             return;
         }
         
         this.isReconnecting = true;
+        this.reconnectPaused = false;
         this.reconnectAttempts++;
-        const delay = Math.min(
-            this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
-            30000 // Cap at 30 seconds
-        );
-        console.log(`[STDB] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        const limit = Number.isFinite(maxAttempts) ? `/${maxAttempts}` : '';
+        log.info(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}${limit})`);
+        this.setHealth({ status: 'reconnecting' });
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delayMs: delay });
         
         this.reconnectTimeoutId = setTimeout(() => {
+            this.reconnectTimeoutId = null;
             this.isReconnecting = false; // Allow next attempt after timeout
             
             // Check again in case disconnect was called during timeout
             if (this.intentionalDisconnect) {
-                console.log('[STDB] Reconnect cancelled - intentional disconnect');
+                log.info('Reconnect cancelled - intentional disconnect');
                 return;
             }
             
             this.connect()
                 .then(() => {
                     // Don't reset attempts here - wait until identity token is received
-                    console.log('[STDB] Reconnection established, awaiting identity...');
+                    log.info('Reconnection established, awaiting identity...');
                 })
                 .catch((error) => {
-                    console.error('[STDB] Reconnect failed:', error.message || error);
+                    log.error('Reconnect failed:', error.message || error);
                     // Continue backing off on failure
                     this.attemptReconnect();
                 });
         }, delay);
     }
     
+    /**
+     * Reconnect right away, skipping any pending backoff delay.
+     * No-op while connected, connecting, or after an intentional disconnect.
+     */
+    reconnectNow() {
+        if (this.intentionalDisconnect || !this.ws) return;
+        if (this.ws.readyState === this.WebSocket.OPEN || this.ws.readyState === this.WebSocket.CONNECTING) return;
+        
+        log.info('Reconnecting now');
+        clearTimeout(this.reconnectTimeoutId);
+        this.reconnectTimeoutId = null;
+        this.isReconnecting = false;
+        this.reconnectPaused = false;
+        // A manual or network-triggered retry starts a fresh backoff sequence
+        this.reconnectAttempts = 0;
+        
+        this.connect().catch((error) => {
+            log.error('Reconnect failed:', error.message || error);
+            this.attemptReconnect();
+        });
+    }
+    
     /**
      * Disconnect the WebSocket and stop all reconnection attempts.
      * Call this when the user logs out.
      */
     disconnect() {
-        console.log('[STDB] Disconnecting WebSocket...');
+        log.info('Disconnecting WebSocket...');
         
         // Mark as intentional disconnect to prevent auto-reconnect
         this.intentionalDisconnect = true;
@@ -213,16 +948,25 @@ export class SpacetimeDBClient {
         
         // Reset reconnection state
         this.reconnectAttempts = 0;
+        this.rejectPendingReducerCalls('Disconnected');
+        this.stopHealthMonitor();
+        this.setHealth({ status: 'disconnected' });
         
-        console.log('[STDB] Disconnected successfully');
-        if (this.onDisconnect) this.onDisconnect();
+        log.info('Disconnected successfully');
+        this.emit('disconnect');
     }
     
     /**
-     * Check if WebSocket is connected and ready.
+     * Check if the connection is ready: this tab's WebSocket, or the
+     * leader tab's when following another tab.
      */
     isConnected() {
-        return this.ws && this.ws.readyState === WebSocket.OPEN;
+        if (this.isFollower) return this.leaderConnected;
+        return this.isSocketOpen();
+    }
+    
+    isSocketOpen() {
+        return this.ws && this.ws.readyState === this.WebSocket.OPEN;
     }
     
     /**
@@ -240,35 +984,513 @@ export class SpacetimeDBClient {
     }
     
     // =========================================================================
-    // WebSocket Subscription
+    // Connection Health
     // =========================================================================
     
-    sendSubscription(queries) {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    /**
+     * Current connection health:
+     * - status: 'connecting' | 'connected' | 'slow' (round trips over
+     *   health.slowLatencyMs) | 'stale' (probes unanswered - possibly a half-open
+     *   socket) | 'reconnecting' | 'offline' | 'disconnected'
+     * - latencyMs: smoothed round-trip time, null until measured
+     * - lastMessageAt: time (ms) the last frame arrived
+     * - reconnects: connections re-established since the page loaded
+     * - missedProbes: probes unanswered in a row
+     * 
+     * Changes are emitted as 'healthChange' with the same object. Follower tabs
+     * report the leader tab's health.
+     */
+    getHealth() {
+        return { ...this.health };
+    }
+    
+    /**
+     * Connection and cache summary for the diagnostic bundle - counts only,
+     * no rows and no token.
+     */
+    getDiagnostics() {
+        return {
+            health: this.getHealth(),
+            tab: this.tabs?.role ?? 'single',
+            protocol: this.protocol,
+            wireFormat: this.wireFormat,
+            reducerTransport: this.reducerTransport,
+            identity: this.identity ? `${this.identity.slice(0, 10)}...` : null,
+            subscriptionContext: { ...this.subscriptionContext },
+            subscriptions: this.subscriptions.size,
+            cachedRows: Object.fromEntries(Object.entries(this.cache).map(([tableName, cache]) => [tableName, cache.size])),
+            queuedReducers: this.reducerQueue.size,
+            schemaMismatches: this.schemaMismatches,
+        };
+    }
+    
+    /**
+     * Whether cached rows may be out of date: the connection is down or not
+     * answering, so changes by other players may not have reached us.
+     */
+    isViewStale() {
+        return this.health.status !== 'connected' && this.health.status !== 'slow';
+    }
+    
+    setHealth(changes) {
+        const next = { ...this.health, ...changes };
+        // lastMessageAt moves with every frame; it is reported, not announced
+        const changed = Object.keys(next).some(key => key !== 'lastMessageAt' && next[key] !== this.health[key]);
+        this.health = next;
+        if (!changed) return;
+        
+        if (changes.status && changes.status !== 'connected') {
+            log.info('Connection health:', next.status);
+        }
+        this.emit('healthChange', this.getHealth());
+        this.broadcastStatus();
+    }
+    
+    /**
+     * Start probing a freshly opened socket.
+     */
+    startHealthMonitor() {
+        this.stopHealthMonitor();
+        const reconnects = this.health.reconnects + (this.hasConnected ? 1 : 0);
+        this.hasConnected = true;
+        this.setHealth({ status: 'connected', reconnects, missedProbes: 0, lastMessageAt: Date.now() });
+        
+        this.sendProbe();
+        this.healthIntervalId = setInterval(() => this.sendProbe(), this.healthPolicy.probeIntervalMs);
+    }
+    
+    stopHealthMonitor() {
+        clearInterval(this.healthIntervalId);
+        this.healthIntervalId = null;
+        clearTimeout(this.pendingProbe?.timeoutId);
+        this.pendingProbe = null;
+    }
+    
+    /**
+     * Time a one-off query. Skipped while a probe is still outstanding.
+     */
+    sendProbe() {
+        if (!this.isSocketOpen() || this.pendingProbe) return;
+        
+        this.probeCounter = (this.probeCounter % 0xFFFFFFFF) + 1;
+        const messageId = this.probeCounter.toString(16).padStart(8, '0');
+        this.pendingProbe = {
+            messageId,
+            sentAt: Date.now(),
+            timeoutId: setTimeout(() => this.handleMissedProbe(), this.healthPolicy.probeTimeoutMs),
+        };
+        this.sendMessage({ OneOffQuery: { message_id: messageId, query_string: PROBE_QUERY } });
+    }
+    
+    handleOneOffQueryResponse(data) {
+        const probe = this.pendingProbe;
+        const messageId = Array.isArray(data.message_id)
+            ? data.message_id.map(b => b.toString(16).padStart(2, '0')).join('')
+            : String(data.message_id ?? '').replace(/^0x/, '').toLowerCase();
+        if (!probe || messageId !== probe.messageId) return;
+        
+        clearTimeout(probe.timeoutId);
+        this.pendingProbe = null;
+        const roundTripMs = Date.now() - probe.sentAt;
+        // Smoothed, so one slow round trip doesn't flip the status
+        const latencyMs = this.health.latencyMs === null
+            ? roundTripMs
+            : Math.round(this.health.latencyMs * 0.7 + roundTripMs * 0.3);
+        this.setHealth({
+            status: latencyMs > this.healthPolicy.slowLatencyMs ? 'slow' : 'connected',
+            latencyMs,
+            missedProbes: 0,
+        });
+    }
+    
+    /**
+     * A probe went unanswered. If other frames arrived meanwhile the socket is
+     * just slow; if nothing did, it may be half-open - after maxMissedProbes in
+     * a row it is dropped and reconnected.
+     */
+    handleMissedProbe() {
+        const probe = this.pendingProbe;
+        this.pendingProbe = null;
+        if (!probe || !this.isSocketOpen()) return;
+        
+        if (this.health.lastMessageAt > probe.sentAt) {
+            this.setHealth({ status: 'slow' });
+            return;
+        }
+        
+        const missedProbes = this.health.missedProbes + 1;
+        this.setHealth({ status: 'stale', missedProbes });
+        if (missedProbes < this.healthPolicy.maxMissedProbes) {
+            log.warn('No answer from the server for', this.healthPolicy.probeTimeoutMs, 'ms, probing again');
+            this.sendProbe();
+            return;
+        }
         
+        log.warn('No answer to', missedProbes, 'probes, dropping the connection');
+        this.abandonSocket();
+    }
+    
+    /**
+     * Any frame proves the socket is alive again.
+     */
+    noteMessageReceived() {
+        this.health.lastMessageAt = Date.now();
+        if (this.health.status === 'stale' || this.health.status === 'offline') {
+            this.setHealth({ status: 'connected', missedProbes: 0 });
+        }
+    }
+    
+    /**
+     * Treat the socket as closed now rather than waiting for a close
+     * handshake a half-open connection will never complete.
+     */
+    abandonSocket() {
+        const ws = this.ws;
+        if (!ws) return;
+        const onclose = ws.onclose;
+        ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+        try {
+            ws.close(4000, 'Server not responding');
+        } catch (error) {
+            log.warn('Closing unresponsive socket failed:', error?.message);
+        }
+        onclose?.({ code: 4000 });
+    }
+    
+    // =========================================================================
+    // WebSocket Subscription
+    // =========================================================================
+    
+    nextRequestId() {
         // request_id must fit in u32 (max ~4.2 billion)
-        this.subscriptionCounter = (this.subscriptionCounter || 0) + 1;
+        this.requestCounter = (this.requestCounter % 0xFFFFFFFF) + 1;
+        return this.requestCounter;
+    }
+    
+    /**
+     * Subscribe to a set of queries.
+     * 
+     * Subscriptions made while disconnected are sent once the socket opens.
+     * 
+     * @param {string[]} queries - SQL query strings
+     * @returns {SubscriptionHandle}
+     */
+    subscribe(queries) {
+        this.queryIdCounter = (this.queryIdCounter % 0xFFFFFFFF) + 1;
+        const handle = new SubscriptionHandle(this, this.queryIdCounter, queries);
+        this.subscriptions.set(handle.queryId, handle);
+        this.sendSubscribe(handle);
+        return handle;
+    }
+    
+    sendSubscribe(handle) {
+        if (!this.isSocketOpen()) return;
+        
+        handle.requestId = this.nextRequestId();
+        this.sendMessage({
+            SubscribeMulti: {
+                query_strings: handle.queries,
+                request_id: handle.requestId,
+                query_id: { id: handle.queryId },
+            }
+        });
+    }
+    
+    /**
+     * Drop a subscription. Resolves once the server has removed it and its rows
+     * have been evicted from the cache.
+     */
+    unsubscribe(handle) {
+        if (!handle.isActive) return handle.ended || Promise.resolve();
+        
+        // Can't unsubscribe before the server has applied the subscription
+        if (handle.state === 'pending' && handle.requestId !== null && this.isSocketOpen()) {
+            return handle.applied.then(() => this.unsubscribe(handle), () => {});
+        }
+        
+        if (!this.isSocketOpen() || handle.state === 'pending') {
+            // Nothing registered server-side; leftover rows are evicted on the next resync
+            handle.state = 'ended';
+            this.subscriptions.delete(handle.queryId);
+            handle.ended = Promise.resolve();
+            return handle.ended;
+        }
         
-        const message = {
-            Subscribe: {
-                query_strings: queries,
-                request_id: this.subscriptionCounter,
+        handle.ended = new Promise(resolve => {
+            handle.resolveEnded = resolve;
+        });
+        this.sendMessage({
+            UnsubscribeMulti: {
+                request_id: this.nextRequestId(),
+                query_id: { id: handle.queryId },
             }
-        };
+        });
+        return handle.ended;
+    }
+    
+    /**
+     * Re-send all live subscriptions on a freshly opened socket.
+     * 
+     * Cached rows stay visible while the fresh copies arrive; once every
+     * subscription is applied again, rows nobody re-delivered are evicted.
+     */
+    resubscribeAll() {
+        const handles = Array.from(this.subscriptions.values()).filter(h => h.isActive);
+        if (handles.length === 0) return;
+        
+        log.debug('Re-sending', handles.length, 'subscriptions');
+        const generation = ++this.resyncGeneration;
+        for (const counts of Object.values(this.rowRefCounts)) {
+            counts.clear();
+        }
+        for (const handle of handles) {
+            if (handle.state === 'active') {
+                handle.state = 'pending';
+                handle.resetApplied();
+            }
+            this.sendSubscribe(handle);
+        }
+        
+        // Rows that vanished while we were offline were not re-sent; evict them as deletes.
+        // A newer resync (the socket dropped again meanwhile) supersedes this one.
+        Promise.allSettled(handles.map(h => h.applied)).then(() => {
+            if (generation !== this.resyncGeneration) return;
+            this.evictUnreferencedRows();
+            this.notifyRoomMembersUpdate();
+            // Followers applied the re-sent rows on top of their old counts; reset them
+            this.broadcastSnapshot();
+        });
+    }
+    
+    /**
+     * Remove cached rows that no subscription references any more.
+     */
+    evictUnreferencedRows() {
+        for (const [tableName, cache] of Object.entries(this.cache)) {
+            const counts = this.rowRefCounts[tableName];
+            let evicted = 0;
+            const evictedRows = [];
+            for (const [id, row] of Array.from(cache.entries())) {
+                if (!counts.has(id)) {
+                    cache.delete(id);
+                    evictedRows.push(row);
+                    evicted++;
+                }
+            }
+            this.invalidateRoomAvailability(tableName, evictedRows);
+            for (const row of evictedRows) {
+                this.emit(`${tableName}:delete`, row);
+            }
+            if (evicted > 0) {
+                log.info('Evicted', evicted, 'stale rows from', tableName);
+                this.notifyTableChanged(tableName);
+            }
+        }
+    }
+    
+    /**
+     * Wait until the subscription for the current context has been applied.
+     * If the context changes while waiting, waits for the newer subscription.
+     * 
+     * @returns {Promise<boolean>} false on timeout or subscription error
+     */
+    async waitForScopedSubscription(timeoutMs = 5000) {
+        if (this.isFollower) return settleWithin(this.mirroredContext ?? Promise.resolve(), timeoutMs);
         
-        this.ws.send(JSON.stringify(message));
+        const deadline = Date.now() + timeoutMs;
+        let handle;
+        do {
+            handle = this.scopedSubscription;
+            if (!handle) return false;
+            const applied = await settleWithin(handle.applied, deadline - Date.now());
+            if (!applied) return false;
+        } while (handle !== this.scopedSubscription);
+        return true;
+    }
+    
+    /**
+     * Wait until the cache reflects the server's view of this session: the
+     * identity token has arrived, the scoped subscription it starts has been
+     * applied, and rows restored from the snapshot have been checked against it.
+     * Unlike waitForScopedSubscription(), safe to call straight after connect().
+     * 
+     * @returns {Promise<boolean>} false on timeout or subscription error
+     */
+    async ready(timeoutMs = 10000) {
+        if (this.isFollower) return this.waitForScopedSubscription(timeoutMs);
+        
+        const deadline = Date.now() + timeoutMs;
+        if (!await settleWithin(this.identityReceived, timeoutMs)) return false;
+        if (!await this.waitForScopedSubscription(deadline - Date.now())) return false;
+        return settleWithin(this.hydrationReconciled ?? Promise.resolve(), deadline - Date.now());
+    }
+    
+    /**
+     * Build the subscription query set for a context (by default the current one).
+     * 
+     * Catalog tables (category, activity) are shared by everyone. Everything else
+     * is filtered to the logged-in user, the selected player and the current room,
+     * so other accounts' credentials, rooms and preferences never reach the browser.
+     */
+    buildSubscriptionQueries(context = this.subscriptionContext) {
+        const { userId, username, playerId, roomId } = context;
+        const queries = [
+            "SELECT * FROM category",
+            "SELECT * FROM activity",
+        ];
+        
+        if (this.identity) {
+            const identityHex = this.identity.replace(/^0x/, '');
+            queries.push(`SELECT * FROM user WHERE identity = 0x${identityHex}`);
+        }
+        
+        if (userId !== null) {
+            queries.push(
+                `SELECT * FROM player WHERE user_id = ${userId}`,
+                `SELECT * FROM user_category_preference WHERE user_id = ${userId}`,
+            );
+        }
+        
+        // Invitations addressed to the user, with the rooms and inviting players
+        // the inbox names. A module without usernames on invitations has no inbox.
+        if (username && this.hasColumns('room_invitation', ['for_username', 'room_id', 'created_by'])) {
+            const usernameLiteral = `'${username.replace(/'/g, "''")}'`;
+            queries.push(
+                `SELECT * FROM room_invitation WHERE for_username = ${usernameLiteral}`,
+                `SELECT room.* FROM room JOIN room_invitation ON room.id = room_invitation.room_id WHERE room_invitation.for_username = ${usernameLiteral}`,
+                `SELECT player.* FROM player JOIN room_invitation ON player.id = room_invitation.created_by WHERE room_invitation.for_username = ${usernameLiteral}`,
+            );
+        }
+        
+        if (playerId !== null) {
+            queries.push(
+                `SELECT * FROM room_member WHERE player_id = ${playerId}`,
+                `SELECT room.* FROM room JOIN room_member ON room.id = room_member.room_id WHERE room_member.player_id = ${playerId}`,
+                `SELECT * FROM room WHERE owner_id = ${playerId}`,
+                `SELECT * FROM player_activity WHERE player_id = ${playerId}`,
+                `SELECT * FROM player_unlocked_activity WHERE player_id = ${playerId}`,
+                `SELECT * FROM player_not_wanted_activity WHERE player_id = ${playerId}`,
+                `SELECT * FROM player_category_preference WHERE player_id = ${playerId}`,
+            );
+        }
+        
+        if (roomId !== null) {
+            // Other members' players, unlocks, preferences and not-wanted marks
+            // are needed for member names and the room activity intersection
+            const memberJoin = (table) =>
+                `SELECT ${table}.* FROM ${table} JOIN room_member ON ${table}.player_id = room_member.player_id WHERE room_member.room_id = ${roomId}`;
+            
+            queries.push(
+                `SELECT * FROM room WHERE id = ${roomId}`,
+                `SELECT * FROM room_member WHERE room_id = ${roomId}`,
+                `SELECT * FROM room_invitation WHERE room_id = ${roomId}`,
+                `SELECT * FROM room_activity WHERE room_id = ${roomId}`,
+                `SELECT activity_participant.* FROM activity_participant JOIN room_activity ON activity_participant.room_activity_id = room_activity.id WHERE room_activity.room_id = ${roomId}`,
+                `SELECT player.* FROM player JOIN room_member ON player.id = room_member.player_id WHERE room_member.room_id = ${roomId}`,
+                memberJoin('player_unlocked_activity'),
+                memberJoin('player_not_wanted_activity'),
+                memberJoin('player_category_preference'),
+            );
+        }
+        
+        // Why players were removed, on modules that record it
+        if (this.supports('room_removal')) {
+            if (playerId !== null) queries.push(`SELECT * FROM room_removal WHERE player_id = ${playerId}`);
+            if (roomId !== null) queries.push(`SELECT * FROM room_removal WHERE room_id = ${roomId}`);
+        }
+        
+        return queries;
+    }
+    
+    /**
+     * Replace the scoped subscription with one built from the current context.
+     * The previous subscription is dropped only after the new one is applied,
+     * so rows both cover never disappear in between.
+     * 
+     * @returns {Promise} Resolves when the new rows have been applied to the cache
+     */
+    resubscribe() {
+        const queries = this.buildSubscriptionQueries();
+        const previous = this.scopedSubscription;
+        if (previous?.isActive && previous.queries.join('\n') === queries.join('\n')) {
+            return previous.applied;
+        }
+        
+        log.debug('Subscribing with context:', this.subscriptionContext);
+        const handle = this.subscribe(queries);
+        this.scopedSubscription = handle;
+        
+        handle.applied.then(
+            () => previous?.unsubscribe(),
+            (error) => {
+                log.error('Scoped subscription failed:', error.message);
+                // Keep serving the previous scope rather than nothing
+                if (this.scopedSubscription === handle && previous?.isActive) {
+                    this.scopedSubscription = previous;
+                }
+            },
+        );
+        return handle.applied;
+    }
+    
+    /**
+     * Update the subscription scope and re-subscribe if it changed.
+     * 
+     * @param {Object} context - Any of { userId, username, playerId, roomId }; null clears
+     * @returns {Promise} Resolves when rows for the new scope are in the cache
+     */
+    setSubscriptionContext(context) {
+        const next = { ...this.subscriptionContext, ...context };
+        const changed = Object.keys(next).some(key => next[key] !== this.subscriptionContext[key]);
+        if (!changed) {
+            return (this.isFollower ? this.mirroredContext : this.scopedSubscription?.applied) ?? Promise.resolve();
+        }
+        
+        this.subscriptionContext = next;
+        if (this.isFollower) return this.sendContextToLeader();
+        return this.resubscribe();
+    }
+    
+    /**
+     * Pick up the logged-in user's id once their row arrives (or drop it when
+     * it disappears) so that user-scoped tables are subscribed.
+     */
+    syncUserContext() {
+        const user = this.getUserFromCache();
+        const userId = user ? user.id : null;
+        if (userId !== this.subscriptionContext.userId) {
+            this.setSubscriptionContext({ userId, username: user ? user.username : null });
+        }
+    }
+    
+    /**
+     * Send a client message in the negotiated wire format.
+     */
+    sendMessage(message) {
+        if (this.wireFormat === 'bsatn') {
+            this.ws.send(encodeClientMessage(message));
+        } else {
+            this.ws.send(JSON.stringify(message));
+        }
     }
     
     handleMessage(data) {
         let message;
         if (typeof data === 'string') {
             message = JSON.parse(data);
+        } else if (this.wireFormat === 'bsatn') {
+            try {
+                message = decodeServerMessage(data, this.rowTypes);
+            } catch (error) {
+                log.error('Failed to decode BSATN message:', error);
+                return;
+            }
         } else {
-            const decoder = new TextDecoder('utf-8');
-            message = JSON.parse(decoder.decode(data));
+            message = JSON.parse(this.textDecoder.decode(data));
         }
         
-        console.log('[STDB] Message received:', Object.keys(message));
+        log.debug('Message received:', Object.keys(message));
+        this.noteMessageReceived();
         
         if (message.IdentityToken) {
             this.handleIdentityToken(message.IdentityToken);
@@ -278,65 +1500,170 @@ export class SpacetimeDBClient {
             this.handleTransactionUpdate(message.TransactionUpdate);
         } else if (message.SubscriptionUpdate) {
             this.handleSubscriptionUpdate(message.SubscriptionUpdate);
+        } else if (message.SubscribeMultiApplied) {
+            this.handleSubscribeMultiApplied(message.SubscribeMultiApplied);
+        } else if (message.UnsubscribeMultiApplied) {
+            this.handleUnsubscribeMultiApplied(message.UnsubscribeMultiApplied);
+        } else if (message.SubscriptionError) {
+            this.handleSubscriptionError(message.SubscriptionError);
+        } else if (message.OneOffQueryResponse) {
+            this.handleOneOffQueryResponse(message.OneOffQueryResponse);
         } else {
-            console.log('[STDB] Unhandled message type:', message);
+            log.info('Unhandled message type:', Object.keys(message));
         }
     }
     
     handleIdentityToken(data) {
         // Identity may come as hex string, byte array, or object
-        let identity = data.identity;
-        if (typeof identity === 'object' && identity !== null) {
-            // Handle SpacetimeDB identity object format: {"__identity__":"0x..."}
-            if (identity.__identity__) {
-                identity = identity.__identity__;
-            } else if (identity.__identity_bytes) {
-                identity = Array.from(identity.__identity_bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-            } else if (Array.isArray(identity) || identity instanceof Uint8Array) {
-                identity = Array.from(identity).map(b => b.toString(16).padStart(2, '0')).join('');
-            } else {
-                identity = JSON.stringify(identity);
-            }
-        }
-        
-        this.identity = identity;
+        this.identity = identityString(data.identity);
         this.token = data.token;
-        localStorage.setItem(this.storageKeys.identity, this.identity);
-        localStorage.setItem(this.storageKeys.token, this.token);
+        this.connectionId = connectionIdString(data.connection_id);
+        this.storage.setItem(this.storageKeys.identity, this.identity);
+        this.storage.setItem(this.storageKeys.token, this.token);
         
         // Reset reconnect attempts only after successful identity token
         if (this.reconnectAttempts > 0) {
-            console.log('[STDB] Connection stable, resetting reconnect counter');
+            log.info('Connection stable, resetting reconnect counter');
             this.reconnectAttempts = 0;
         }
         
-        console.log('[STDB] Identity:', this.identity.slice(0, 20) + '...');
+        log.info('Identity:', this.identity.slice(0, 20) + '...');
+        this.broadcastStatus();
+        
+        // Phase 2: Subscribe to the rows scoped to this identity's user, player and room
+        log.debug('Phase 2: Subscribing to scoped tables...');
+        this.resubscribe();
+        this.hydrationReconciled = this.reconcileHydratedRows();
+        this.resolveIdentityReceived();
+        this.replayQueuedReducers();
+    }
+    
+    /**
+     * Start waiting for the next IdentityToken (see ready()).
+     */
+    resetIdentityReceived() {
+        this.identityReceived = new Promise(resolve => {
+            this.resolveIdentityReceived = resolve;
+        });
     }
     
     handleInitialSubscription(data) {
-        console.log('[STDB] Initial subscription received:', data);
+        log.debug('Initial subscription received');
         if (data.database_update?.tables) {
-            console.log('[STDB] Tables in update:', data.database_update.tables.map(t => t.table_name));
+            log.debug('Tables in update:', data.database_update.tables.map(t => t.table_name));
             for (const tableUpdate of data.database_update.tables) {
                 this.applyTableUpdate(tableUpdate);
             }
+            this.broadcastTables(data.database_update.tables);
         }
-        console.log('[STDB] Cache after subscription:', {
+        log.debug('Cache after subscription:', {
             users: this.cache.user.size,
             players: this.cache.player.size,
             rooms: this.cache.room.size,
         });
+        this.syncUserContext();
         this.notifyRoomMembersUpdate();
     }
     
+    handleSubscribeMultiApplied(data) {
+        const handle = this.subscriptions.get(unwrapOptional(data.query_id)?.id ?? unwrapOptional(data.query_id));
+        log.debug('Subscription applied:', handle?.queryId, 'tables:', (data.update?.tables || []).map(t => t.table_name));
+        
+        for (const tableUpdate of data.update?.tables || []) {
+            this.applyTableUpdate(tableUpdate);
+        }
+        this.broadcastTables(data.update?.tables);
+        this.syncUserContext();
+        this.notifyRoomMembersUpdate();
+        
+        if (handle && handle.state === 'pending') {
+            handle.state = 'active';
+            handle.resolveApplied(handle);
+        }
+    }
+    
+    handleUnsubscribeMultiApplied(data) {
+        const queryId = unwrapOptional(data.query_id)?.id ?? unwrapOptional(data.query_id);
+        const handle = this.subscriptions.get(queryId);
+        log.debug('Unsubscribed:', queryId);
+        
+        // The update lists the subscription's rows as deletes
+        for (const tableUpdate of data.update?.tables || []) {
+            this.applyTableUpdate(tableUpdate);
+        }
+        this.broadcastTables(data.update?.tables);
+        this.notifyRoomMembersUpdate();
+        
+        this.subscriptions.delete(queryId);
+        if (handle) {
+            handle.state = 'ended';
+            handle.resolveEnded?.();
+        }
+    }
+    
+    handleSubscriptionError(data) {
+        const queryId = unwrapOptional(data.query_id);
+        const requestId = unwrapOptional(data.request_id);
+        log.error('Subscription error:', data.error, { queryId, requestId });
+        
+        let failed = [];
+        if (queryId !== null) {
+            failed = [this.subscriptions.get(queryId?.id ?? queryId)];
+        } else if (requestId !== null) {
+            failed = Array.from(this.subscriptions.values()).filter(h => h.requestId === requestId);
+        } else {
+            // Not tied to a request: the server dropped every subscription on this connection
+            failed = Array.from(this.subscriptions.values());
+            this.emit('error', new Error(data.error));
+        }
+        
+        for (const handle of failed) {
+            if (!handle) continue;
+            handle.state = 'error';
+            handle.error = new Error(data.error);
+            this.subscriptions.delete(handle.queryId);
+            handle.rejectApplied(handle.error);
+            handle.resolveEnded?.();
+        }
+    }
+    
     handleTransactionUpdate(data) {
+        const tables = data.status?.Committed?.tables || [];
         if (data.status?.Committed) {
-            const tables = data.status.Committed.tables || [];
             for (const tableUpdate of tables) {
                 this.applyTableUpdate(tableUpdate);
             }
+            this.broadcastTables(tables);
+            this.syncUserContext();
             this.notifyRoomMembersUpdate();
         }
+        
+        // Settle the reducer call this transaction answers, now that the cache reflects it.
+        // Request ids are only unique per connection: other clients' transactions
+        // arrive with their own request ids, so the caller has to be this socket.
+        if (!this.isOwnTransaction(data)) return;
+        const call = this.pendingReducerCalls.get(data.reducer_call?.request_id);
+        if (!call) return;
+        this.pendingReducerCalls.delete(data.reducer_call.request_id);
+        clearTimeout(call.timeoutId);
+        
+        if (data.status?.Committed) {
+            call.resolve({ ok: true, data: null, inserted: this.collectInsertedRows(tables) });
+        } else {
+            const error = new Error(data.status?.Failed || `Reducer ${call.reducerName} ran out of energy`);
+            error.status = data.status;
+            if (!data.status?.Failed) error.code = ReducerErrorCode.OUT_OF_ENERGY;
+            call.reject(error);
+        }
+    }
+    
+    /**
+     * Whether a TransactionUpdate answers a reducer call made on this socket.
+     */
+    isOwnTransaction(data) {
+        return this.connectionId !== null
+            && connectionIdString(data.caller_connection_id) === this.connectionId
+            && sameIdentity(data.caller_identity, this.identity);
     }
     
     handleSubscriptionUpdate(data) {
@@ -344,18 +1671,16 @@ export class SpacetimeDBClient {
             for (const tableUpdate of data.table_updates) {
                 this.applyTableUpdate(tableUpdate);
             }
+            this.broadcastTables(data.table_updates);
         }
+        this.syncUserContext();
         this.notifyRoomMembersUpdate();
     }
     
-    applyTableUpdate(tableUpdate) {
-        const tableName = tableUpdate.table_name;
-        const cache = this.cache[tableName];
-        if (!cache) {
-            console.log('[STDB] No cache for table:', tableName);
-            return;
-        }
-        
+    /**
+     * Gather the raw insert and delete rows of a table update.
+     */
+    splitTableUpdate(tableUpdate) {
         // Handle both old format (inserts/deletes at top level) and new format (nested in updates array)
         let inserts = tableUpdate.inserts || [];
         let deletes = tableUpdate.deletes || [];
@@ -367,91 +1692,210 @@ export class SpacetimeDBClient {
                 if (update.deletes) deletes = deletes.concat(update.deletes);
             }
         }
+        return { inserts, deletes };
+    }
+    
+    /**
+     * Parsed rows inserted by a transaction, by table name.
+     */
+    collectInsertedRows(tables) {
+        const inserted = {};
+        for (const tableUpdate of tables) {
+            if (!this.cache[tableUpdate.table_name]) continue;
+            inserted[tableUpdate.table_name] = this.splitTableUpdate(tableUpdate).inserts
+                .map(row => this.parseRow(tableUpdate.table_name, row))
+                .filter(row => this.getPrimaryKey(tableUpdate.table_name, row) !== undefined);
+        }
+        return inserted;
+    }
+    
+    /**
+     * Apply a table update to the cache.
+     * 
+     * Deletes are applied before inserts, so a delete and insert of the same
+     * key in one update is an update of that row ('<table>:update', or no event
+     * if nothing changed). Rows are ref-counted per delivery: a row sent by two
+     * queries stays cached until both have deleted it.
+     */
+    applyTableUpdate(tableUpdate) {
+        const tableName = tableUpdate.table_name;
+        const cache = this.cache[tableName];
+        if (!cache) {
+            this.warnSchema(`no cache for table "${tableName}" - add it to TABLES in schema.js to keep its rows`);
+            return;
+        }
+        
+        const { inserts, deletes } = this.splitTableUpdate(tableUpdate);
         
-        console.log('[STDB] Applying update to', tableName, '- inserts:', inserts.length, 'deletes:', deletes.length);
+        log.debug('Applying update to', tableName, '- inserts:', inserts.length, 'deletes:', deletes.length);
         
-        // Process deletes FIRST, then inserts (important for updates which are delete+insert pairs)
+        // Process deletes FIRST, then inserts (important for updates which are delete+insert pairs).
+        // Overlapping subscriptions deliver the same row once each, so rows are reference counted.
+        const counts = this.rowRefCounts[tableName];
+        const removed = new Map();  // key -> row that left the cache
         for (const row of deletes) {
             const parsed = this.parseRow(tableName, row);
-            if (parsed?.id !== undefined) cache.delete(parsed.id);
+            const key = this.getPrimaryKey(tableName, parsed);
+            if (key === undefined) continue;
+            const remaining = (counts.get(key) || 0) - 1;
+            if (remaining > 0) {
+                counts.set(key, remaining);
+            } else {
+                counts.delete(key);
+                if (cache.has(key)) removed.set(key, cache.get(key));
+                cache.delete(key);
+            }
         }
         
+        const rowEvents = [];
         for (const row of inserts) {
             const parsed = this.parseRow(tableName, row);
-            if (parsed?.id !== undefined) {
-                cache.set(parsed.id, parsed);
+            const key = this.getPrimaryKey(tableName, parsed);
+            if (key !== undefined) {
+                // A delete+insert pair in one update is an update of that row
+                const previous = removed.get(key) ?? cache.get(key);
+                removed.delete(key);
+                counts.set(key, (counts.get(key) || 0) + 1);
+                cache.set(key, parsed);
+                if (!previous) {
+                    rowEvents.push(['insert', parsed]);
+                } else if (!rowsEqual(previous, parsed)) {
+                    rowEvents.push(['update', parsed, previous]);
+                }
             } else {
-                console.log('[STDB] Failed to parse row for', tableName, '- id is undefined, parsed:', parsed);
+                log.debug('Failed to parse row for', tableName, '- primary key is undefined, parsed:', parsed);
             }
         }
+        for (const row of removed.values()) {
+            rowEvents.push(['delete', row]);
+        }
+        
+        this.emitRowEvents(tableName, rowEvents);
+        this.notifyTableChanged(tableName);
+    }
+    
+    /**
+     * Emit '<table>:<kind>' for each [kind, ...rows] change, after marking the
+     * rooms whose available activities they affect.
+     */
+    emitRowEvents(tableName, rowEvents) {
+        this.invalidateRoomAvailability(tableName, rowEvents.flatMap(([, ...rows]) => rows));
+        for (const [kind, ...rows] of rowEvents) {
+            this.emit(`${tableName}:${kind}`, ...rows);
+        }
+    }
+    
+    /**
+     * Trigger callbacks for a table whose cached rows changed.
+     */
+    notifyTableChanged(tableName) {
+        this.scheduleSnapshot();
         
-        // Trigger callbacks for specific tables
         if (tableName === 'category') {
             // Categories loaded - notify immediately for preferences UI
             if (!this.categoriesLoaded && this.cache.category.size > 0) {
                 this.categoriesLoaded = true;
-                console.log(`[STDB] Categories loaded: ${this.cache.category.size} categories available`);
-                if (this.onCategoriesLoaded) {
-                    this.onCategoriesLoaded(Array.from(this.cache.category.values()));
-                }
+                log.info(`Categories loaded: ${this.cache.category.size} categories available`);
+                this.emit('categoriesLoaded', Array.from(this.cache.category.values()));
             }
         }
         if (tableName === 'player_unlocked_activity') {
-            if (this.onUnlockedActivitiesUpdate) {
-                this.notifyUnlockedActivitiesUpdate();
-            }
-            // Also update room available activities
-            this.notifyRoomAvailableActivitiesUpdate();
+            this.notifyUnlockedActivitiesUpdate();
         }
-        if (tableName === 'player_not_wanted_activity') {
-            // Update room available activities when "not wanted" changes
-            this.notifyRoomAvailableActivitiesUpdate();
-        }
-        if ((tableName === 'room_activity' || tableName === 'activity_participant') && this.onRoomActivityUpdate) {
+        // Rooms whose inputs changed were marked by invalidateRoomAvailability()
+        this.notifyRoomAvailableActivitiesUpdate();
+        if (tableName === 'room_activity' || tableName === 'activity_participant') {
             this.notifyRoomActivityUpdate();
         }
         if ((tableName === 'user_category_preference' || tableName === 'player_category_preference')) {
-            if (this.onPreferencesUpdate) {
-                this.notifyPreferencesUpdate();
+            this.notifyPreferencesUpdate();
+        }
+    }
+    
+    /**
+     * Mark the rooms whose available activities depend on the given changed rows.
+     * 
+     * @param {string} tableName - Table the rows belong to
+     * @param {Array} rows - Parsed rows inserted, deleted, or both versions of an update
+     */
+    invalidateRoomAvailability(tableName, rows) {
+        if (rows.length === 0) return;
+        
+        const rooms = new Set();
+        if (tableName === 'activity' || tableName === 'category') {
+            // Catalog changes can touch any room
+            for (const roomId of this.cache.room_member.indexedValues('roomId')) rooms.add(roomId);
+            for (const roomId of this.roomAvailability.keys()) rooms.add(roomId);
+        } else if (tableName === 'room_member') {
+            for (const member of rows) rooms.add(member.roomId);
+        } else if (ROOM_AVAILABILITY_PLAYER_TABLES.has(tableName)) {
+            const playerIds = new Set(rows.map(row => row.playerId));
+            for (const playerId of playerIds) {
+                for (const member of this.cache.room_member.lookup('playerId', playerId)) {
+                    rooms.add(member.roomId);
+                }
             }
-            // notifyPreferencesUpdate already updates room available activities
+        }
+        
+        for (const roomId of rooms) {
+            this.staleRoomAvailability.add(roomId);
+            this.pendingRoomAvailability.add(roomId);
         }
     }
     
     /**
-     * Notify all rooms about their available activities.
+     * Notify listeners about rooms whose available activities actually changed.
      */
     notifyRoomAvailableActivitiesUpdate() {
-        if (!this.onRoomAvailableActivitiesUpdate) return;
+        if (!this.hasListeners('roomAvailableActivitiesUpdate')) return;
         
-        const roomIds = new Set();
-        for (const member of this.cache.room_member.values()) {
-            roomIds.add(member.roomId);
-        }
+        const roomIds = Array.from(this.pendingRoomAvailability);
+        this.pendingRoomAvailability.clear();
         for (const roomId of roomIds) {
             const activities = this.getRoomAvailableActivities(roomId);
-            this.onRoomAvailableActivitiesUpdate(roomId, activities);
+            const signature = this.roomAvailability.get(roomId).signature;
+            const hasMembers = this.cache.room_member.lookup('roomId', roomId).length > 0;
+            
+            if (signature !== this.notifiedRoomAvailability.get(roomId)) {
+                // Rooms nobody was told about yet and that have no members stay silent
+                if (hasMembers || this.notifiedRoomAvailability.has(roomId)) {
+                    this.emit('roomAvailableActivitiesUpdate', roomId, activities);
+                }
+            }
+            
+            if (hasMembers) {
+                this.notifiedRoomAvailability.set(roomId, signature);
+            } else {
+                this.notifiedRoomAvailability.delete(roomId);
+                this.roomAvailability.delete(roomId);
+            }
         }
     }
     
+    /**
+     * Forget memoized room availability (e.g. when the cache is cleared).
+     */
+    resetRoomAvailability() {
+        this.roomAvailability.clear();
+        this.staleRoomAvailability.clear();
+        this.pendingRoomAvailability.clear();
+        this.notifiedRoomAvailability.clear();
+    }
+    
     notifyPreferencesUpdate() {
         // Get current user's preferences
         const user = this.getCurrentUser();
         const userPrefs = user ? this.getUserCategoryPreferences(user.id) : [];
         
-        if (this.onPreferencesUpdate) {
-            this.onPreferencesUpdate({
-                userPreferences: userPrefs,
-                // Player preferences will be looked up by the app as needed
-            });
-        }
+        this.emit('preferencesUpdate', {
+            userPreferences: userPrefs,
+            // Player preferences will be looked up by the app as needed
+        });
         
-        // Also update room available activities since preferences affect them
-        this.notifyRoomAvailableActivitiesUpdate();
     }
     
     notifyRoomActivityUpdate() {
-        if (!this.onRoomActivityUpdate) return;
+        if (!this.hasListeners('roomActivityUpdate')) return;
         
         // Find active room activities (Viewing or InProgress)
         const activeActivities = [];
@@ -462,16 +1906,7 @@ export class SpacetimeDBClient {
                 const category = activity ? this.cache.category.get(activity.categoryId) : null;
                 
                 // Get participants
-                const participants = [];
-                for (const ap of this.cache.activity_participant.values()) {
-                    if (ap.roomActivityId === ra.id) {
-                        const player = this.cache.player.get(ap.playerId);
-                        participants.push({
-                            ...ap,
-                            username: player?.username || 'Unknown',
-                        });
-                    }
-                }
+                const participants = this.getRoomActivityParticipants(ra.id);
                 
                 activeActivities.push({
                     ...ra,
@@ -482,11 +1917,21 @@ export class SpacetimeDBClient {
             }
         }
         
-        this.onRoomActivityUpdate(activeActivities);
+        this.emit('roomActivityUpdate', activeActivities);
+    }
+    
+    /**
+     * Participants of a room activity, with their usernames.
+     */
+    getRoomActivityParticipants(roomActivityId) {
+        return this.cache.activity_participant.lookup('roomActivityId', roomActivityId).map(ap => ({
+            ...ap,
+            username: this.cache.player.get(ap.playerId)?.username || 'Unknown',
+        }));
     }
     
     notifyUnlockedActivitiesUpdate() {
-        if (!this.onUnlockedActivitiesUpdate) return;
+        if (!this.hasListeners('unlockedActivitiesUpdate')) return;
         
         const unlockedActivities = [];
         const newActivities = [];
@@ -498,235 +1943,98 @@ export class SpacetimeDBClient {
             }
         }
         
-        this.onUnlockedActivitiesUpdate({
+        this.emit('unlockedActivitiesUpdate', {
             all: unlockedActivities,
             new: newActivities,
         });
     }
     
+    /**
+     * Log a schema problem once per distinct message.
+     */
+    warnSchema(message) {
+        if (this.schemaWarnings.has(message)) return;
+        this.schemaWarnings.add(message);
+        log.warn('Schema:', message);
+    }
+    
+    /**
+     * Primary key of a parsed row, per the table's schema.
+     */
+    getPrimaryKey(tableName, parsed) {
+        const table = this.tables[tableName];
+        if (!parsed || !table) return undefined;
+        return parsed[table.columns.find(c => c.name === table.primaryKey).field];
+    }
+    
+    /**
+     * Decode a row into a camelCase object using the table's schema.
+     * 
+     * Accepts object rows keyed by column name (InitialSubscription) and
+     * positional rows in column order (TransactionUpdate, BSATN).
+     */
     parseRow(tableName, row) {
         // First, parse JSON string if needed (SpacetimeDB sends stringified data)
         if (typeof row === 'string') {
             try {
                 row = JSON.parse(row);
             } catch (e) {
-                console.log('[STDB] Failed to parse row string:', e);
+                log.warn('Failed to parse row string:', e);
                 return null;
             }
         }
         
-        // Helper to unwrap nested arrays and special SpacetimeDB types
-        const unwrap = (val) => {
-            if (val === null || val === undefined) return val;
-            // Unwrap SpacetimeDB Option format: [0, value] = Some(value), [1, {}] = None
-            if (Array.isArray(val) && val.length === 2 && typeof val[0] === 'number') {
-                if (val[0] === 0) return val[1];  // Some(value)
-                if (val[0] === 1) return null;     // None
-            }
-            // Unwrap single-element arrays (e.g., timestamps, identities in array format)
-            if (Array.isArray(val) && val.length === 1) return val[0];
-            // Unwrap SpacetimeDB identity objects
-            if (val && typeof val === 'object' && val.__identity__) return val.__identity__;
-            // Unwrap SpacetimeDB timestamp objects
-            if (val && typeof val === 'object' && val.__timestamp_micros_since_unix_epoch__ !== undefined) {
-                return val.__timestamp_micros_since_unix_epoch__;
-            }
-            return val;
-        };
-        
-        // Handle object format (from InitialSubscription) - convert snake_case to camelCase
-        if (row && typeof row === 'object' && !Array.isArray(row)) {
-            switch (tableName) {
-                case 'user':
-                    return { 
-                        id: row.id, 
-                        identity: unwrap(row.identity), 
-                        username: row.username, 
-                        passwordHash: row.password_hash, 
-                        role: row.role, 
-                        createdAt: unwrap(row.created_at), 
-                        lastSeen: unwrap(row.last_seen) 
-                    };
-                case 'player':
-                    return { id: row.id, userId: row.user_id, username: row.username, xp: row.xp, createdAt: unwrap(row.created_at) };
-                case 'room':
-                    return { id: row.id, code: row.code, name: row.name, ownerId: row.owner_id, isOpen: row.is_open, createdAt: unwrap(row.created_at) };
-                case 'room_member':
-                    return { id: row.id, roomId: row.room_id, playerId: row.player_id, role: this.parseRole(row.role), joinedAt: unwrap(row.joined_at) };
-                case 'room_invitation':
-                    return { id: row.id, roomId: row.room_id, token: row.token, createdBy: row.created_by, forUsername: row.for_username, status: row.status, createdAt: unwrap(row.created_at), acceptedBy: row.accepted_by };
-                case 'category':
-                    return { id: row.id, name: row.name, description: row.description, displayOrder: row.display_order };
-                case 'activity':
-                    return { id: row.id, categoryId: row.category_id, kind: this.parseKind(row.kind), name: row.name, description: row.description, instructions: row.instructions, videoUrl: unwrap(row.video_url), xpRequired: row.xp_required, xpReward: row.xp_reward };
-                case 'player_activity':
-                    return { id: row.id, playerId: row.player_id, activityId: row.activity_id, status: this.parseActivityStatus(row.status), completedAt: unwrap(row.completed_at), completedBy: row.completed_by, vouched: row.vouched, rating: row.rating };
-                case 'player_unlocked_activity':
-                    return { id: row.id, playerId: row.player_id, activityId: row.activity_id, activityName: row.activity_name, activityDescription: row.activity_description, categoryId: row.category_id, categoryName: row.category_name, kind: this.parseKind(row.kind), xpRequired: row.xp_required, xpReward: row.xp_reward, unlockedAt: unwrap(row.unlocked_at), isNew: row.is_new };
-                case 'room_activity':
-                    return { id: row.id, roomId: row.room_id, activityId: row.activity_id, status: this.parseRoomActivityStatus(row.status), startedBy: row.started_by, createdAt: unwrap(row.created_at), startedAt: unwrap(row.started_at), completedAt: unwrap(row.completed_at) };
-                case 'activity_participant':
-                    return { id: row.id, roomActivityId: row.room_activity_id, playerId: row.player_id, role: this.parseRole(row.role), xpEarned: row.xp_earned, completed: row.completed };
-                case 'player_not_wanted_activity':
-                    return { id: row.id, playerId: row.player_id, activityId: row.activity_id, createdAt: unwrap(row.created_at) };
-                case 'user_category_preference':
-                    return { id: row.id, userId: row.user_id, categoryId: row.category_id };
-                case 'player_category_preference':
-                    return { id: row.id, playerId: row.player_id, categoryId: row.category_id };
-                default:
-                    return row;
-            }
+        const table = this.tables[tableName];
+        if (!table) {
+            this.warnSchema(`unknown table "${tableName}" - rows are passed through undecoded`);
+            return row;
         }
+        if (!row || typeof row !== 'object') return row;
         
-        // Handle array format (from TransactionUpdate) - convert array-like objects to real arrays
-        if (!Array.isArray(row)) {
-            if (row && typeof row === 'object' && row.length !== undefined) {
-                row = Array.from(row);
-            } else {
-                return row;
+        let values;
+        if (Array.isArray(row) || row.length !== undefined) {
+            // Array format (from TransactionUpdate) - also accepts array-like objects
+            values = Array.from(row);
+            if (values.length !== table.columns.length) {
+                this.warnSchema(`${tableName} rows have ${values.length} columns, expected ${table.columns.length} - ` +
+                    'the module and client schemas differ');
             }
+        } else {
+            // Object format (from InitialSubscription) - keyed by column name
+            const known = new Set(table.columns.map(c => c.name));
+            const extra = Object.keys(row).filter(name => !known.has(name));
+            if (extra.length > 0) {
+                this.warnSchema(`${tableName} has columns missing from the client schema: ${extra.join(', ')}`);
+            }
+            values = table.columns.map(c => row[c.name]);
         }
         
-        switch (tableName) {
-            case 'user':
-                return { 
-                    id: unwrap(row[0]), 
-                    identity: unwrap(row[1]),  // Identity comes as ["0x..."]
-                    username: unwrap(row[2]), 
-                    passwordHash: unwrap(row[3]), 
-                    role: row[4],  // Keep role as-is (enum format)
-                    createdAt: unwrap(row[5]),  // Timestamp comes as [number]
-                    lastSeen: unwrap(row[6]) 
-                };
-            case 'player':
-                return { id: unwrap(row[0]), userId: unwrap(row[1]), username: unwrap(row[2]), xp: unwrap(row[3]), createdAt: unwrap(row[4]) };
-            case 'room':
-                return { id: unwrap(row[0]), code: unwrap(row[1]), name: unwrap(row[2]), ownerId: unwrap(row[3]), isOpen: unwrap(row[4]), createdAt: unwrap(row[5]) };
-            case 'room_member':
-                return { id: unwrap(row[0]), roomId: unwrap(row[1]), playerId: unwrap(row[2]), role: this.parseRole(row[3]), joinedAt: unwrap(row[4]) };
-            case 'room_invitation':
-                return { id: unwrap(row[0]), roomId: unwrap(row[1]), token: unwrap(row[2]), createdBy: unwrap(row[3]), forUsername: unwrap(row[4]), status: row[5], createdAt: unwrap(row[6]), acceptedBy: unwrap(row[7]) };
-            case 'category':
-                return { id: unwrap(row[0]), name: unwrap(row[1]), description: unwrap(row[2]), displayOrder: unwrap(row[3]) };
-            case 'activity':
-                return { id: unwrap(row[0]), categoryId: unwrap(row[1]), kind: this.parseKind(row[2]), name: unwrap(row[3]), description: unwrap(row[4]), instructions: unwrap(row[5]), videoUrl: unwrap(row[6]), xpRequired: unwrap(row[7]), xpReward: unwrap(row[8]) };
-            case 'player_activity':
-                return { id: unwrap(row[0]), playerId: unwrap(row[1]), activityId: unwrap(row[2]), status: this.parseActivityStatus(row[3]), completedAt: unwrap(row[4]), completedBy: unwrap(row[5]), vouched: unwrap(row[6]), rating: unwrap(row[7]) };
-            case 'player_unlocked_activity':
-                return { 
-                    id: unwrap(row[0]), 
-                    playerId: unwrap(row[1]), 
-                    activityId: unwrap(row[2]), 
-                    activityName: unwrap(row[3]), 
-                    activityDescription: unwrap(row[4]), 
-                    categoryId: unwrap(row[5]), 
-                    categoryName: unwrap(row[6]), 
-                    kind: this.parseKind(row[7]), 
-                    xpRequired: unwrap(row[8]), 
-                    xpReward: unwrap(row[9]), 
-                    unlockedAt: unwrap(row[10]), 
-                    isNew: unwrap(row[11]) 
-                };
-            case 'room_activity':
-                return {
-                    id: unwrap(row[0]),
-                    roomId: unwrap(row[1]),
-                    activityId: unwrap(row[2]),
-                    status: this.parseRoomActivityStatus(row[3]),
-                    startedBy: unwrap(row[4]),
-                    createdAt: unwrap(row[5]),
-                    startedAt: unwrap(row[6]),
-                    completedAt: unwrap(row[7]),
-                };
-            case 'activity_participant':
-                return {
-                    id: unwrap(row[0]),
-                    roomActivityId: unwrap(row[1]),
-                    playerId: unwrap(row[2]),
-                    role: this.parseRole(row[3]),
-                    xpEarned: unwrap(row[4]),
-                    completed: unwrap(row[5]),
-                };
-            case 'player_not_wanted_activity':
-                return {
-                    id: unwrap(row[0]),
-                    playerId: unwrap(row[1]),
-                    activityId: unwrap(row[2]),
-                    createdAt: unwrap(row[3]),
-                };
-            case 'user_category_preference':
-                return {
-                    id: unwrap(row[0]),
-                    userId: unwrap(row[1]),
-                    categoryId: unwrap(row[2]),
-                };
-            case 'player_category_preference':
-                return {
-                    id: unwrap(row[0]),
-                    playerId: unwrap(row[1]),
-                    categoryId: unwrap(row[2]),
-                };
-            default:
-                return row;
-        }
+        const parsed = {};
+        table.columns.forEach((column, i) => {
+            parsed[column.field] = decodeColumn(column.type, values[i]);
+        });
+        return parsed;
     }
     
+    // Unknown variants and missing values decode to the enum's fallback (see ENUMS)
     parseKind(kindValue) {
-        // Handle array format [enum_index, {}] from SpacetimeDB
-        if (Array.isArray(kindValue)) {
-            const index = kindValue[0];
-            if (typeof index === 'number') {
-                return ['Skill', 'Activity'][index] || 'Activity';
-            }
-            return 'Activity';
-        }
-        if (typeof kindValue === 'object' && kindValue !== null) return Object.keys(kindValue)[0] || 'Activity';
-        return kindValue || 'Activity';
+        return parseEnum(this.enums.ActivityKind, kindValue);
     }
     
     parseActivityStatus(statusValue) {
-        // Handle array format [enum_index, {}] from SpacetimeDB
-        if (Array.isArray(statusValue)) {
-            const index = statusValue[0];
-            if (typeof index === 'number') {
-                return ['Locked', 'Available', 'Completed'][index] || 'Available';
-            }
-            return 'Available';
-        }
-        if (typeof statusValue === 'object' && statusValue !== null) return Object.keys(statusValue)[0] || 'Available';
-        return statusValue || 'Available';
+        return parseEnum(this.enums.ActivityStatus, statusValue);
     }
     
     parseRoomActivityStatus(statusValue) {
-        // Handle array format [enum_index, {}] from SpacetimeDB
-        if (Array.isArray(statusValue)) {
-            const index = statusValue[0];
-            if (typeof index === 'number') {
-                return ['Viewing', 'InProgress', 'Completed', 'Cancelled'][index] || 'Viewing';
-            }
-            return 'Viewing';
-        }
-        if (typeof statusValue === 'object' && statusValue !== null) return Object.keys(statusValue)[0] || 'Viewing';
-        return statusValue || 'Viewing';
+        return parseEnum(this.enums.RoomActivityStatus, statusValue);
     }
     
     parseRole(roleValue) {
-        // Handle array format [enum_index, {}] from SpacetimeDB
-        if (Array.isArray(roleValue)) {
-            const index = roleValue[0];
-            if (typeof index === 'number') {
-                return ['Top', 'Bottom', 'Observer', 'Photographer'][index] || 'Observer';
-            }
-            return 'Observer';
-        }
-        if (typeof roleValue === 'object' && roleValue !== null) return Object.keys(roleValue)[0] || 'Observer';
-        if (typeof roleValue === 'number') return ['Top', 'Bottom', 'Observer', 'Photographer'][roleValue] || 'Observer';
-        return roleValue || 'Observer';
+        return parseEnum(this.enums.Role, roleValue);
     }
     
     notifyRoomMembersUpdate() {
         const members = [];
-        const roomIds = new Set();
         
         for (const member of this.cache.room_member.values()) {
             const player = this.cache.player.get(member.playerId);
@@ -738,26 +2046,16 @@ export class SpacetimeDBClient {
                     role: member.role,
                     roomId: member.roomId,
                 });
-                roomIds.add(member.roomId);
             }
         }
         
-        if (this.onRoomMembersUpdate) {
-            this.onRoomMembersUpdate(members);
-        }
+        this.emit('roomMembersUpdate', members);
         
-        // Notify room available activities update for each room
-        if (this.onRoomAvailableActivitiesUpdate) {
-            for (const roomId of roomIds) {
-                const activities = this.getRoomAvailableActivities(roomId);
-                this.onRoomAvailableActivitiesUpdate(roomId, activities);
-            }
-        }
+        // Notify rooms whose available activities changed
+        this.notifyRoomAvailableActivitiesUpdate();
         
         // Also notify activities update (for debug panel)
-        if (this.onActivitiesUpdate) {
-            this.onActivitiesUpdate();
-        }
+        this.emit('activitiesUpdate');
     }
     
     /**
@@ -766,14 +2064,16 @@ export class SpacetimeDBClient {
      */
     getAvailableActivities(playerId, playerXp = 0) {
         const activities = [];
+        const playerActivities = new Map(
+            this.cache.player_activity.lookup('playerId', playerId).map(pa => [pa.activityId, pa])
+        );
         
         for (const activity of this.cache.activity.values()) {
             // Check XP requirement
             if (activity.xpRequired > playerXp) continue;
             
             // Check player_activity status (if exists)
-            const playerActivity = Array.from(this.cache.player_activity.values())
-                .find(pa => pa.playerId === playerId && pa.activityId === activity.id);
+            const playerActivity = playerActivities.get(activity.id);
             
             // If already completed, skip
             if (playerActivity?.status === 'Completed') continue;
@@ -822,34 +2122,34 @@ export class SpacetimeDBClient {
      * - Category preferences (must be in ALL members' preferences)
      * - Not wanted (excluded if ANY member marked it as not wanted)
      * 
+     * Memoized per room; recomputed only after a change to the room's members or
+     * their unlocked, not-wanted or category preference rows, or to the catalog.
+     * 
+     * Edge cases: an empty room yields []; a member with no category
+     * preferences allows no categories, so the whole room gets [] (not "all").
+     * 
      * @param {number} roomId - The room ID
      * @returns {Array} Activities available to all room members
      */
     getRoomAvailableActivities(roomId) {
-        // Get all room members
-        const roomMembers = [];
-        for (const member of this.cache.room_member.values()) {
-            if (member.roomId === roomId) {
-                roomMembers.push(member);
-            }
-        }
+        const memo = this.roomAvailability.get(roomId);
+        if (memo && !this.staleRoomAvailability.has(roomId)) return memo.activities;
         
-        if (roomMembers.length === 0) {
-            console.log('[STDB] No room members found for room:', roomId);
-            return [];
-        }
-        
-        console.log('[STDB] Calculating room activities for', roomMembers.length, 'members');
+        const activities = this.computeRoomAvailableActivities(roomId);
+        this.staleRoomAvailability.delete(roomId);
+        this.roomAvailability.set(roomId, { activities, signature: activitiesSignature(activities) });
+        return activities;
+    }
+    
+    computeRoomAvailableActivities(roomId) {
+        // Get all room members
+        const roomMembers = this.cache.room_member.lookup('roomId', roomId);
+        if (roomMembers.length === 0) return [];
         
         // Get category preferences for each member (intersection)
         let allowedCategories = null;
         for (const member of roomMembers) {
-            const memberCategories = new Set();
-            for (const pref of this.cache.player_category_preference.values()) {
-                if (pref.playerId === member.playerId) {
-                    memberCategories.add(pref.categoryId);
-                }
-            }
+            const memberCategories = new Set(this.getPlayerCategoryPreferences(member.playerId));
             
             if (allowedCategories === null) {
                 allowedCategories = memberCategories;
@@ -861,17 +2161,10 @@ export class SpacetimeDBClient {
             }
         }
         
-        console.log('[STDB] Allowed categories (intersection):', allowedCategories?.size || 0);
-        
         // Get unlocked activities for each member (intersection)
         let unlockedActivityIds = null;
         for (const member of roomMembers) {
-            const memberUnlocked = new Set();
-            for (const ua of this.cache.player_unlocked_activity.values()) {
-                if (ua.playerId === member.playerId) {
-                    memberUnlocked.add(ua.activityId);
-                }
-            }
+            const memberUnlocked = new Set(this.getUnlockedActivities(member.playerId).map(ua => ua.activityId));
             
             if (unlockedActivityIds === null) {
                 unlockedActivityIds = memberUnlocked;
@@ -883,20 +2176,14 @@ export class SpacetimeDBClient {
             }
         }
         
-        console.log('[STDB] Unlocked activities (intersection):', unlockedActivityIds?.size || 0);
-        
         // Get "not wanted" activities for any member (union - exclude if ANY member doesn't want it)
         const notWantedActivityIds = new Set();
         for (const member of roomMembers) {
-            for (const nw of this.cache.player_not_wanted_activity.values()) {
-                if (nw.playerId === member.playerId) {
-                    notWantedActivityIds.add(nw.activityId);
-                }
+            for (const nw of this.cache.player_not_wanted_activity.lookup('playerId', member.playerId)) {
+                notWantedActivityIds.add(nw.activityId);
             }
         }
         
-        console.log('[STDB] Not wanted activities (union):', notWantedActivityIds.size);
-        
         // Build the final list
         const activities = [];
         for (const activityId of (unlockedActivityIds || [])) {
@@ -924,143 +2211,697 @@ export class SpacetimeDBClient {
             });
         }
         
-        console.log('[STDB] Room available activities:', activities.length);
         return activities;
     }
     
-    // =========================================================================
-    // Unlocked Activities (Push-based)
-    // =========================================================================
+    // =========================================================================
+    // Unlocked Activities (Push-based)
+    // =========================================================================
+    
+    /**
+     * Get all unlocked activities for a player from the cache.
+     * These are pushed by the server when XP changes or prerequisites are met.
+     */
+    getUnlockedActivities(playerId) {
+        return this.cache.player_unlocked_activity.lookup('playerId', playerId);
+    }
+    
+    /**
+     * Get newly unlocked activities (is_new = true) for a player.
+     */
+    getNewUnlockedActivities(playerId) {
+        return this.getUnlockedActivities(playerId).filter(ua => ua.isNew);
+    }
+    
+    /**
+     * Initialize unlocked activities for a player.
+     * Call this after creating a player or logging in to populate their available activities.
+     */
+    async initializeUnlockedActivities(playerId) {
+        const result = await this.callReducer('initialize_unlocked_activities', [playerId]);
+        if (!result.ok) {
+            log.error('Failed to initialize unlocked activities:', result.error);
+        }
+        return result;
+    }
+    
+    /**
+     * Acknowledge new activities (marks them as seen by the user).
+     */
+    async acknowledgeNewActivities(playerId) {
+        const result = await this.callReducer('acknowledge_new_activities', [playerId]);
+        if (!result.ok) {
+            log.error('Failed to acknowledge new activities:', result.error);
+        }
+        return result;
+    }
+    
+    /**
+     * Award XP to a player (triggers refresh of unlocked activities).
+     */
+    async awardXp(playerId, xpAmount) {
+        const result = await this.callReducer('award_xp', [playerId, xpAmount]);
+        if (!result.ok) {
+            log.error('Failed to award XP:', result.error);
+        }
+        return result;
+    }
+    
+    /**
+     * Get unlocked activities for a player from the subscription cache.
+     * The cache is populated via WebSocket subscriptions.
+     */
+    getUnlockedActivitiesFromCache(playerId) {
+        return this.cache.player_unlocked_activity.lookup('playerId', playerId);
+    }
+    
+    /**
+     * Wait for cache to contain data matching a condition, with timeout.
+     * Returns true if condition was met, false on timeout.
+     */
+    async waitForCache(cacheKey, predicate, timeoutMs = 2000, intervalMs = 50) {
+        const startTime = Date.now();
+        while (Date.now() - startTime < timeoutMs) {
+            const cache = this.cache[cacheKey];
+            if (cache && cache.size > 0) {
+                for (const item of cache.values()) {
+                    if (predicate(item)) {
+                        return true;
+                    }
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+        return false;
+    }
+    
+    // =========================================================================
+    // Multi-Tab
+    // =========================================================================
+    
+    // Messages on the tab channel (see TabCoordinator):
+    // - hello {context} -> snapshot: a follower joins; the leader subscribes its
+    //   context and replies with its cache ([key, row, refCount] per table)
+    // - tables: raw table updates the leader has just applied
+    // - snapshot (to everyone): after evictions the leader can't express as updates
+    // - status {connected, identity, token, health}: the leader's socket changed
+    // - context {id, context} -> contextApplied: a follower's scope changed
+    // - call {id, reducerName, args, options} -> result: a proxied reducer call
+    // - bye: a follower tab is closing
+    // - leader: a follower took over after the leader tab closed
+    // - session {event: 'login' | 'logout', username}: sent by any tab
+    
+    get isFollower() {
+        return this.tabs?.isFollower ?? false;
+    }
+    
+    /**
+     * Join the other tabs and find out whether this one leads.
+     */
+    startTabs() {
+        this.tabsStarted ??= (async () => {
+            this.tabs.onMessage(message => this.handleTabMessage(message));
+            this.tabs.onPromoted = () => this.promoteToLeader();
+            globalThis.addEventListener?.('pagehide', () => {
+                if (this.isFollower) this.tabs.post({ type: 'bye' });
+            });
+            await this.tabs.start();
+        })();
+        return this.tabsStarted;
+    }
+    
+    /**
+     * Follower half of connect(): ask the leader for its cache and status.
+     */
+    async connectViaLeader() {
+        const synced = new Promise(resolve => {
+            this.resolveMirror = resolve;
+        });
+        this.tabs.post({ type: 'hello', context: this.subscriptionContext });
+        if (!await settleWithin(synced, 5000)) {
+            log.warn('Leader tab has not answered yet');
+        }
+        return true;
+    }
+    
+    handleTabMessage(message) {
+        if (message.type === 'session') {
+            this.handleSessionMessage(message);
+        } else if (this.tabs.isLeader) {
+            this.handleFollowerMessage(message);
+        } else if (this.isFollower) {
+            this.handleLeaderMessage(message);
+        }
+    }
+    
+    handleFollowerMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                this.handleTabHello(message);
+                break;
+            case 'context':
+                this.setTabContext(message.from, message.context, message.id);
+                break;
+            case 'call':
+                this.handleProxiedCall(message);
+                break;
+            case 'bye':
+                this.tabSubscriptions.get(message.from)?.unsubscribe();
+                this.tabSubscriptions.delete(message.from);
+                break;
+        }
+    }
+    
+    handleLeaderMessage(message) {
+        switch (message.type) {
+            case 'snapshot':
+                this.applyLeaderSnapshot(message);
+                break;
+            case 'tables':
+                if (!this.mirrorReady) break;
+                for (const tableUpdate of message.tables) {
+                    this.applyTableUpdate(tableUpdate);
+                }
+                this.syncUserContext();
+                this.notifyRoomMembersUpdate();
+                break;
+            case 'status':
+                this.applyLeaderStatus(message);
+                break;
+            case 'result':
+            case 'contextApplied':
+                this.tabRequests.get(message.id)?.(message);
+                break;
+            case 'leader':
+                // Whatever the old leader was doing for us is lost
+                this.failTabRequests('Leader tab closed');
+                this.mirrorReady = false;
+                this.tabs.post({ type: 'hello', context: this.subscriptionContext });
+                break;
+        }
+    }
+    
+    async handleTabHello({ from, context }) {
+        // After a logout the socket stays closed until some tab needs it again
+        if (this.intentionalDisconnect) {
+            const connecting = this.connect();
+            connecting.catch(error => log.error('Connection failed:', error));
+            await settleWithin(connecting, 5000);
+        }
+        this.setTabContext(from, context, null);
+        this.tabs.post({ ...this.tabSnapshot(), to: from });
+    }
+    
+    /**
+     * Subscribe to a follower's context on its behalf, replacing its previous
+     * subscription once the new one is applied.
+     */
+    setTabContext(tabId, context, requestId) {
+        const queries = this.buildSubscriptionQueries(context);
+        let handle = this.tabSubscriptions.get(tabId);
+        if (!handle?.isActive || handle.queries.join('\n') !== queries.join('\n')) {
+            const previous = handle;
+            handle = this.subscribe(queries);
+            this.tabSubscriptions.set(tabId, handle);
+            handle.applied.then(
+                () => previous?.unsubscribe(),
+                (error) => log.error('Subscription for another tab failed:', error.message),
+            );
+        }
+        if (requestId === null) return;
+        handle.applied.then(
+            () => this.tabs.post({ type: 'contextApplied', to: tabId, id: requestId, ok: true }),
+            () => this.tabs.post({ type: 'contextApplied', to: tabId, id: requestId, ok: false }),
+        );
+    }
+    
+    async handleProxiedCall({ from, id, reducerName, args, options }) {
+        const result = await this.callReducer(reducerName, args, options);
+        this.tabs.post({ type: 'result', to: from, id, result });
+    }
+    
+    /**
+     * The cache with each row's reference count, plus the connection status.
+     */
+    tabSnapshot() {
+        const tables = {};
+        for (const [tableName, cache] of Object.entries(this.cache)) {
+            const counts = this.rowRefCounts[tableName];
+            tables[tableName] = Array.from(cache.entries(), ([key, row]) => [key, row, counts.get(key) || 0]);
+        }
+        return { type: 'snapshot', tables, ...this.tabStatus() };
+    }
+    
+    tabStatus() {
+        return { connected: !!this.isSocketOpen(), identity: this.identity, token: this.token, health: this.getHealth() };
+    }
+    
+    broadcastStatus() {
+        if (this.tabs?.isLeader) this.tabs.post({ type: 'status', ...this.tabStatus() });
+    }
+    
+    broadcastTables(tables) {
+        if (this.tabs?.isLeader && tables?.length > 0) this.tabs.post({ type: 'tables', tables });
+    }
+    
+    broadcastSnapshot() {
+        if (this.tabs?.isLeader) this.tabs.post(this.tabSnapshot());
+    }
+    
+    applyLeaderStatus({ connected, identity, token, health }) {
+        this.identity = identity;
+        this.token = token;
+        this.setHealth(health);
+        if (connected === this.leaderConnected) return;
+        this.leaderConnected = connected;
+        this.emit(connected ? 'connect' : 'disconnect');
+    }
     
     /**
-     * Get all unlocked activities for a player from the cache.
-     * These are pushed by the server when XP changes or prerequisites are met.
+     * Replace the mirrored cache with the leader's, emitting row events for
+     * the differences.
      */
-    getUnlockedActivities(playerId) {
-        const activities = [];
-        for (const ua of this.cache.player_unlocked_activity.values()) {
-            if (ua.playerId === playerId) {
-                activities.push(ua);
+    applyLeaderSnapshot(snapshot) {
+        this.applyLeaderStatus(snapshot);
+        for (const [tableName, rows] of Object.entries(snapshot.tables)) {
+            const cache = this.cache[tableName];
+            if (!cache) continue;
+            const counts = this.rowRefCounts[tableName];
+            counts.clear();
+            
+            const keys = new Set();
+            const rowEvents = [];
+            for (const [key, row, count] of rows) {
+                keys.add(key);
+                if (count > 0) counts.set(key, count);
+                const previous = cache.get(key);
+                cache.set(key, row);
+                if (!previous) {
+                    rowEvents.push(['insert', row]);
+                } else if (!rowsEqual(previous, row)) {
+                    rowEvents.push(['update', row, previous]);
+                }
             }
+            for (const [key, row] of Array.from(cache.entries())) {
+                if (keys.has(key)) continue;
+                cache.delete(key);
+                rowEvents.push(['delete', row]);
+            }
+            if (rowEvents.length === 0) continue;
+            
+            this.emitRowEvents(tableName, rowEvents);
+            this.notifyTableChanged(tableName);
         }
-        return activities;
+        this.syncUserContext();
+        this.notifyRoomMembersUpdate();
+        
+        this.mirrorReady = true;
+        this.resolveMirror?.();
+        this.resolveMirror = null;
     }
     
     /**
-     * Get newly unlocked activities (is_new = true) for a player.
+     * Post a request to the leader; resolves with its reply, or null once
+     * `timeoutMs` passes or the leader goes away.
      */
-    getNewUnlockedActivities(playerId) {
-        return this.getUnlockedActivities(playerId).filter(ua => ua.isNew);
+    requestFromLeader(message, timeoutMs) {
+        const id = ++this.tabRequestCounter;
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(() => settle(null), timeoutMs);
+            const settle = (reply) => {
+                clearTimeout(timeoutId);
+                this.tabRequests.delete(id);
+                resolve(reply);
+            };
+            this.tabRequests.set(id, settle);
+            this.tabs.post({ ...message, id });
+        });
     }
     
-    /**
-     * Initialize unlocked activities for a player.
-     * Call this after creating a player or logging in to populate their available activities.
-     */
-    async initializeUnlockedActivities(playerId) {
-        const result = await this.callReducer('initialize_unlocked_activities', [playerId]);
-        if (!result.ok) {
-            console.error('[STDB] Failed to initialize unlocked activities:', result.error);
+    failTabRequests(reason) {
+        if (this.tabRequests.size === 0) return;
+        log.warn(reason, '-', this.tabRequests.size, 'requests to it dropped');
+        for (const settle of Array.from(this.tabRequests.values())) {
+            settle(null);
         }
-        return result;
     }
     
-    /**
-     * Acknowledge new activities (marks them as seen by the user).
-     */
-    async acknowledgeNewActivities(playerId) {
-        const result = await this.callReducer('acknowledge_new_activities', [playerId]);
-        if (!result.ok) {
-            console.error('[STDB] Failed to acknowledge new activities:', result.error);
-        }
-        return result;
+    sendContextToLeader() {
+        this.mirroredContext = this.requestFromLeader({ type: 'context', context: this.subscriptionContext }, 10000)
+            .then(reply => reply?.ok === true);
+        return this.mirroredContext;
     }
     
     /**
-     * Award XP to a player (triggers refresh of unlocked activities).
+     * Have the leader make a reducer call. The leader applies its own timeout
+     * and retries, so wait long enough for all of them.
      */
-    async awardXp(playerId, xpAmount) {
-        const result = await this.callReducer('award_xp', [playerId, xpAmount]);
-        if (!result.ok) {
-            console.error('[STDB] Failed to award XP:', result.error);
+    async callReducerViaLeader(reducerName, argsArray, { queue, signal, timeoutMs, retries }) {
+        if (signal?.aborted) return abortedFailure(reducerName);
+        
+        const waitMs = (timeoutMs + this.reducerRetry.maxDelayMs) * (retries + 1);
+        const reply = this.requestFromLeader({
+            type: 'call',
+            reducerName,
+            args: argsArray,
+            options: { queue, timeoutMs, retries },
+        }, waitMs);
+        const aborted = new Promise(resolve => {
+            signal?.addEventListener('abort', () => resolve('aborted'), { once: true });
+        });
+        
+        const outcome = await Promise.race([reply, aborted]);
+        if (outcome === 'aborted') return abortedFailure(reducerName);
+        if (!outcome) {
+            return reducerFailure(reducerName, {
+                message: `Leader tab did not answer ${reducerName} - it may still have run`,
+                code: ReducerErrorCode.NETWORK,
+            });
         }
-        return result;
+        if (outcome.result.queued) {
+            this.emit('reducerQueued', { reducerName, args: argsArray, identity: this.identity });
+        }
+        return outcome.result;
     }
     
     /**
-     * Get unlocked activities for a player from the subscription cache.
-     * The cache is populated via WebSocket subscriptions.
+     * The leader tab closed and this one holds the lock now: open our own
+     * socket. Mirrored rows stay visible and are reconciled like a restored
+     * cache snapshot once our subscription is applied.
      */
-    getUnlockedActivitiesFromCache(playerId) {
-        const unlocked = [];
-        for (const activity of this.cache.player_unlocked_activity.values()) {
-            if (activity.playerId === playerId) {
-                unlocked.push(activity);
-            }
-        }
-        return unlocked;
+    promoteToLeader() {
+        this.failTabRequests('Leader tab closed');
+        this.hydratedKeys = {};
+        for (const [tableName, cache] of Object.entries(this.cache)) {
+            this.hydratedKeys[tableName] = new Set(cache.keys());
+            this.rowRefCounts[tableName].clear();
+        }
+        this.hydrated = true;
+        this.mirrorReady = false;
+        this.mirroredContext = null;
+        // The old leader may have queued calls since we loaded the queue
+        this.reducerQueue.reload();
+        
+        if (this.leaderConnected) {
+            this.leaderConnected = false;
+            this.emit('disconnect');
+        }
+        this.tabs.post({ type: 'leader' });
+        this.connect().catch(error => {
+            log.error('Connection failed:', error);
+            this.attemptReconnect();
+        });
     }
     
     /**
-     * Wait for cache to contain data matching a condition, with timeout.
-     * Returns true if condition was met, false on timeout.
+     * Another tab logged in or out. Logging out clears this tab's session too
+     * (the leader also closes the socket); both are emitted for the UI as
+     * 'sessionStarted' ({ username }) and 'sessionEnded'.
      */
-    async waitForCache(cacheKey, predicate, timeoutMs = 2000, intervalMs = 50) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutMs) {
-            const cache = this.cache[cacheKey];
-            if (cache && cache.size > 0) {
-                for (const item of cache.values()) {
-                    if (predicate(item)) {
-                        return true;
-                    }
-                }
-            }
-            await new Promise(resolve => setTimeout(resolve, intervalMs));
+    async handleSessionMessage({ event, username }) {
+        if (event === 'login') {
+            log.info('Logged in from another tab:', username);
+            this.emit('sessionStarted', { username });
+        } else if (event === 'logout') {
+            log.info('Logged out from another tab');
+            await this.clearSession();
+            if (this.tabs.isLeader) this.disconnect();
+            this.emit('sessionEnded');
         }
-        return false;
     }
     
     // =========================================================================
     // HTTP API
     // =========================================================================
     
-    async callReducer(reducerName, args = []) {
-        const url = `${this.baseUrl}/call/${reducerName}`;
+    /**
+     * Call a reducer.
+     * 
+     * Over the socket, successful results carry `inserted` (parsed rows by table)
+     * and the cache already contains them. Over HTTP the rows arrive later.
+     * 
+     * While offline, calls to QUEUEABLE_REDUCERS are queued and resolve with
+     * `{ok: true, queued: true}`; any other reducer resolves with
+     * `{ok: false, code: 'OFFLINE', offline: true}` without being sent.
+     * 
+     * Failures carry a `code` from ReducerErrorCode (see reducer-errors.js)
+     * and `details` ({reducerName, status, message}); `error` is the server's
+     * message with any panic wrapping removed.
+     * 
+     * Every attempt is bounded by `timeoutMs`. Calls to QUEUEABLE_REDUCERS are
+     * safe to repeat, so they are retried with backoff (config.reducerRetry) when
+     * the failure is transient - a timeout, a dropped request or a 502/503.
+     * Other reducers are only retried if the caller passes `retries` explicitly.
+     * A timed-out or aborted call may still have run on the server.
+     * 
+     * In a follower tab the call is made by the leader tab, which also owns
+     * the offline queue.
+     * 
+     * @param {Object} [options]
+     * @param {boolean} [options.queue=true] - Queue the call if offline (false while replaying the queue)
+     * @param {number} [options.timeoutMs] - Per-attempt timeout (default config.reducerTimeoutMs)
+     * @param {AbortSignal} [options.signal] - Abort the call; resolves with code 'ABORTED'
+     * @param {number} [options.retries] - Retries after a transient failure (default config.reducerRetry.retries for safe reducers, else 0)
+     * @returns {Promise<{ok: boolean, data?: any, inserted?: Object, error?: string, code?: string, details?: Object, queued?: boolean, offline?: boolean}>}
+     */
+    async callReducer(reducerName, args = [], options = {}) {
         // Ensure args is an array (SpacetimeDB HTTP API expects array format)
         const argsArray = Array.isArray(args) ? args : Object.values(args);
-        console.log('[STDB] Calling reducer:', reducerName, argsArray);
+        const { queue = true, signal = null, timeoutMs = this.reducerTimeoutMs } = options;
+        const retries = options.retries ?? (QUEUEABLE_REDUCERS.has(reducerName) ? this.reducerRetry.retries : 0);
+        
+        if (this.isFollower) {
+            return this.callReducerViaLeader(reducerName, argsArray, { queue, signal, timeoutMs, retries });
+        }
+        
+        if (this.isOffline()) {
+            return this.handleOfflineReducerCall(reducerName, argsArray, queue);
+        }
+        
+        for (let attempt = 0; ; attempt++) {
+            const result = signal?.aborted
+                ? abortedFailure(reducerName)
+                : await this.attemptReducerCall(reducerName, argsArray, { timeoutMs, signal });
+            
+            if (result.ok || attempt >= retries || !isTransientFailure(result)) {
+                if (result.code === ReducerErrorCode.NETWORK) {
+                    return this.handleOfflineReducerCall(reducerName, argsArray, queue, ReducerErrorCode.NETWORK);
+                }
+                return result;
+            }
+            
+            const delayMs = this.getReducerRetryDelay(attempt + 1);
+            log.warn('Retrying reducer', reducerName, `in ${delayMs}ms after`, result.code, `(retry ${attempt + 1}/${retries})`);
+            if (!(await sleep(delayMs, signal))) return abortedFailure(reducerName);
+        }
+    }
+    
+    /**
+     * One attempt at a reducer call, over the socket when possible, else HTTP.
+     * Always resolves with a result object.
+     */
+    async attemptReducerCall(reducerName, argsArray, { timeoutMs, signal }) {
+        if (this.canCallOverSocket(reducerName)) {
+            try {
+                return await this.callReducerOverSocket(reducerName, argsArray, { timeoutMs, signal });
+            } catch (error) {
+                log.error('Reducer error:', reducerName, error.message);
+                return reducerFailure(reducerName, { message: error.message, code: error.code });
+            }
+        }
+        
+        const url = `${this.baseUrl}/call/${reducerName}`;
+        log.debug('Calling reducer:', reducerName, loggableArgs(reducerName, argsArray));
         
         const headers = { 'Content-Type': 'application/json' };
         if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
         if (this.identity) headers['spacetime-identity'] = this.identity;
         
-        const response = await fetch(url, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(argsArray),
-        });
+        // One controller for both the timeout and the caller's signal
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
+        let response;
+        let text;
+        try {
+            response = await this.fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(argsArray),
+                signal: controller.signal,
+            });
+            text = await response.text();
+        } catch (error) {
+            if (timedOut) {
+                log.warn('Reducer timed out:', reducerName, `${timeoutMs}ms`);
+                return reducerFailure(reducerName, {
+                    message: `Reducer ${reducerName} timed out after ${timeoutMs}ms`,
+                    code: ReducerErrorCode.TIMEOUT,
+                });
+            }
+            if (signal?.aborted) return abortedFailure(reducerName);
+            // fetch only rejects when the request never got a response
+            log.warn('Reducer request failed:', reducerName, error.message);
+            return reducerFailure(reducerName, { message: error.message, code: ReducerErrorCode.NETWORK });
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        }
         
         // Update identity from response
         const newIdentity = response.headers.get('spacetime-identity');
         const newToken = response.headers.get('spacetime-identity-token');
         if (newIdentity) {
             this.identity = newIdentity;
-            localStorage.setItem(this.storageKeys.identity, newIdentity);
+            this.storage.setItem(this.storageKeys.identity, newIdentity);
         }
         if (newToken) {
             this.token = newToken;
-            localStorage.setItem(this.storageKeys.token, newToken);
+            this.storage.setItem(this.storageKeys.token, newToken);
         }
         
-        const text = await response.text();
         if (!response.ok) {
-            const errorMsg = text || `Reducer ${reducerName} failed`;
-            console.error('[STDB] Reducer error:', reducerName, errorMsg);
-            return { ok: false, error: errorMsg };
+            const failure = reducerFailure(reducerName, { message: text, status: response.status });
+            log.error('Reducer error:', reducerName, failure.code, text);
+            return failure;
+        }
+        
+        return { ok: true, data: parseResponseBody(text) };
+    }
+    
+    /**
+     * Delay before the given reducer retry (1-based), with jitter.
+     */
+    getReducerRetryDelay(retry) {
+        const { initialDelayMs, maxDelayMs, multiplier, jitter } = this.reducerRetry;
+        const delay = Math.min(initialDelayMs * Math.pow(multiplier, retry - 1), maxDelayMs);
+        return Math.round(delay * (1 - jitter * Math.random()));
+    }
+    
+    isOffline() {
+        return globalThis.navigator?.onLine === false;
+    }
+    
+    /**
+     * Queue a reducer call that could not be sent, or fail it as OFFLINE
+     * (browser offline) / NETWORK (the request never got a response).
+     */
+    handleOfflineReducerCall(reducerName, argsArray, queue, code = ReducerErrorCode.OFFLINE) {
+        if (queue && QUEUEABLE_REDUCERS.has(reducerName)) {
+            const entry = this.reducerQueue.enqueue(reducerName, argsArray, this.identity);
+            log.info('Offline, queued reducer:', reducerName, 'queue size:', this.reducerQueue.size);
+            this.emit('reducerQueued', entry);
+            return { ok: true, queued: true, data: null };
+        }
+        return {
+            ...reducerFailure(reducerName, {
+                message: `You're offline - ${reducerName} needs a connection to the server`,
+                code,
+            }),
+            offline: true,
+        };
+    }
+    
+    /**
+     * Send queued reducer calls, oldest first, one at a time.
+     * 
+     * Each call is removed once the server has answered it, and its outcome is
+     * emitted as 'queuedReducerResult' ({...entry, result}). Going offline again
+     * stops the replay with the rest still queued; calls queued under another
+     * identity are dropped.
+     */
+    async replayQueuedReducers() {
+        if (this.replayingQueue || this.reducerQueue.size === 0) return;
+        this.replayingQueue = true;
+        log.info('Replaying', this.reducerQueue.size, 'queued reducer calls');
+        
+        try {
+            let entry;
+            while ((entry = this.reducerQueue.peek())) {
+                if (entry.identity && entry.identity !== this.identity) {
+                    log.warn('Dropping queued reducer from another identity:', entry.reducerName);
+                    this.reducerQueue.remove(entry.id);
+                    continue;
+                }
+                
+                const result = await this.callReducer(entry.reducerName, entry.args, { queue: false });
+                if (result.offline) {
+                    log.info('Still offline,', this.reducerQueue.size, 'reducer calls left queued');
+                    break;
+                }
+                
+                this.reducerQueue.remove(entry.id);
+                this.emit('queuedReducerResult', { ...entry, result });
+            }
+        } finally {
+            this.replayingQueue = false;
         }
+    }
+    
+    canCallOverSocket(reducerName) {
+        if (this.reducerTransport !== 'websocket' || !this.isSocketOpen()) return false;
+        // Binary sockets need the reducer's argument types to encode the call
+        return this.wireFormat !== 'bsatn' || reducerName in this.reducerArgTypes;
+    }
+    
+    /**
+     * Send a CallReducer message and wait for its TransactionUpdate.
+     * 
+     * Resolves after the transaction's rows are in the cache; rejects with the
+     * reducer's failure (error.status holds the raw status), on timeout, when
+     * `signal` aborts, or if the socket closes first - in which case the reducer
+     * may still have run.
+     */
+    callReducerOverSocket(reducerName, argsArray, { timeoutMs = this.reducerTimeoutMs, signal = null } = {}) {
+        const requestId = this.nextRequestId();
+        const args = this.wireFormat === 'bsatn'
+            ? encodeReducerArgs(reducerName, this.reducerArgTypes[reducerName], argsArray)
+            : JSON.stringify(argsArray);
+        log.debug('Calling reducer over socket:', reducerName, loggableArgs(reducerName, argsArray), 'request:', requestId);
         
-        return { ok: true, data: text ? JSON.parse(text) : null };
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pendingReducerCalls.delete(requestId);
+                const error = new Error(`Reducer ${reducerName} timed out after ${timeoutMs}ms`);
+                error.code = ReducerErrorCode.TIMEOUT;
+                reject(error);
+            }, timeoutMs);
+            this.pendingReducerCalls.set(requestId, { reducerName, resolve, reject, timeoutId });
+            
+            // Stop waiting; the server still runs the call if it was sent
+            signal?.addEventListener('abort', () => {
+                if (!this.pendingReducerCalls.delete(requestId)) return;
+                clearTimeout(timeoutId);
+                const error = new Error(`Reducer ${reducerName} was aborted`);
+                error.code = ReducerErrorCode.ABORTED;
+                reject(error);
+            }, { once: true });
+            
+            this.sendMessage({
+                CallReducer: {
+                    reducer: reducerName,
+                    args,
+                    request_id: requestId,
+                    flags: 0,  // FullUpdate: always send the caller its TransactionUpdate
+                }
+            });
+        });
+    }
+    
+    rejectPendingReducerCalls(reason) {
+        for (const call of this.pendingReducerCalls.values()) {
+            clearTimeout(call.timeoutId);
+            const error = new Error(`${reason} before reducer ${call.reducerName} completed`);
+            error.code = ReducerErrorCode.NETWORK;
+            call.reject(error);
+        }
+        this.pendingReducerCalls.clear();
     }
     
     // =========================================================================
@@ -1087,69 +2928,127 @@ export class SpacetimeDBClient {
      * Get players for a user from cache.
      */
     getPlayersFromCache(userId) {
-        const players = [];
-        for (const player of this.cache.player.values()) {
-            if (player.userId === userId) {
-                players.push(player);
-            }
-        }
-        return players;
+        return this.cache.player.lookup('userId', userId);
     }
     
     /**
      * Get room from cache by code.
      */
     getRoomFromCacheByCode(roomCode) {
-        for (const room of this.cache.room.values()) {
-            if (room.code === roomCode) {
-                return room;
-            }
-        }
-        return null;
+        return this.cache.room.lookupOne('code', roomCode);
     }
     
     /**
      * Get room from cache by owner (most recent open room).
      */
     getRoomFromCacheByOwner(ownerId) {
-        for (const room of this.cache.room.values()) {
-            if (room.ownerId === ownerId && room.isOpen) {
-                return room;
-            }
-        }
-        return null;
+        return this.cache.room.lookup('ownerId', ownerId).find(room => room.isOpen) ?? null;
     }
     
     /**
      * Get room members from cache.
      */
     getRoomMembersFromCache(roomId) {
-        const members = [];
-        for (const member of this.cache.room_member.values()) {
-            if (member.roomId === roomId) {
-                // Get player info
-                const player = this.cache.player.get(member.playerId);
-                members.push({
-                    playerId: member.playerId,
-                    username: player?.username || 'Unknown',
-                    role: this.parseRole(member.role),
-                    roomId: member.roomId,
-                });
+        return this.cache.room_member.lookup('roomId', roomId).map(member => {
+            // Get player info
+            const player = this.cache.player.get(member.playerId);
+            return {
+                playerId: member.playerId,
+                username: player?.username || 'Unknown',
+                role: this.parseRole(member.role),
+                roomId: member.roomId,
+            };
+        });
+    }
+    
+    /**
+     * Get the player's most recently joined room membership from cache.
+     */
+    getLatestRoomMembership(playerId) {
+        let latest = null;
+        for (const member of this.cache.room_member.lookup('playerId', playerId)) {
+            if (!latest || member.joinedAt > latest.joinedAt) {
+                latest = member;
             }
         }
-        return members;
+        return latest;
+    }
+    
+    /**
+     * Get the open room a player most recently joined, with their role and the
+     * room's members, from cache (for resuming after a reload).
+     * 
+     * @returns {{room: Object, role: string, members: Object[]}|null}
+     */
+    getCurrentRoomForPlayer(playerId) {
+        const membership = this.getLatestRoomMembership(playerId);
+        const room = membership ? this.cache.room.get(membership.roomId) : null;
+        if (!room?.isOpen) return null;
+        
+        return {
+            room,
+            role: this.parseRole(membership.role),
+            members: this.getRoomMembersFromCache(room.id),
+        };
     }
     
     /**
      * Get invitation from cache by token.
      */
     getInvitationFromCacheByToken(token) {
-        for (const invitation of this.cache.room_invitation.values()) {
-            if (invitation.token === token) {
-                return invitation;
+        return this.cache.room_invitation.lookupOne('token', token);
+    }
+    
+    /**
+     * Get a room's invitations from cache, newest first, with the inviting
+     * player's name.
+     */
+    getRoomInvitationsFromCache(roomId) {
+        return this.cache.room_invitation.lookup('roomId', roomId)
+            .map(invitation => ({
+                ...invitation,
+                createdByName: this.cache.player.get(invitation.createdBy)?.username || 'Unknown',
+            }))
+            .sort((a, b) => (a.createdAt > b.createdAt ? -1 : 1));
+    }
+    
+    /**
+     * Get pending invitations addressed to the logged-in user from cache,
+     * newest first, with the room's and inviting player's names. Invitations
+     * to rooms that have closed are left out.
+     */
+    getIncomingInvitationsFromCache() {
+        const { username } = this.subscriptionContext;
+        if (!username) return [];
+        
+        return this.cache.room_invitation.lookup('forUsername', username)
+            .filter(invitation => invitation.status === 'Pending' && this.cache.room.get(invitation.roomId)?.isOpen !== false)
+            .map(invitation => ({
+                ...invitation,
+                roomName: this.cache.room.get(invitation.roomId)?.name || 'a room',
+                createdByName: this.cache.player.get(invitation.createdBy)?.username || 'Unknown',
+            }))
+            .sort((a, b) => (a.createdAt > b.createdAt ? -1 : 1));
+    }
+    
+    /**
+     * Get why a player was removed from a room from cache, with the name of
+     * the player who removed them. Null unless the player was removed and
+     * hasn't rejoined since.
+     */
+    getRoomRemovalFromCache(roomId, playerId) {
+        let latest = null;
+        for (const removal of this.cache.room_removal.lookup('playerId', playerId)) {
+            if (removal.roomId === roomId && (!latest || removal.removedAt > latest.removedAt)) {
+                latest = removal;
             }
         }
-        return null;
+        if (!latest) return null;
+        
+        return {
+            ...latest,
+            removedByName: this.cache.player.get(latest.removedBy)?.username || 'the owner',
+        };
     }
     
     // =========================================================================
@@ -1159,91 +3058,118 @@ export class SpacetimeDBClient {
     async registerUser(username, password) {
         // Ensure WebSocket is connected before registering
         if (!this.isConnected()) {
-            console.log('[STDB] Reconnecting WebSocket for registration...');
+            log.info('Reconnecting WebSocket for registration...');
             await this.connect();
         }
         
         const result = await this.callReducer('register_user', [username, password]);
         if (!result.ok) return result;
-        console.log('[STDB] User registered:', username);
+        log.info('User registered:', username);
+        this.tabs?.post({ type: 'session', event: 'login', username });
         return result;
     }
     
     async loginUser(username, password) {
         // Ensure WebSocket is connected before logging in
         if (!this.isConnected()) {
-            console.log('[STDB] Reconnecting WebSocket for login...');
+            log.info('Reconnecting WebSocket for login...');
             await this.connect();
         }
         
         const result = await this.callReducer('login_user', [username, password]);
         if (!result.ok) return result;
-        console.log('[STDB] User logged in:', username);
+        log.info('User logged in:', username);
+        this.tabs?.post({ type: 'session', event: 'login', username });
         return result;
     }
     
     async logoutUser() {
         const result = await this.callReducer('logout_user', []);
         if (!result.ok) {
-            console.warn('[STDB] Logout failed (user may not be logged in):', result.error);
+            log.warn('Logout failed (user may not be logged in):', result.error);
         } else {
-            console.log('[STDB] User logged out');
+            log.info('User logged out');
         }
         
-        // Clear local storage regardless of server response
-        localStorage.removeItem(this.storageKeys.identity);
-        localStorage.removeItem(this.storageKeys.token);
+        // Clear the session regardless of server response
+        await this.clearSession();
+        
+        // Disconnect WebSocket and stop all polling/reconnection
+        if (!this.isFollower) this.disconnect();
+        
+        // The other tabs share the stored token, so they are logged out too
+        this.tabs?.post({ type: 'session', event: 'logout' });
+        
+        return result;
+    }
+    
+    /**
+     * Forget the identity, token, queued calls, cache and subscriptions.
+     */
+    async clearSession() {
+        // Clear local storage and the cache snapshot
+        this.storage.removeItem(this.storageKeys.identity);
+        this.storage.removeItem(this.storageKeys.token);
+        this.reducerQueue.clear();
+        clearTimeout(this.snapshotTimeoutId);
+        this.snapshotTimeoutId = null;
+        this.hydratedKeys = null;
+        await this.cacheStore?.clear();
         this.identity = null;
         this.token = null;
+        this.connectionId = null;
         
-        // Clear cache
+        // Clear cache, subscriptions and subscription scope
         for (const cache of Object.values(this.cache)) {
             cache.clear();
         }
-        
-        // Disconnect WebSocket and stop all polling/reconnection
-        this.disconnect();
-        
-        return result;
+        this.resetRoomAvailability();
+        for (const counts of Object.values(this.rowRefCounts)) {
+            counts.clear();
+        }
+        this.subscriptions.clear();
+        this.tabSubscriptions.clear();
+        this.catalogSubscription = null;
+        this.scopedSubscription = null;
+        this.resetIdentityReceived();
+        this.mirroredContext = null;
+        this.subscriptionContext = { userId: null, username: null, playerId: null, roomId: null };
     }
     
     async createPlayer(playerName) {
         const result = await this.callReducer('create_player', [playerName]);
         if (!result.ok) return result;
-        console.log('[STDB] Player created:', playerName);
+        log.info('Player created:', playerName);
         return result;
     }
     
     async getPlayersForUser() {
         // Query the API to get the current user and their players
         if (!this.identity) {
-            console.log('[STDB] No identity, cannot get players');
+            log.debug('No identity, cannot get players');
             return [];
         }
         
-        console.log('[STDB] Getting players for identity from cache:', this.identity);
+        log.debug('Getting players for identity from cache:', this.identity);
         
-        // Wait for user cache to be populated (subscription may still be loading)
-        const identityHex = this.identity.replace('0x', '').toLowerCase();
-        await this.waitForCache('user', u => {
-            const userIdentityHex = (u.identity || '').replace('0x', '').toLowerCase();
-            return userIdentityHex === identityHex;
-        }, 3000);
+        // The user row, and the players its id scopes the subscription to, are
+        // in the cache once the scoped subscription (and any it widened to) is applied
+        if (!await this.ready()) {
+            log.warn('Scoped subscription not applied; players may be incomplete');
+        }
         
-        // Get user from cache
         const user = this.getUserFromCache();
         if (!user) {
-            console.log('[STDB] User not found in cache after waiting');
-            // Debug: log all users in cache
-            console.log('[STDB] Users in cache:', Array.from(this.cache.user.values()));
+            log.debug('User not found in cache');
+            log.debug('Users in cache:', Array.from(this.cache.user.values()));
             return [];
         }
         
-        console.log('[STDB] Found user in cache:', user);
+        log.debug('Found user in cache:', user);
         
         // Get players for this user from cache
         const players = this.getPlayersFromCache(user.id);
-        console.log('[STDB] Players found in cache:', players);
+        log.debug('Players found in cache:', players);
         
         return players;
     }
@@ -1256,12 +3182,13 @@ export class SpacetimeDBClient {
         const result = await this.callReducer('create_room', [playerId, roomName || '', { [role]: {} }]);
         if (!result.ok) return result;
         
-        // Wait for room to appear in cache (subscription update)
-        await this.waitForCache('room', r => r.ownerId === playerId && r.isOpen, 2000);
-        
-        // Get room from cache
-        const room = this.getRoomFromCacheByOwner(playerId);
-        console.log('[STDB] Created room (from cache):', room);
+        let room = result.inserted?.room?.find(r => r.ownerId === playerId);
+        if (!room) {
+            // Called over HTTP - wait for room to appear in cache (subscription update)
+            await this.waitForCache('room', r => r.ownerId === playerId && r.isOpen, 2000);
+            room = this.getRoomFromCacheByOwner(playerId);
+        }
+        log.debug('Created room (from cache):', room);
         
         const members = room ? this.getRoomMembersFromCache(room.id) : [];
         return { ok: true, room, members };
@@ -1271,12 +3198,17 @@ export class SpacetimeDBClient {
         const result = await this.callReducer('join_room', [playerId, roomCode, { [role]: {} }]);
         if (!result.ok) return result;
         
-        // Wait for room_member to appear in cache (subscription update)
-        await this.waitForCache('room_member', m => m.playerId === playerId, 2000);
+        // Over HTTP, wait for room_member and the room it scopes in to appear in cache (subscription update)
+        if (!result.inserted?.room_member?.some(m => m.playerId === playerId)) {
+            await this.waitForCache('room_member', m => m.playerId === playerId, 2000);
+        }
+        if (!this.getRoomFromCacheByCode(roomCode)) {
+            await this.waitForCache('room', r => r.code === roomCode, 2000);
+        }
         
         // Get room from cache
         const room = this.getRoomFromCacheByCode(roomCode);
-        console.log('[STDB] Joined room (from cache):', room);
+        log.debug('Joined room (from cache):', room);
         
         const members = room ? this.getRoomMembersFromCache(room.id) : [];
         return { ok: true, room, members };
@@ -1286,18 +3218,27 @@ export class SpacetimeDBClient {
         const result = await this.callReducer('accept_invitation', [playerId, invitationToken, { [role]: {} }]);
         if (!result.ok) return result;
         
-        // Wait for room_member to appear in cache (subscription update)
-        await this.waitForCache('room_member', m => m.playerId === playerId, 2000);
+        const membership = result.inserted?.room_member?.find(m => m.playerId === playerId);
+        if (!membership) {
+            // Called over HTTP - wait for room_member to appear in cache (subscription update)
+            await this.waitForCache('room_member', m => m.playerId === playerId, 2000);
+        }
         
-        // Get invitation from cache to find room_id
+        // Invitations are only subscribed for the current room, so fall back to
+        // the player's newest membership to find the room that was joined
         const invitation = this.getInvitationFromCacheByToken(invitationToken);
-        if (!invitation) {
-            console.log('[STDB] Invitation not found in cache');
+        const roomId = membership?.roomId
+            ?? (invitation ? invitation.roomId : this.getLatestRoomMembership(playerId)?.roomId);
+        if (roomId === undefined) {
+            log.debug('Joined room not found in cache');
             return { ok: true, room: null, members: [] };
         }
         
-        const room = this.cache.room.get(invitation.roomId);
-        console.log('[STDB] Accepted invitation, room (from cache):', room);
+        if (!this.cache.room.has(roomId)) {
+            await this.waitForCache('room', r => r.id === roomId, 2000);
+        }
+        const room = this.cache.room.get(roomId);
+        log.debug('Accepted invitation, room (from cache):', room);
         
         const members = room ? this.getRoomMembersFromCache(room.id) : [];
         return { ok: true, room, members };
@@ -1338,10 +3279,38 @@ export class SpacetimeDBClient {
         return await this.callReducer('create_room_invitation', [playerId, roomId, forUsername]);
     }
     
+    async revokeRoomInvitation(playerId, invitationId) {
+        return await this.callReducer('revoke_room_invitation', [playerId, invitationId]);
+    }
+    
+    async declineRoomInvitation(invitationId) {
+        return await this.callReducer('decline_room_invitation', [invitationId]);
+    }
+    
     async closeRoom(playerId, roomId) {
         return await this.callReducer('close_room', [playerId, roomId]);
     }
     
+    /**
+     * Remove another member from a room the player owns. The member sees the
+     * reason (may be empty) through their room_removal row.
+     */
+    async kickRoomMember(playerId, roomId, targetPlayerId, reason = '') {
+        return await this.callReducer('kick_room_member', [playerId, roomId, targetPlayerId, reason]);
+    }
+    
+    async transferRoomOwnership(playerId, roomId, newOwnerId) {
+        return await this.callReducer('transfer_room_ownership', [playerId, roomId, newOwnerId]);
+    }
+    
+    /**
+     * Lock or unlock a room the player owns. A locked room refuses join_room
+     * by code; invitations are still accepted.
+     */
+    async setRoomLocked(playerId, roomId, locked) {
+        return await this.callReducer('set_room_locked', [playerId, roomId, locked]);
+    }
+    
     async getRoomMembers(roomId) {
         // Use API query instead of cache
         return this.queryRoomMembers(roomId);
@@ -1397,21 +3366,11 @@ export class SpacetimeDBClient {
      * Get the current room activity for a specific room from cache.
      */
     getRoomActivity(roomId) {
-        for (const ra of this.cache.room_activity.values()) {
-            if (ra.roomId === roomId && (ra.status === 'Viewing' || ra.status === 'InProgress')) {
+        for (const ra of this.cache.room_activity.lookup('roomId', roomId)) {
+            if (ra.status === 'Viewing' || ra.status === 'InProgress') {
                 const activity = this.cache.activity.get(ra.activityId);
                 const category = activity ? this.cache.category.get(activity.categoryId) : null;
-                
-                const participants = [];
-                for (const ap of this.cache.activity_participant.values()) {
-                    if (ap.roomActivityId === ra.id) {
-                        const player = this.cache.player.get(ap.playerId);
-                        participants.push({
-                            ...ap,
-                            username: player?.username || 'Unknown',
-                        });
-                    }
-                }
+                const participants = this.getRoomActivityParticipants(ra.id);
                 
                 return {
                     ...ra,
@@ -1461,31 +3420,23 @@ export class SpacetimeDBClient {
      * Get all activities marked as "not wanted" by a player from cache.
      */
     getNotWantedActivities(playerId) {
-        const notWanted = [];
-        for (const nw of this.cache.player_not_wanted_activity.values()) {
-            if (nw.playerId === playerId) {
-                const activity = this.cache.activity.get(nw.activityId);
-                const category = activity ? this.cache.category.get(activity.categoryId) : null;
-                notWanted.push({
-                    ...nw,
-                    activity,
-                    categoryName: category?.name || 'Unknown',
-                });
-            }
-        }
-        return notWanted;
+        return this.cache.player_not_wanted_activity.lookup('playerId', playerId).map(nw => {
+            const activity = this.cache.activity.get(nw.activityId);
+            const category = activity ? this.cache.category.get(activity.categoryId) : null;
+            return {
+                ...nw,
+                activity,
+                categoryName: category?.name || 'Unknown',
+            };
+        });
     }
     
     /**
      * Check if a specific activity is in the player's not-wanted list.
      */
     isActivityNotWanted(playerId, activityId) {
-        for (const nw of this.cache.player_not_wanted_activity.values()) {
-            if (nw.playerId === playerId && nw.activityId === activityId) {
-                return true;
-            }
-        }
-        return false;
+        return this.cache.player_not_wanted_activity.lookup('playerId', playerId)
+            .some(nw => nw.activityId === activityId);
     }
     
     // =========================================================================
@@ -1559,31 +3510,26 @@ export class SpacetimeDBClient {
         
         // First, ensure we're connected
         if (!this.isConnected()) {
-            console.log('[STDB] Not connected, waiting for connection...');
+            log.debug('Not connected, waiting for connection...');
             const connected = await this.waitForConnection(5000);
             if (!connected) {
-                console.error('[STDB] Failed to connect - cannot load categories');
+                log.error('Failed to connect - cannot load categories');
                 return [];
             }
         }
         
-        // Wait for categories to load (max 5 seconds)
-        console.log('[STDB] Waiting for categories to load from subscription...');
-        const maxWait = 5000;
-        const checkInterval = 100;
-        let waited = 0;
-        
-        while (waited < maxWait && this.cache.category.size === 0) {
-            await new Promise(resolve => setTimeout(resolve, checkInterval));
-            waited += checkInterval;
+        // Wait for the category subscription to be applied (max 5 seconds)
+        log.debug('Waiting for categories to load from subscription...');
+        if (this.catalogSubscription) {
+            await settleWithin(this.catalogSubscription.applied, 5000);
         }
         
         if (this.cache.category.size === 0) {
-            console.error('[STDB] Categories not loaded after waiting - subscription may have failed');
-            console.log('[STDB] Connection state:', this.ws?.readyState, 'Cache size:', this.cache.category.size);
+            log.error('Categories not loaded after waiting - subscription may have failed');
+            log.debug('Connection state:', this.ws?.readyState, 'Cache size:', this.cache.category.size);
         } else {
             this.categoriesLoaded = true;
-            console.log(`[STDB] Categories ready: ${this.cache.category.size}`);
+            log.debug(`Categories ready: ${this.cache.category.size}`);
         }
         
         return Array.from(this.cache.category.values())
@@ -1602,13 +3548,7 @@ export class SpacetimeDBClient {
      * Returns IDs of categories the user has selected.
      */
     getUserCategoryPreferences(userId) {
-        const prefs = [];
-        for (const pref of this.cache.user_category_preference.values()) {
-            if (pref.userId === userId) {
-                prefs.push(pref.categoryId);
-            }
-        }
-        return prefs;
+        return this.cache.user_category_preference.lookup('userId', userId).map(pref => pref.categoryId);
     }
     
     /**
@@ -1616,13 +3556,7 @@ export class SpacetimeDBClient {
      * Returns IDs of categories the player has selected.
      */
     getPlayerCategoryPreferences(playerId) {
-        const prefs = [];
-        for (const pref of this.cache.player_category_preference.values()) {
-            if (pref.playerId === playerId) {
-                prefs.push(pref.categoryId);
-            }
-        }
-        return prefs;
+        return this.cache.player_category_preference.lookup('playerId', playerId).map(pref => pref.categoryId);
     }
     
     /**
@@ -1643,24 +3577,14 @@ export class SpacetimeDBClient {
      * Check if a category is selected for a user.
      */
     isUserCategorySelected(userId, categoryId) {
-        for (const pref of this.cache.user_category_preference.values()) {
-            if (pref.userId === userId && pref.categoryId === categoryId) {
-                return true;
-            }
-        }
-        return false;
+        return this.getUserCategoryPreferences(userId).includes(categoryId);
     }
     
     /**
      * Check if a category is selected for a player.
      */
     isPlayerCategorySelected(playerId, categoryId) {
-        for (const pref of this.cache.player_category_preference.values()) {
-            if (pref.playerId === playerId && pref.categoryId === categoryId) {
-                return true;
-            }
-        }
-        return false;
+        return this.getPlayerCategoryPreferences(playerId).includes(categoryId);
     }
     
     /**
@@ -0,0 +1,76 @@
+/**
+ * Pluggable Key-Value Storage
+ *
+ * The client keeps its identity, token and offline reducer queue in a
+ * Storage-like object (getItem/setItem/removeItem). `config.storage` picks it:
+ * - 'local' (default): window.localStorage - survives reloads and restarts
+ * - 'session': window.sessionStorage - one identity per tab
+ * - 'memory': a MemoryStorage - nothing persists (Node scripts, bots, tests)
+ * - any object with the Storage methods
+ *
+ * 'local' and 'session' fall back to memory where the browser store is
+ * missing (Node) or blocked (some private browsing modes).
+ */
+
+import { Logger } from './logger.js';
+
+const log = new Logger('STDB');
+
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+function browserStorage(name) {
+    try {
+        const storage = globalThis[name];
+        // Accessing the store can throw when storage is disabled
+        storage?.getItem('');
+        return storage ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {'local'|'session'|'memory'|Storage} [storage='local']
+ * @returns {Storage|MemoryStorage}
+ */
+export function resolveStorage(storage = 'local') {
+    if (storage && typeof storage === 'object') return storage;
+
+    const name = { local: 'localStorage', session: 'sessionStorage' }[storage];
+    if (name) {
+        const store = browserStorage(name);
+        if (store) return store;
+        log.warn(`${name} unavailable, keeping session data in memory`);
+    } else if (storage !== 'memory') {
+        log.warn('Unknown storage option:', storage, '- using memory');
+    }
+    return new MemoryStorage();
+}
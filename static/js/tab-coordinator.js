@@ -0,0 +1,134 @@
+/**
+ * Multi-Tab Coordination
+ *
+ * Elects one tab as the leader with a Web Lock and connects the tabs with a
+ * BroadcastChannel. The leader owns the WebSocket; the other tabs (followers)
+ * mirror its cache and send their reducer calls through it. When the leader
+ * tab closes its lock is released and the longest-waiting follower takes over.
+ *
+ * This module only knows about roles and messages - SpacetimeDBClient decides
+ * what the messages mean (see its Multi-Tab section).
+ */
+
+import { Logger } from './logger.js';
+
+const log = new Logger('STDB');
+
+const DEFAULT_CHANNEL = 'damsels-stdb';
+
+function randomId() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+export class TabCoordinator {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Lock and channel name; tabs with the same name coordinate
+     * @param {Function} [options.BroadcastChannel]
+     * @param {LockManager} [options.locks]
+     */
+    constructor({
+        name = DEFAULT_CHANNEL,
+        BroadcastChannel = globalThis.BroadcastChannel,
+        locks = globalThis.navigator?.locks,
+    } = {}) {
+        this.name = name;
+        this.BroadcastChannel = BroadcastChannel;
+        this.locks = locks;
+        this.tabId = randomId();
+        this.role = 'pending';  // 'pending' | 'leader' | 'follower'
+        this.channel = null;
+        this.started = null;
+        this.handlers = new Set();
+        this.onPromoted = null;
+        this.releaseLock = null;
+    }
+
+    static isSupported({ BroadcastChannel = globalThis.BroadcastChannel, locks = globalThis.navigator?.locks } = {}) {
+        return typeof BroadcastChannel === 'function' && !!locks;
+    }
+
+    get isLeader() {
+        return this.role === 'leader';
+    }
+
+    get isFollower() {
+        return this.role === 'follower';
+    }
+
+    /**
+     * Join the channel and take the leader lock if it's free. Followers keep
+     * waiting for the lock and call `onPromoted` when they get it.
+     *
+     * @returns {Promise<'leader'|'follower'>}
+     */
+    start() {
+        this.started ??= this.elect();
+        return this.started;
+    }
+
+    async elect() {
+        this.channel = new this.BroadcastChannel(this.name);
+        this.channel.onmessage = (event) => this.dispatch(event.data);
+
+        // The lock is held until the tab goes away (or close() is called)
+        const held = new Promise(resolve => {
+            this.releaseLock = resolve;
+        });
+        const gotLock = await new Promise(resolve => {
+            this.locks.request(this.name, { ifAvailable: true }, async (lock) => {
+                resolve(!!lock);
+                if (lock) await held;
+            }).catch(() => resolve(false));
+        });
+        if (gotLock) {
+            this.role = 'leader';
+            return this.role;
+        }
+
+        this.role = 'follower';
+        log.info('Another tab owns the connection; mirroring it');
+        this.locks.request(this.name, async () => {
+            if (this.role === 'closed') return;
+            log.info('Leader tab went away; taking over the connection');
+            this.role = 'leader';
+            this.onPromoted?.();
+            await held;
+        }).catch(error => log.warn('Leader lock request failed:', error?.message));
+        return this.role;
+    }
+
+    /**
+     * Send a message to every other tab.
+     */
+    post(message) {
+        this.channel?.postMessage({ ...message, from: this.tabId });
+    }
+
+    /**
+     * @returns {Function} Stops the handler
+     */
+    onMessage(handler) {
+        this.handlers.add(handler);
+        return () => this.handlers.delete(handler);
+    }
+
+    dispatch(message) {
+        // Messages addressed to one tab carry `to`
+        if (!message || (message.to && message.to !== this.tabId)) return;
+        for (const handler of this.handlers) {
+            try {
+                handler(message);
+            } catch (error) {
+                log.error('Tab message handler failed:', message.type, error);
+            }
+        }
+    }
+
+    close() {
+        this.role = 'closed';
+        this.releaseLock?.();
+        this.channel?.close();
+        this.channel = null;
+    }
+}
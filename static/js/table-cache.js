@@ -0,0 +1,83 @@
+/**
+ * Client Cache Table with Secondary Indexes
+ *
+ * A Map of primary key -> parsed row that also keeps an index per declared
+ * field (value -> primary keys). Indexes follow every set(), delete() and
+ * clear(), so they stay in step with applyTableUpdate(), evictions and logout
+ * without those having to know about them.
+ */
+
+export class TableCache extends Map {
+    /**
+     * @param {string[]} indexedFields - Parsed row fields to index, e.g. ['roomId', 'playerId']
+     */
+    constructor(indexedFields = []) {
+        super();
+        this.indexes = new Map();
+        for (const field of indexedFields) {
+            this.indexes.set(field, new Map());
+        }
+    }
+
+    set(key, row) {
+        if (this.has(key)) this.unindex(key, this.get(key));
+        super.set(key, row);
+        for (const [field, index] of this.indexes) {
+            const value = row[field];
+            if (!index.has(value)) index.set(value, new Set());
+            index.get(value).add(key);
+        }
+        return this;
+    }
+
+    delete(key) {
+        if (!this.has(key)) return false;
+        this.unindex(key, this.get(key));
+        return super.delete(key);
+    }
+
+    clear() {
+        super.clear();
+        for (const index of this.indexes.values()) {
+            index.clear();
+        }
+    }
+
+    unindex(key, row) {
+        for (const [field, index] of this.indexes) {
+            const keys = index.get(row[field]);
+            if (!keys) continue;
+            keys.delete(key);
+            if (keys.size === 0) index.delete(row[field]);
+        }
+    }
+
+    /**
+     * Rows whose `field` equals `value`. Falls back to a scan for fields
+     * without an index, so callers don't have to know which are declared.
+     *
+     * @returns {Array} Matching rows
+     */
+    lookup(field, value) {
+        const index = this.indexes.get(field);
+        if (!index) {
+            return Array.from(this.values()).filter(row => row[field] === value);
+        }
+        const keys = index.get(value);
+        return keys ? Array.from(keys, key => this.get(key)) : [];
+    }
+
+    /**
+     * Distinct values of an indexed field, e.g. every roomId with members.
+     */
+    indexedValues(field) {
+        return Array.from(this.indexes.get(field)?.keys() ?? []);
+    }
+
+    /**
+     * First row whose `field` equals `value`, or null.
+     */
+    lookupOne(field, value) {
+        return this.lookup(field, value)[0] ?? null;
+    }
+}
@@ -0,0 +1,260 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FakeSpacetimeDB } from './helpers.js';
+import {
+    BsatnReader,
+    BsatnWriter,
+    decodeServerMessage,
+    encodeClientMessage,
+    encodeReducerArgs,
+} from '../static/js/bsatn.js';
+import { REDUCER_ARG_TYPES, rowTypes } from '../static/js/schema.js';
+import { SpacetimeDBClient } from '../static/js/spacetimedb-client.js';
+
+// Little-endian byte builders for the fixtures, independent of BsatnWriter
+
+function u16(value) {
+    return [value & 0xff, value >>> 8];
+}
+
+function u32(value) {
+    return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, value >>> 24];
+}
+
+function u64(value) {
+    const bytes = [];
+    let rest = BigInt.asUintN(64, BigInt(value));
+    for (let i = 0; i < 8; i++) {
+        bytes.push(Number(rest & 0xffn));
+        rest >>= 8n;
+    }
+    return bytes;
+}
+
+function u128(value) {
+    return [...u64(BigInt(value) & 0xffffffffffffffffn), ...u64(BigInt(value) >> 64n)];
+}
+
+function bytes(values) {
+    return [...u32(values.length), ...values];
+}
+
+function str(value) {
+    return bytes([...new TextEncoder().encode(value)]);
+}
+
+// A u256 identity is little-endian on the wire: byte i holds hex digit pair 31 - i
+const IDENTITY_HEX = '0x' + Array.from({ length: 32 }, (_, i) => i.toString(16).padStart(2, '0')).join('');
+const IDENTITY_BYTES = Array.from({ length: 32 }, (_, i) => 31 - i);
+
+const TYPES = rowTypes();
+
+// room_invitation: id, room_id, token, created_by, for_username?, status, created_at, accepted_by?
+const INVITATION_ROW = [
+    ...u64(4), ...u64(7), ...str('tok'), ...u64(9),
+    0, ...str('bob'),
+    1,
+    ...u64(1700000000000000),
+    1,
+];
+const INVITATION_JSON = [4, 7, 'tok', 9, [0, 'bob'], [1, []], [1700000000000000], [1, []]];
+
+// BsatnRowList: a FixedSize hint for a single row, RowOffsets for several
+function rowList(rows) {
+    let hint = [0, ...u16(rows[0]?.length ?? 0)];
+    if (rows.length > 1) {
+        const offsets = rows.map((_, i) => rows.slice(0, i).reduce((sum, row) => sum + row.length, 0));
+        hint = [1, ...u32(offsets.length), ...offsets.flatMap(u64)];
+    }
+    return [...hint, ...bytes(rows.flat())];
+}
+
+function tableUpdate(tableId, tableName, { inserts = [], deletes = [] }) {
+    return [
+        ...u32(tableId), ...str(tableName), ...u64(inserts.length + deletes.length),
+        ...u32(1),
+        0, ...rowList(deletes), ...rowList(inserts),
+    ];
+}
+
+function transactionUpdate(status, { requestId = 1, connectionId = 1 } = {}) {
+    return new Uint8Array([
+        0, 1,
+        ...status,
+        ...u64(1700000000000123),
+        ...IDENTITY_BYTES,
+        ...u128(connectionId),
+        ...str('create_room_invitation'), ...u32(12), ...bytes([1, 2]), ...u32(requestId),
+        ...u128(0),
+        ...u64(250),
+    ]);
+}
+
+describe('BsatnReader and BsatnWriter', () => {
+    it('round-trips unsigned integers, booleans, strings and byte arrays', () => {
+        const writer = new BsatnWriter(4);
+        writer.writeU8(255);
+        writer.writeBool(true);
+        writer.writeU16(65535);
+        writer.writeU32(0xffffffff);
+        writer.writeU64(2 ** 40);
+        writer.writeU64(2n ** 64n - 1n);
+        writer.writeString('héllo ✓');
+        writer.writeBytes(new Uint8Array([1, 2, 3]));
+        writer.writeArray([1, 2], value => writer.writeU32(value));
+
+        const reader = new BsatnReader(writer.toUint8Array());
+        assert.equal(reader.readU8(), 255);
+        assert.equal(reader.readBool(), true);
+        assert.equal(reader.readU16(), 65535);
+        assert.equal(reader.readU32(), 0xffffffff);
+        assert.equal(reader.readU64(), 2 ** 40);
+        // Past Number.MAX_SAFE_INTEGER the exact BigInt is kept
+        assert.equal(reader.readU64(), 2n ** 64n - 1n);
+        assert.equal(reader.readString(), 'héllo ✓');
+        assert.deepEqual([...reader.readBytes()], [1, 2, 3]);
+        assert.deepEqual(reader.readArray(() => reader.readU32()), [1, 2]);
+        assert.equal(reader.remaining, 0);
+    });
+
+    it('reads signed, 128-bit and identity values from little-endian bytes', () => {
+        const reader = new BsatnReader(new Uint8Array([
+            ...u32(-2 >>> 0),
+            ...u64(-5n),
+            ...u128(2n ** 64n + 3n),
+            ...IDENTITY_BYTES,
+        ]));
+        assert.equal(reader.readI32(), -2);
+        assert.equal(reader.readI64(), -5);
+        assert.equal(reader.readU128(), 2n ** 64n + 3n);
+        assert.equal(reader.readIdentity(), IDENTITY_HEX);
+    });
+});
+
+describe('encodeReducerArgs', () => {
+    const types = REDUCER_ARG_TYPES.create_room_invitation;
+
+    it('encodes Option as 0 = some, 1 = none', () => {
+        assert.deepEqual([...encodeReducerArgs('create_room_invitation', types, [5, 7, 'bob'])],
+            [...u64(5), ...u64(7), 0, ...str('bob')]);
+        assert.deepEqual([...encodeReducerArgs('create_room_invitation', types, [5, 7, null])],
+            [...u64(5), ...u64(7), 1]);
+    });
+
+    it('encodes enums as the variant index and arrays with a length prefix', () => {
+        assert.deepEqual([...encodeReducerArgs('create_room', REDUCER_ARG_TYPES.create_room, [3, 'Den', { Bottom: {} }])],
+            [...u64(3), ...str('Den'), 1]);
+        const preferences = REDUCER_ARG_TYPES.set_player_category_preferences;
+        assert.deepEqual([...encodeReducerArgs('set_player_category_preferences', preferences, [3, [1, 2]])],
+            [...u64(3), ...u32(2), ...u64(1), ...u64(2)]);
+    });
+
+    it('rejects a wrong argument count or an unknown variant', () => {
+        assert.throws(() => encodeReducerArgs('create_room_invitation', types, [5, 7]), /takes 3 arguments, got 2/);
+        assert.throws(() => encodeReducerArgs('create_room', REDUCER_ARG_TYPES.create_room, [3, 'Den', { Switch: {} }]),
+            /Unknown enum variant: Switch/);
+    });
+});
+
+describe('encodeClientMessage', () => {
+    it('encodes CallReducer with its pre-encoded args', () => {
+        const message = encodeClientMessage({
+            CallReducer: { reducer: 'leave_room', args: new Uint8Array([9, 8]), request_id: 6, flags: 0 },
+        });
+        assert.deepEqual([...message], [0, ...str('leave_room'), ...bytes([9, 8]), ...u32(6), 0]);
+    });
+
+    it('encodes SubscribeMulti, UnsubscribeMulti and OneOffQuery', () => {
+        const subscribe = encodeClientMessage({
+            SubscribeMulti: { query_strings: ['SELECT * FROM category'], request_id: 2, query_id: { id: 3 } },
+        });
+        assert.deepEqual([...subscribe], [4, ...u32(1), ...str('SELECT * FROM category'), ...u32(2), ...u32(3)]);
+
+        const unsubscribe = encodeClientMessage({ UnsubscribeMulti: { request_id: 4, query_id: { id: 3 } } });
+        assert.deepEqual([...unsubscribe], [6, ...u32(4), ...u32(3)]);
+
+        const query = encodeClientMessage({ OneOffQuery: { message_id: '0aff', query_string: 'SELECT 1' } });
+        assert.deepEqual([...query], [2, ...bytes([0x0a, 0xff]), ...str('SELECT 1')]);
+    });
+
+    it('refuses messages it has no encoding for', () => {
+        assert.throws(() => encodeClientMessage({ Unsubscribe: {} }), /Unsupported BSATN client message/);
+    });
+});
+
+describe('decodeServerMessage', () => {
+    it('decodes a committed TransactionUpdate into the JSON protocol shapes', () => {
+        const frame = transactionUpdate([0, ...u32(1), ...tableUpdate(5, 'room_invitation', { inserts: [INVITATION_ROW] })],
+            { requestId: 8, connectionId: 2n ** 70n });
+        const { TransactionUpdate: update } = decodeServerMessage(frame.buffer, TYPES);
+
+        assert.deepEqual(update.status.Committed.tables, [{
+            table_id: 5,
+            table_name: 'room_invitation',
+            num_rows: 1,
+            updates: [{ deletes: [], inserts: [INVITATION_JSON] }],
+        }]);
+        assert.deepEqual(update.timestamp, { __timestamp_micros_since_unix_epoch__: 1700000000000123 });
+        assert.deepEqual(update.caller_identity, { __identity__: IDENTITY_HEX });
+        assert.deepEqual(update.caller_connection_id, { __connection_id__: 2n ** 70n });
+        assert.equal(update.reducer_call.reducer_name, 'create_room_invitation');
+        assert.equal(update.reducer_call.reducer_id, 12);
+        assert.deepEqual([...update.reducer_call.args], [1, 2]);
+        assert.equal(update.reducer_call.request_id, 8);
+        assert.deepEqual(update.total_host_execution_duration, { __time_duration_micros__: 250 });
+    });
+
+    it('decodes failed and out-of-energy statuses', () => {
+        const failed = decodeServerMessage(transactionUpdate([1, ...str('Room not found')]), TYPES);
+        assert.deepEqual(failed.TransactionUpdate.status, { Failed: 'Room not found' });
+        const outOfEnergy = decodeServerMessage(transactionUpdate([2]), TYPES);
+        assert.deepEqual(outOfEnergy.TransactionUpdate.status, { OutOfEnergy: [] });
+    });
+
+    it('decodes SubscribeMultiApplied rows listed by row offsets', () => {
+        const memberRow = [...u64(1), ...u64(7), ...u64(9), 3, ...u64(1700000000000000)];
+        const frame = new Uint8Array([
+            0, 8,
+            ...u32(2), ...u64(40), ...u32(3),
+            ...u32(1), ...tableUpdate(4, 'room_member', { inserts: [memberRow, memberRow] }),
+        ]);
+        const { SubscribeMultiApplied: applied } = decodeServerMessage(frame, TYPES);
+        assert.equal(applied.request_id, 2);
+        assert.equal(applied.total_host_execution_duration_micros, 40);
+        assert.deepEqual(applied.query_id, { id: 3 });
+        const [{ updates: [{ inserts }] }] = applied.update.tables;
+        assert.deepEqual(inserts, [[1, 7, 9, [3, []], [1700000000000000]], [1, 7, 9, [3, []], [1700000000000000]]]);
+    });
+
+    it('decodes an IdentityToken', () => {
+        const frame = new Uint8Array([0, 3, ...IDENTITY_BYTES, ...str('jwt'), ...u128(17)]);
+        assert.deepEqual(decodeServerMessage(frame, TYPES), {
+            IdentityToken: { identity: { __identity__: IDENTITY_HEX }, token: 'jwt', connection_id: { __connection_id__: 17n } },
+        });
+    });
+
+    it('skips the rows of a table without column types', () => {
+        const frame = transactionUpdate([0, ...u32(1), ...tableUpdate(99, 'mystery', { inserts: [[1, 2, 3]] })]);
+        const [table] = decodeServerMessage(frame, TYPES).TransactionUpdate.status.Committed.tables;
+        assert.equal(table.table_name, 'mystery');
+        assert.deepEqual(table.updates, [{ deletes: [], inserts: [] }]);
+    });
+
+    it('names variants the client does not consume and rejects compressed frames', () => {
+        assert.deepEqual(decodeServerMessage(new Uint8Array([0, 5]), TYPES), { SubscribeApplied: null });
+        assert.throws(() => decodeServerMessage(new Uint8Array([1, 1]), TYPES), /Compressed BSATN messages/);
+    });
+
+    it('fills the cache with the same rows as the JSON protocol', () => {
+        const client = new SpacetimeDBClient({ ...new FakeSpacetimeDB().clientOptions(), persistCache: false });
+        client.wireFormat = 'bsatn';
+        client.handleMessage(transactionUpdate([0, ...u32(1), ...tableUpdate(5, 'room_invitation', {
+            inserts: [INVITATION_ROW],
+        })]).buffer);
+
+        assert.deepEqual(client.cache.room_invitation.get(4), client.parseRow('room_invitation', INVITATION_JSON));
+        assert.equal(client.cache.room_invitation.get(4).forUsername, 'bob');
+        assert.equal(client.cache.room_invitation.get(4).acceptedBy, null);
+    });
+});
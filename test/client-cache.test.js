@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+
+import { FakeSpacetimeDB } from '../static/js/dev/fake-spacetimedb.js';
+import { SpacetimeDBClient } from '../static/js/spacetimedb-client.js';
+
+// Never connected: rows are fed straight into the cache as table updates
+function offlineClient() {
+    return new SpacetimeDBClient({ ...new FakeSpacetimeDB().clientOptions(), persistCache: false });
+}
+
+function insert(client, tableName, ...rows) {
+    client.applyTableUpdate({ table_name: tableName, inserts: rows, deletes: [] });
+}
+
+describe('parseRow', () => {
+    const client = offlineClient();
+
+    it('decodes object rows keyed by column name', () => {
+        const row = client.parseRow('room_member', {
+            id: 3,
+            room_id: 7,
+            player_id: 9,
+            role: { Bottom: [] },
+            joined_at: { __timestamp_micros_since_unix_epoch__: 1700000000000000 },
+        });
+        assert.deepEqual(row, { id: 3, roomId: 7, playerId: 9, role: 'Bottom', joinedAt: 1700000000000000 });
+    });
+
+    it('decodes positional rows in column order', () => {
+        const row = client.parseRow('room_member', [3, 7, 9, [1, []], [1700000000000000]]);
+        assert.deepEqual(row, { id: 3, roomId: 7, playerId: 9, role: 'Bottom', joinedAt: 1700000000000000 });
+    });
+
+    it('decodes positional and stringified options', () => {
+        const columns = [1, 2, 'tok', 4, [0, 'bob'], [0, []], [1700000000000000]];
+        assert.equal(client.parseRow('room_invitation', columns).forUsername, 'bob');
+        assert.equal(client.parseRow('room_invitation', JSON.stringify(columns)).forUsername, 'bob');
+        columns[4] = [1, []];
+        assert.equal(client.parseRow('room_invitation', columns).forUsername, null);
+    });
+});
+
+describe('applyTableUpdate', () => {
+    let client;
+    let events;
+
+    beforeEach(() => {
+        client = offlineClient();
+        events = [];
+        for (const kind of ['insert', 'update', 'delete']) {
+            client.on(`player:${kind}`, (...rows) => events.push([kind, ...rows.map(row => row.xp)]));
+        }
+        insert(client, 'player', [1, 10, 'alice', 5, [0]]);
+        events.length = 0;
+    });
+
+    it('treats a delete and insert of one key as an update', () => {
+        client.applyTableUpdate({
+            table_name: 'player',
+            inserts: [[1, 10, 'alice', 25, [0]]],
+            deletes: [[1, 10, 'alice', 5, [0]]],
+        });
+        assert.deepEqual(events, [['update', 25, 5]]);
+        assert.equal(client.cache.player.get(1).xp, 25);
+    });
+
+    it('emits nothing when the re-inserted row is unchanged', () => {
+        client.applyTableUpdate({
+            table_name: 'player',
+            updates: [{ inserts: [[1, 10, 'alice', 5, [0]]], deletes: [[1, 10, 'alice', 5, [0]]] }],
+        });
+        assert.deepEqual(events, []);
+        assert.equal(client.cache.player.size, 1);
+    });
+
+    it('keeps a row delivered twice until both deliveries are deleted', () => {
+        insert(client, 'player', [1, 10, 'alice', 5, [0]]);
+        client.applyTableUpdate({ table_name: 'player', inserts: [], deletes: [[1, 10, 'alice', 5, [0]]] });
+        assert.equal(client.cache.player.has(1), true);
+        client.applyTableUpdate({ table_name: 'player', inserts: [], deletes: [[1, 10, 'alice', 5, [0]]] });
+        assert.equal(client.cache.player.has(1), false);
+        assert.deepEqual(events, [['delete', 5]]);
+    });
+});
+
+describe('enum decoding', () => {
+    const client = offlineClient();
+
+    it('decodes known variants by name, tag object or index', () => {
+        assert.equal(client.parseRole('Photographer'), 'Photographer');
+        assert.equal(client.parseRole({ Top: [] }), 'Top');
+        assert.equal(client.parseRole([1, []]), 'Bottom');
+        assert.equal(client.parseKind(0), 'Skill');
+    });
+
+    it('decodes unknown or missing variants to the fallback', () => {
+        assert.equal(client.parseRole({ Switch: [] }), 'Observer');
+        assert.equal(client.parseRole('Switch'), 'Observer');
+        assert.equal(client.parseRole([9, []]), 'Observer');
+        assert.equal(client.parseRole(undefined), 'Observer');
+        assert.equal(client.parseKind({ Quest: [] }), 'Activity');
+        assert.equal(client.parseKind(7), 'Activity');
+        assert.equal(client.parseKind(null), 'Activity');
+    });
+});
+
+describe('getRoomAvailableActivities', () => {
+    let client;
+
+    function unlocked(id, playerId, activityId, categoryId) {
+        return [id, playerId, activityId, `Activity ${activityId}`, '', categoryId, `Category ${categoryId}`,
+            [1, []], 0, 10, [0], false];
+    }
+
+    beforeEach(() => {
+        client = offlineClient();
+        insert(client, 'category', [1, 'Warm-up', '', 1], [2, 'Games', '', 2]);
+        insert(client, 'activity',
+            [11, 1, [1, []], 'Stretch', '', '', [1, []], 0, 10],
+            [12, 2, [1, []], 'Charades', '', '', [1, []], 0, 10]);
+        insert(client, 'room_member', [1, 5, 100, [0, []], [0]], [2, 5, 200, [1, []], [0]]);
+        insert(client, 'player_unlocked_activity',
+            unlocked(1, 100, 11, 1), unlocked(2, 100, 12, 2),
+            unlocked(3, 200, 11, 1), unlocked(4, 200, 12, 2));
+        insert(client, 'player_category_preference', [1, 100, 1], [2, 100, 2], [3, 200, 1], [4, 200, 2]);
+    });
+
+    it('offers activities every member unlocked in categories they all chose', () => {
+        const ids = client.getRoomAvailableActivities(5).map(activity => activity.id).sort();
+        assert.deepEqual(ids, [11, 12]);
+    });
+
+    it('drops an activity any member marked as not wanted', () => {
+        insert(client, 'player_not_wanted_activity', [1, 200, 12, [0]]);
+        assert.deepEqual(client.getRoomAvailableActivities(5).map(activity => activity.id), [11]);
+    });
+
+    it('offers nothing when a member has no category preferences', () => {
+        client.applyTableUpdate({
+            table_name: 'player_category_preference',
+            inserts: [],
+            deletes: [[3, 200, 1], [4, 200, 2]],
+        });
+        assert.deepEqual(client.getRoomAvailableActivities(5), []);
+    });
+
+    it('offers nothing in an empty room', () => {
+        client.applyTableUpdate({
+            table_name: 'room_member',
+            inserts: [],
+            deletes: [[1, 5, 100, [0, []], [0]], [2, 5, 200, [1, []], [0]]],
+        });
+        assert.deepEqual(client.getRoomAvailableActivities(5), []);
+        assert.deepEqual(client.getRoomAvailableActivities(404), []);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Shared setup for the client tests: SpacetimeDBClients wired to an
+ * in-memory FakeSpacetimeDB, so nothing touches the network or IndexedDB.
+ */
+
+import { FakeSpacetimeDB } from '../static/js/dev/fake-spacetimedb.js';
+import { setLogLevel } from '../static/js/logger.js';
+import { SpacetimeDBClient } from '../static/js/spacetimedb-client.js';
+
+// Keep test output to failures
+setLogLevel('error');
+
+export function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll until `predicate()` is truthy; fail after `timeoutMs`.
+ */
+export async function waitFor(predicate, { timeoutMs = 2000, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+        await delay(10);
+    }
+}
+
+/**
+ * A client connected to `server` whose identity subscription is applied.
+ */
+export async function connectClient(server, options = {}) {
+    const client = new SpacetimeDBClient({
+        ...server.clientOptions(),
+        persistCache: false,
+        ...options,
+    });
+    await client.connect();
+    if (!await client.ready()) throw new Error('Client did not become ready');
+    return client;
+}
+
+/**
+ * Register `username` on a connected client and create a player for it.
+ *
+ * @returns {Promise<Object>} The player row
+ */
+export async function registerPlayer(client, username) {
+    const registered = await client.registerUser(username, 'correct horse');
+    if (!registered.ok) throw new Error(`register_user failed: ${registered.error}`);
+    await waitFor(() => client.subscriptionContext.userId !== null, { message: `${username}'s user row` });
+    await client.waitForScopedSubscription();
+
+    const created = await client.createPlayer(`${username}-player`);
+    if (!created.ok) throw new Error(`create_player failed: ${created.error}`);
+    // The reducer call answers before the row reaches the subscription
+    await waitFor(() => client.getPlayersFromCache(client.subscriptionContext.userId).length > 0, {
+        message: `${username}'s player row`,
+    });
+    const [player] = client.getPlayersFromCache(client.subscriptionContext.userId);
+    client.setSubscriptionContext({ playerId: player.id });
+    await client.waitForScopedSubscription();
+    return player;
+}
+
+export { FakeSpacetimeDB };
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { connectClient, FakeSpacetimeDB, registerPlayer, waitFor } from './helpers.js';
+import { MODULE_EXTENSIONS, REDUCER_ARG_TYPES, TABLES } from '../static/js/schema.js';
+import { SpacetimeDBClient } from '../static/js/spacetimedb-client.js';
+
+/**
+ * A room owned by `client`'s player, with one open invitation.
+ */
+async function roomWithInvitation(client, player) {
+    const { room } = await client.createRoom(player.id, 'Invites', 'Top');
+    await client.setSubscriptionContext({ roomId: room.id });
+    const created = await client.createRoomInvitation(player.id, room.id, null);
+    assert.equal(created.ok, true);
+    await waitFor(() => client.getRoomInvitationsFromCache(room.id).length === 1, { message: 'the invitation row' });
+    return { room, invitation: client.getRoomInvitationsFromCache(room.id)[0] };
+}
+
+describe('module extensions', () => {
+    it('keeps extensions out of the built-in registry', () => {
+        for (const reducerName of Object.keys(MODULE_EXTENSIONS.reducers)) {
+            assert.equal(reducerName in REDUCER_ARG_TYPES, false, reducerName);
+        }
+        for (const tableName of Object.keys(MODULE_EXTENSIONS.tables)) {
+            assert.equal(tableName in TABLES, false, tableName);
+        }
+        assert.equal(TABLES.room.columns.some(column => column.name === 'is_locked'), false);
+    });
+
+    it('decodes an extension variant as Unknown until discovery finds it', () => {
+        const client = new SpacetimeDBClient({ ...new FakeSpacetimeDB().clientOptions(), schemaDiscovery: false });
+        const row = client.parseRow('room_invitation', [1, 2, 'tok', 3, [1, []], { Revoked: [] }, [0], [1, []]]);
+        assert.equal(row.status, 'Unknown');
+        assert.equal(client.supports('revoke_room_invitation'), false);
+    });
+
+    describe('against a module that has them', () => {
+        let server;
+        let owner;
+        let guest;
+        let player;
+
+        before(async () => {
+            server = new FakeSpacetimeDB();
+            owner = await connectClient(server);
+            guest = await connectClient(server);
+            player = await registerPlayer(owner, 'olive');
+            await registerPlayer(guest, 'dana');
+        });
+
+        after(() => {
+            owner.disconnect();
+            guest.disconnect();
+        });
+
+        it('discovers them without reporting mismatches', () => {
+            assert.deepEqual(owner.schemaMismatches, []);
+            for (const reducerName of Object.keys(MODULE_EXTENSIONS.reducers)) {
+                assert.equal(owner.supports(reducerName), true, reducerName);
+            }
+            assert.ok(owner.enums.InvitationStatus.variants.includes('Revoked'));
+            assert.equal(owner.supports('room_removal'), true);
+            assert.equal(owner.supports('room.is_locked'), true);
+        });
+
+        it('revokes an invitation', async () => {
+            const { room, invitation } = await roomWithInvitation(owner, player);
+            const revoked = await owner.revokeRoomInvitation(player.id, invitation.id);
+            assert.equal(revoked.ok, true);
+            await waitFor(() => owner.getRoomInvitationsFromCache(room.id)[0].status === 'Revoked', {
+                message: 'the revoked status',
+            });
+        });
+
+        it('lets the invited user decline from their inbox', async () => {
+            const { room } = await roomWithInvitation(owner, player);
+            assert.equal((await owner.createRoomInvitation(player.id, room.id, 'dana')).ok, true);
+            await waitFor(() => guest.getIncomingInvitationsFromCache().length === 1, { message: "dana's inbox" });
+            const [incoming] = guest.getIncomingInvitationsFromCache();
+            assert.equal(incoming.roomName, 'Invites');
+            assert.equal(incoming.createdByName, 'olive-player');
+
+            assert.equal((await guest.declineRoomInvitation(incoming.id)).ok, true);
+            await waitFor(() => guest.getIncomingInvitationsFromCache().length === 0, { message: 'the declined invitation' });
+            await waitFor(() => owner.getRoomInvitationsFromCache(room.id).some(i => i.status === 'Declined'), {
+                message: 'the declined status',
+            });
+        });
+
+        it('locks a room and records why a member was removed', async () => {
+            const { room } = await owner.createRoom(player.id, 'Moderated', 'Top');
+            await owner.setSubscriptionContext({ roomId: room.id });
+            const guestPlayer = guest.getPlayersFromCache(guest.subscriptionContext.userId)[0];
+            assert.equal((await guest.joinRoom(guestPlayer.id, room.code, 'Bottom')).ok, true);
+            await guest.setSubscriptionContext({ roomId: room.id });
+
+            assert.equal((await owner.setRoomLocked(player.id, room.id, true)).ok, true);
+            await waitFor(() => guest.cache.room.get(room.id)?.isLocked === true, { message: 'the locked room' });
+
+            assert.equal((await owner.kickRoomMember(player.id, room.id, guestPlayer.id, 'Too loud')).ok, true);
+            await waitFor(() => guest.getRoomRemovalFromCache(room.id, guestPlayer.id) !== null, { message: 'the removal' });
+            const removal = guest.getRoomRemovalFromCache(room.id, guestPlayer.id);
+            assert.equal(removal.reason, 'Too loud');
+            assert.equal(removal.removedByName, 'olive-player');
+            await guest.setSubscriptionContext({ roomId: null });
+        });
+    });
+
+    describe('against an older module without them', () => {
+        let server;
+        let owner;
+        let player;
+
+        before(async () => {
+            server = new FakeSpacetimeDB({ extensions: false });
+            owner = await connectClient(server);
+            player = await registerPlayer(owner, 'olive');
+        });
+
+        after(() => owner.disconnect());
+
+        it('reports no mismatches and supports none of them', () => {
+            assert.deepEqual(owner.schemaMismatches, []);
+            for (const reducerName of Object.keys(MODULE_EXTENSIONS.reducers)) {
+                assert.equal(owner.supports(reducerName), false, reducerName);
+            }
+            assert.equal(owner.supports('room_removal'), false);
+            assert.equal(owner.supports('room.is_locked'), false);
+        });
+
+        it('loads a room without the extension table and column', async () => {
+            const { room } = await owner.createRoom(player.id, 'Plain', 'Top');
+            // Rejects if the module refuses any of the queries
+            await owner.setSubscriptionContext({ roomId: room.id });
+            assert.equal(owner.scopedSubscription.queries.some(query => query.includes('room_removal')), false);
+            const cached = owner.cache.room.get(room.id);
+            assert.equal(cached.name, 'Plain');
+            assert.equal(cached.isOpen, true);
+            assert.equal(cached.isLocked, undefined);
+            assert.equal(owner.getRoomRemovalFromCache(room.id, player.id), null);
+
+            assert.equal((await owner.leaveRoom(player.id, room.id)).ok, true);
+            await owner.setSubscriptionContext({ roomId: null });
+        });
+
+        it('still creates invitations, which the module cannot revoke', async () => {
+            const { invitation } = await roomWithInvitation(owner, player);
+            assert.equal(invitation.status, 'Pending');
+            const revoked = await owner.revokeRoomInvitation(player.id, invitation.id);
+            assert.equal(revoked.ok, false);
+            assert.equal(revoked.code, 'NOT_FOUND');
+        });
+    });
+
+    it('keeps subscribing when invitations have no username column', async () => {
+        const server = new FakeSpacetimeDB();
+        const moduleDef = server.moduleDef();
+        const invitationTable = moduleDef.tables.find(table => table.name === 'room_invitation');
+        const rowType = moduleDef.typespace.types[invitationTable.product_type_ref].Product;
+        rowType.elements = rowType.elements.filter(element => element.name.some !== 'for_username');
+        const fetch = (input, init) => String(input).includes('/schema')
+            ? Promise.resolve(Response.json(moduleDef))
+            : server.fetch(input, init);
+
+        const client = await connectClient(server, { fetch });
+        const player = await registerPlayer(client, 'olive');
+        assert.ok(client.schemaMismatches.includes('room_invitation.for_username is missing from the module'));
+        assert.equal(client.scopedSubscription.queries.some(query => query.includes('for_username')), false);
+        assert.equal(client.getPlayersFromCache(player.userId).length, 1);
+        client.disconnect();
+    });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { connectClient, FakeSpacetimeDB, registerPlayer, waitFor } from './helpers.js';
+
+describe('room flow against the fake server', () => {
+    let server;
+    let alice;
+    let bob;
+    let alicePlayer;
+    let bobPlayer;
+
+    before(async () => {
+        server = new FakeSpacetimeDB();
+        alice = await connectClient(server);
+        bob = await connectClient(server);
+        alicePlayer = await registerPlayer(alice, 'alice');
+        bobPlayer = await registerPlayer(bob, 'bob');
+    });
+
+    after(() => {
+        alice.disconnect();
+        bob.disconnect();
+    });
+
+    it('creates a room, lets a second player join by code and leave again', async () => {
+        const created = await alice.createRoom(alicePlayer.id, 'Evening', 'Top');
+        assert.equal(created.ok, true);
+        const { room } = created;
+        assert.equal(room.name, 'Evening');
+        assert.equal(room.ownerId, alicePlayer.id);
+        alice.setSubscriptionContext({ roomId: room.id });
+        await alice.waitForScopedSubscription();
+
+        const joined = await bob.joinRoom(bobPlayer.id, room.code, 'Bottom');
+        assert.equal(joined.ok, true);
+        assert.equal(joined.room.id, room.id);
+        bob.setSubscriptionContext({ roomId: room.id });
+        await bob.waitForScopedSubscription();
+
+        // Each client sees both members through its own subscription
+        const memberNames = client => client.getRoomMembersFromCache(room.id).map(m => m.username).sort();
+        await waitFor(() => memberNames(alice).length === 2, { message: "bob in alice's member list" });
+        assert.deepEqual(memberNames(alice), ['alice-player', 'bob-player']);
+        assert.deepEqual(memberNames(bob), ['alice-player', 'bob-player']);
+        assert.equal(bob.getRoomMembersFromCache(room.id).find(m => m.playerId === bobPlayer.id).role, 'Bottom');
+
+        const left = await bob.leaveRoom(bobPlayer.id, room.id);
+        assert.equal(left.ok, true);
+        await waitFor(() => memberNames(alice).length === 1, { message: "bob gone from alice's member list" });
+        assert.deepEqual(memberNames(alice), ['alice-player']);
+        assert.equal(server.rows('room_member').some(m => m.player_id === bobPlayer.id), false);
+    });
+
+    it('refuses a second join and joins to a closed room with stable codes', async () => {
+        const { room } = await alice.createRoom(alicePlayer.id, 'Short-lived', 'Observer');
+
+        const again = await alice.joinRoom(alicePlayer.id, room.code, 'Top');
+        assert.equal(again.ok, false);
+        assert.equal(again.code, 'ALREADY_IN_ROOM');
+
+        assert.equal((await alice.closeRoom(alicePlayer.id, room.id)).ok, true);
+        const closed = await bob.joinRoom(bobPlayer.id, room.code, 'Bottom');
+        assert.equal(closed.ok, false);
+        assert.equal(closed.code, 'ROOM_CLOSED');
+
+        const unknown = await bob.joinRoom(bobPlayer.id, 'ZZZZZ', 'Bottom');
+        assert.equal(unknown.code, 'ROOM_NOT_FOUND');
+    });
+
+    it('only lets the owner close a room', async () => {
+        const { room } = await alice.createRoom(alicePlayer.id, 'Owned', 'Top');
+        await bob.joinRoom(bobPlayer.id, room.code, 'Bottom');
+
+        const result = await bob.closeRoom(bobPlayer.id, room.id);
+        assert.equal(result.ok, false);
+        assert.equal(result.code, 'NOT_OWNER');
+        assert.equal(server.rows('room').find(r => r.id === room.id).is_open, true);
+    });
+});
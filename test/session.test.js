@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { connectClient, FakeSpacetimeDB, registerPlayer } from './helpers.js';
+import { SpacetimeDBClient } from '../static/js/spacetimedb-client.js';
+import { MemoryStorage } from '../static/js/storage.js';
+
+describe('session restore', () => {
+    it('is ready straight after connect, before any user row exists', async () => {
+        const server = new FakeSpacetimeDB();
+        const client = new SpacetimeDBClient({ ...server.clientOptions(), persistCache: false });
+        await client.connect();
+        assert.equal(await client.ready(), true);
+        assert.ok(client.scopedSubscription);
+        assert.equal(client.getUserFromCache(), null);
+        client.disconnect();
+    });
+
+    it('finds the logged-in user after a reload with the stored token', async () => {
+        const server = new FakeSpacetimeDB();
+        const storage = new MemoryStorage();
+        const first = await connectClient(server, { storage });
+        await registerPlayer(first, 'alice');
+        first.disconnect();
+
+        const reloaded = new SpacetimeDBClient({ ...server.clientOptions(), storage, persistCache: false });
+        await reloaded.connect();
+        assert.equal(await reloaded.ready(), true);
+        assert.equal(reloaded.getUserFromCache()?.username, 'alice');
+        assert.equal(reloaded.subscriptionContext.userId, first.subscriptionContext.userId);
+        assert.equal((await reloaded.getPlayersForUser()).length, 1);
+        reloaded.disconnect();
+    });
+
+    it('lists players straight after connect, without waiting for the cache first', async () => {
+        const server = new FakeSpacetimeDB();
+        const storage = new MemoryStorage();
+        const first = await connectClient(server, { storage });
+        await registerPlayer(first, 'alice');
+        first.disconnect();
+
+        const reloaded = new SpacetimeDBClient({ ...server.clientOptions(), storage, persistCache: false });
+        await reloaded.connect();
+        const players = await reloaded.getPlayersForUser();
+        assert.deepEqual(players.map(player => player.username), ['alice-player']);
+        reloaded.disconnect();
+    });
+
+    it('lists players as soon as a socket login returns', async () => {
+        const server = new FakeSpacetimeDB();
+        const first = await connectClient(server);
+        await registerPlayer(first, 'alice');
+        first.disconnect();
+
+        const client = await connectClient(server, { reducerTransport: 'websocket' });
+        assert.equal((await client.loginUser('alice', 'correct horse')).ok, true);
+        const players = await client.getPlayersForUser();
+        assert.deepEqual(players.map(player => player.username), ['alice-player']);
+        client.disconnect();
+    });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { connectClient, FakeSpacetimeDB, registerPlayer, waitFor } from './helpers.js';
+
+describe('reducer calls over the socket', () => {
+    let server;
+    let alice;
+    let bob;
+    let alicePlayer;
+    let bobPlayer;
+
+    before(async () => {
+        server = new FakeSpacetimeDB();
+        alice = await connectClient(server, { reducerTransport: 'websocket' });
+        bob = await connectClient(server, { reducerTransport: 'websocket' });
+        alicePlayer = await registerPlayer(alice, 'alice');
+        bobPlayer = await registerPlayer(bob, 'bob');
+    });
+
+    after(() => {
+        alice.disconnect();
+        bob.disconnect();
+    });
+
+    it('settles each call with its own result when two clients use the same request id', async () => {
+        const { room } = await alice.createRoom(alicePlayer.id, 'Shared', 'Top');
+        await alice.setSubscriptionContext({ roomId: room.id });
+        assert.equal((await bob.joinRoom(bobPlayer.id, room.code, 'Bottom')).ok, true);
+        await bob.setSubscriptionContext({ roomId: room.id });
+        await waitFor(() => alice.getRoomMembersFromCache(room.id).length === 2, { message: "bob's membership" });
+
+        // Both calls go out as request 1. Bob's commit reaches alice first,
+        // since she sees the membership row it deletes.
+        alice.requestCounter = 0;
+        bob.requestCounter = 0;
+        const [left, joined] = await Promise.all([
+            bob.leaveRoom(bobPlayer.id, room.id),
+            alice.joinRoom(alicePlayer.id, 'NOPE00', 'Top'),
+        ]);
+
+        assert.equal(left.ok, true);
+        assert.equal(joined.ok, false);
+        assert.equal(joined.code, 'ROOM_NOT_FOUND');
+        assert.equal(alice.getRoomMembersFromCache(room.id).length, 1);
+    });
+});